@@ -0,0 +1,76 @@
+// auth.js (Node >=18, ESM)
+// Operator parollari va sessiya tokenlari uchun yordamchilar (faqat node:crypto, depsiz).
+
+import crypto from "crypto";
+
+const SCRYPT_N = 16384;
+const KEY_LEN = 64;
+
+// Operator rollari (kuchliroqdan kuchsizga)
+export const ROLES = ["super_admin", "org_admin", "operator"];
+
+export function roleRank(role) {
+  const i = ROLES.indexOf(role);
+  return i === -1 ? ROLES.length : i;
+}
+
+function scrypt(password, salt, n) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, KEY_LEN, { N: n, maxmem: 64 * 1024 * 1024 }, (err, key) =>
+      err ? reject(err) : resolve(key)
+    );
+  });
+}
+
+// Saqlash formati: scrypt$N$saltHex$hashHex
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(String(password), salt, SCRYPT_N);
+  return `scrypt$${SCRYPT_N}$${salt.toString("hex")}$${key.toString("hex")}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [algo, n, saltHex, hashHex] = String(stored || "").split("$");
+  if (algo !== "scrypt" || !n || !saltHex || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, "hex");
+  const key = await scrypt(String(password), Buffer.from(saltHex, "hex"), Number(n));
+  return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+}
+
+// Token clientga bir marta beriladi, DB'da faqat sha256 saqlanadi
+export function newToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+// Qo'lda teriladigan bir martalik kod (masalan, Telegram'ni operatorga bog'lash): 0/O, 1/I yo'q
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+export function newShortCode(len = 8) {
+  const bytes = crypto.randomBytes(len);
+  let out = "";
+  for (const b of bytes) out += CODE_ALPHABET[b % CODE_ALPHABET.length];
+  return out;
+}
+
+export function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+export function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+// Ticket egaligi: /api/take bergan token, DB'da faqat token_hash
+export function ticketTokenOk(row, token) {
+  return !!(row?.token_hash && token && safeEqual(hashToken(token), row.token_hash));
+}
+
+// Shaxsiy maydonlar (ism, imtiyoz sababi) — faqat egasiga; ommaviy ko'rinish va SSE'da null
+export function ownerOnlyFields(row, owner) {
+  return {
+    fullName: owner ? row?.full_name || null : null,
+    priorityReason: owner ? row?.priority_reason ?? null : null,
+  };
+}
@@ -3,6 +3,9 @@
 // Muhim: bot ham /api/take endpointidan foydalanadi, shu sabab navbat tartibi buzilmaydi.
 
 import { Telegraf, Markup } from "telegraf";
+import { loadTgSession, saveTgSession } from "./tgusers.js";
+import { USER_NOTIFY_CHOICES } from "./notify.js";
+import { localNow } from "./hours.js";
 
 // Bot instance for server-side notifications
 let __botRef = null;
@@ -12,20 +15,35 @@ export function getBot() {
 }
 
 
-export async function tgSend(chatId, text, extra = {}) {
-  if (!__botRef) return false;
-  try {
-    await __botRef.telegram.sendMessage(chatId, text, { disable_web_page_preview: true, ...extra });
-    return true;
-  } catch (e) {
-    console.error("tgSend error:", e?.message || e);
-    return false;
-  }
-}
+// Xabarnoma kanali (outbox.js): Telegram chegarasi ~30 xabar/s umumiy, bitta chatga ~1/s.
+// 429 — retry_after kutiladi; 403 (bot bloklangan) / 400 (chat yo'q) — qayta urinish foydasiz.
+export const telegramChannel = {
+  name: "telegram",
+  enabled: () => !!__botRef,
+  ratePerSec: 25,
+  perTargetGapMs: 1000,
+  async send(chatId, { text, extra = {} }) {
+    try {
+      await __botRef.telegram.sendMessage(chatId, text, { disable_web_page_preview: true, ...extra });
+      return { ok: true };
+    } catch (e) {
+      const code = e?.response?.error_code;
+      const retryAfter = e?.response?.parameters?.retry_after;
+      return {
+        ok: false,
+        error: e?.message || String(e),
+        retryAfterMs: retryAfter ? retryAfter * 1000 : null,
+        permanent: code === 400 || code === 403,
+      };
+    }
+  },
+};
 
 export function startBot({
   port,
   publicUrl,
+  internalKey,
+  db,
 }) {
   const BOT_TOKEN = process.env.BOT_TOKEN;
   if (!BOT_TOKEN) {
@@ -41,21 +59,39 @@ export function startBot({
   let __launched = false;
   __botRef = bot;
 
-  // oddiy in-memory session (Render restart bo‘lsa ketadi — bu navbat raqamiga ta’sir qilmaydi)
-  const session = new Map();
-  const keyOf = (chatId) => String(chatId);
-  const setSess = (chatId, data) => {
-    session.set(keyOf(chatId), { ...(session.get(keyOf(chatId)) || {}), ...data });
-  };
-  const getSess = (chatId) => session.get(keyOf(chatId)) || {};
+  // session telegram_users jadvalida (tgusers.js): restart va bir nechta instansiyada ham saqlanadi.
+  // Har update boshida bir marta o'qiladi (ctx.sess), setSess darhol yozadi.
+  bot.use(async (ctx, next) => {
+    if (ctx.chat?.id !== undefined) ctx.sess = await loadTgSession(db, ctx.chat.id);
+    return next();
+  });
+  const getSess = (ctx) => ctx.sess || {};
+  async function setSess(ctx, data) {
+    ctx.sess = { ...(ctx.sess || {}), ...data };
+    await saveTgSession(db, ctx.chat.id, data, { telegramUserId: ctx.from?.id });
+  }
 
-  async function getJson(url) {
-    const r = await fetch(url, { cache: "no-store" });
+  // bot-only endpointlar (/api/tg/*, bot nomidan bekor qilish) uchun
+  const INTERNAL_HEADERS = internalKey ? { "X-Internal-Key": internalKey } : {};
+
+  async function getJson(url, { internal = false } = {}) {
+    const r = await fetch(url, { cache: "no-store", headers: internal ? INTERNAL_HEADERS : {} });
     const j = await r.json().catch(() => ({}));
     if (!r.ok) throw new Error(j?.error || `Fetch failed ${r.status}: ${url}`);
     return j;
   }
 
+  async function postJson(url, body, { internal = false } = {}) {
+    const r = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...(internal ? INTERNAL_HEADERS : {}) },
+      body: JSON.stringify(body),
+    });
+    const j = await r.json().catch(() => ({}));
+    if (!r.ok || !j.ok) throw new Error(j?.error || `Fetch failed ${r.status}: ${url}`);
+    return j;
+  }
+
   // ====== LANGUAGE LAYER ======
   const T = {
     chooseLang: { uz: "Tilni tanlang:", ru: "Выберите язык:" },
@@ -65,16 +101,21 @@ export function startBot({
     menuNavbat: { uz: "📲 Navbat olish", ru: "📲 Получить очередь" },
     menuHolat: { uz: "🧾 Holatim", ru: "🧾 Мой статус" },
     menuTil: { uz: "🌐 Tilni o‘zgartirish", ru: "🌐 Сменить язык" },
+    menuPhone: { uz: "📞 Telefon raqamni yuborish", ru: "📞 Отправить номер" },
+    phoneSaved: { uz: "✅ Telefon raqam saqlandi.", ru: "✅ Номер сохранён." },
+    phoneNotOwn: { uz: "Faqat o‘zingizning raqamingizni yuboring.", ru: "Отправьте, пожалуйста, свой номер." },
 
     helpText: {
-      uz: "NAVBATUZ bot\n\n/navbat - navbat olish\n/holat <ticketId> - ticket holati\n/til - tilni o‘zgartirish",
-      ru: "NAVBATUZ bot\n\n/navbat - получить очередь\n/holat <ticketId> - статус талона\n/til - сменить язык",
+      uz: "NAVBATUZ bot\n\n/navbat - navbat olish\n/mytickets - mening navbatlarim\n/holat <ticketId> - ticket holati\n/notify - xabarnoma sozlamasi\n/til - tilni o‘zgartirish",
+      ru: "NAVBATUZ bot\n\n/navbat - получить очередь\n/mytickets - мои талоны\n/holat <ticketId> - статус талона\n/notify - настройка уведомлений\n/til - сменить язык",
     },
 
     pickRegion: { uz: "Viloyat tanlang:", ru: "Выберите область:" },
     pickUnit: { uz: "Tuman/Shahar tanlang:", ru: "Выберите район/город:" },
     noOrgs: { uz: "Hozircha bu tuman/shahar uchun muassasa yo‘q.", ru: "Пока нет учреждений для этого района/города." },
     pickOrg: { uz: "Muassasa tanlang:", ru: "Выберите учреждение:" },
+    pickService: { uz: "Xizmat turini tanlang:", ru: "Выберите тип услуги:" },
+    service: { uz: "Xizmat", ru: "Услуга" },
 
     askName: {
       uz: "Ism va familiyangizni yozing (masalan: <b>Ali Valiyev</b>)",
@@ -102,10 +143,74 @@ export function startBot({
     minutes: { uz: "daqiqa", ru: "мин" },
     ticketId: { uz: "Ticket ID", ru: "ID талона" },
     link: { uz: "Link", ru: "Ссылка" },
+    counter: { uz: "Oyna", ru: "Окно" },
+    goCounter: { uz: "👉 {n}-oynaga boring!", ru: "👉 Подойдите к окну {n}!" },
+
+    noActiveTickets: { uz: "Sizda faol navbat yo‘q. /navbat — navbat olish", ru: "У вас нет активных талонов. /navbat — получить очередь" },
+    nowServing: { uz: "Hozir", ru: "Сейчас" },
+    statusLabel: { uz: "Holat", ru: "Статус" },
+    status: {
+      waiting: { uz: "⏳ Kutmoqda", ru: "⏳ Ожидает" },
+      called: { uz: "📣 Chaqirildi", ru: "📣 Вызван" },
+      missed: { uz: "⚠️ O‘tkazib yuborildi", ru: "⚠️ Пропущен" },
+      served: { uz: "✅ Xizmat ko‘rsatildi", ru: "✅ Обслужен" },
+      cancelled: { uz: "🗑 Bekor qilindi", ru: "🗑 Отменён" },
+    },
+    btnRefresh: { uz: "🔄 Yangilash", ru: "🔄 Обновить" },
+    btnOpen: { uz: "🌐 Ochish", ru: "🌐 Открыть" },
+    btnCancel: { uz: "❌ Bekor qilish", ru: "❌ Отменить" },
+    confirmCancel: { uz: "Navbat bekor qilinsinmi?", ru: "Отменить талон?" },
+    btnYesCancel: { uz: "✅ Ha, bekor qilish", ru: "✅ Да, отменить" },
+    btnNo: { uz: "↩️ Yo‘q", ru: "↩️ Нет" },
+    refreshed: { uz: "Yangilandi", ru: "Обновлено" },
+    cancelledOk: { uz: "Bekor qilindi", ru: "Отменено" },
+    btnBack: { uz: "🙋 Qaytdim", ru: "🙋 Я вернулся" },
+    backOk: { uz: "Navbatga qaytdingiz — tez orada chaqirilasiz", ru: "Вы снова в очереди — скоро вас вызовут" },
+    graceUntil: { uz: "Qaytish mumkin: {t} gacha", ru: "Вернуться можно до {t}" },
+    graceLeft: { uz: "Qaytish mumkin: yana {n} ta raqam o‘tguncha", ru: "Вернуться можно, пока не пройдут ещё {n} номеров" },
+
+    // xabarnoma: "N ta qolganda xabar bering"
+    notifyPick: {
+      uz: "Navbatingizga nechta odam qolganda qo‘shimcha xabar yuboraylik?\nHozir: {cur}",
+      ru: "Когда дополнительно уведомить — сколько человек перед вами?\nСейчас: {cur}",
+    },
+    notifyN: { uz: "{n} ta qolganda", ru: "За {n} чел." },
+    notifyDefault: { uz: "Standart", ru: "Стандарт" },
+    notifySaved: { uz: "✅ Saqlandi: {cur}", ru: "✅ Сохранено: {cur}" },
+
+    // operator rejimi
+    opUsage: {
+      uz: "Operator rejimi: admin paneldagi “📱 Telegram ulash” kodini yuboring:\n/operator KOD\n\n/operator — panel, /operator off — uzish",
+      ru: "Режим оператора: отправьте код из админ-панели (“📱 Telegram ulash”):\n/operator КОД\n\n/operator — панель, /operator off — отвязать",
+    },
+    opLinked: { uz: "✅ Telegram hisobingiz operatorga bog‘landi: {name}", ru: "✅ Аккаунт привязан к оператору: {name}" },
+    opUnlinked: { uz: "Operator rejimi o‘chirildi.", ru: "Режим оператора отключён." },
+    opNoOrgs: { uz: "Sizga biriktirilgan faol muassasa yo‘q.", ru: "Нет назначенных активных учреждений." },
+    opPickOrg: { uz: "Muassasani tanlang:", ru: "Выберите учреждение:" },
+    opPickCounter: { uz: "Oynani tanlang:", ru: "Выберите окно:" },
+    opCounterN: { uz: "{n}-oyna", ru: "Окно {n}" },
+    opAtCounter: { uz: "Oynada", ru: "У окна" },
+    opWaiting: { uz: "Kutayotganlar", ru: "Ожидают" },
+    opClosed: { uz: "🔒 Yopiq", ru: "🔒 Закрыто" },
+    opNext: { uz: "▶️ Keyingi", ru: "▶️ Следующий" },
+    opCallAgain: { uz: "🔁 Qayta chaqirish", ru: "🔁 Вызвать снова" },
+    opSkip: { uz: "⏭ O‘tkazish", ru: "⏭ Пропустить" },
+    opSwitch: { uz: "🏢 Almashtirish", ru: "🏢 Сменить" },
+    opReset: { uz: "♻️ Reset", ru: "♻️ Сброс" },
+    opResetConfirm: {
+      uz: "Navbat 0 dan boshlanadi, barcha faol ticketlar bekor qilinadi. Davom etilsinmi?",
+      ru: "Очередь начнётся с нуля, все активные талоны будут отменены. Продолжить?",
+    },
+    opYesReset: { uz: "✅ Ha, reset", ru: "✅ Да, сбросить" },
+    opCalled: { uz: "Chaqirildi: {n}", ru: "Вызван: {n}" },
+    opQueueEmpty: { uz: "Navbatda hech kim yo‘q", ru: "Очередь пуста" },
+    opNothingAtCounter: { uz: "Oynada ticket yo‘q", ru: "У окна нет талона" },
+    opSkipped: { uz: "O‘tkazib yuborildi", ru: "Пропущен" },
+    opResetDone: { uz: "Navbat reset qilindi", ru: "Очередь сброшена" },
   };
 
   function getLang(ctx) {
-    const s = getSess(ctx.chat.id);
+    const s = getSess(ctx);
     if (s.lang === "uz" || s.lang === "ru") return s.lang;
     const code = ctx.from?.language_code || "";
     if (code.startsWith("ru")) return "ru";
@@ -123,53 +228,146 @@ export function startBot({
     ]);
   }
 
-  async function sendMenu(ctx) {
+  // telefon hali saqlanmagan bo'lsa — "kontaktni yuborish" tugmasi ham
+  function menuKeyboard(ctx) {
     const lang = getLang(ctx);
-    const kb = Markup.keyboard([
+    return Markup.keyboard([
       [T.menuNavbat[lang], T.menuHolat[lang]],
-      [T.menuTil[lang]],
+      getSess(ctx).phone ? [T.menuTil[lang]] : [T.menuTil[lang], Markup.button.contactRequest(T.menuPhone[lang])],
     ])
       .resize()
       .persistent();
+  }
 
-    await ctx.reply(T.menuTitle[lang], kb);
+  async function sendMenu(ctx) {
+    const lang = getLang(ctx);
+    await ctx.reply(T.menuTitle[lang], menuKeyboard(ctx));
     await ctx.reply(T.helpText[lang]);
   }
 
-  // ====== geo.json -> bot format ======
+  // ====== /api/geo/tree (hududlar + muassasalar, server ichida) -> bot format ======
   async function buildGeoForBot() {
-    const cfg = await getJson(`${API_BASE_INTERNAL}/geo.json`);
-    const regionsRaw = await getJson(cfg.sources.regions);
-    const districtsRaw = await getJson(cfg.sources.districts);
+    const tree = await getJson(`${API_BASE_INTERNAL}/api/geo/tree`);
+
+    const regions = [];
+    const units = [];
+    const orgsByUnitUzKey = {};
+
+    for (const r of tree.regions || []) {
+      regions.push({ id: String(r.id), nameUz: r.name?.uz || "", nameRu: r.name?.ru || "" });
+      for (const u of r.units || []) {
+        units.push({
+          id: String(u.id),
+          regionId: String(r.id),
+          kind: u.kind,
+          nameUz: u.name?.uz || "",
+          nameRu: u.name?.ru || "",
+        });
+        if (u.orgs?.length) orgsByUnitUzKey[`${r.name?.uz}|${u.name?.uz}`] = u.orgs;
+      }
+    }
 
-    let citiesRaw = [];
-    try {
-      citiesRaw = await getJson(cfg.sources.cities);
-    } catch {
-      citiesRaw = [];
+    return { regions, units, orgsByUnitUzKey };
+  }
+
+  // geo daraxti session'da saqlanmaydi (katta) — bot ichida qisqa muddat keshlanadi
+  let geoCache = { at: 0, data: null };
+  async function getGeo() {
+    if (!geoCache.data || Date.now() - geoCache.at > 60 * 1000) geoCache = { at: Date.now(), data: await buildGeoForBot() };
+    return geoCache.data;
+  }
+
+  function findOrgServices(geo, orgId) {
+    for (const arr of Object.values(geo.orgsByUnitUzKey || {})) {
+      const o = (arr || []).find((x) => String(x.id) === String(orgId));
+      if (o) return Array.isArray(o.services) ? o.services : [];
     }
+    return [];
+  }
 
-    const regions = regionsRaw.map((r) => ({
-      id: String(r.id ?? r.soato_id ?? r.code),
-      nameUz: String(r.name_uz ?? r.nameUz ?? r.name ?? ""),
-      nameRu: String(r.name_ru ?? r.nameRu ?? ""),
-    }));
-
-    const toUnit = (u, kind) => ({
-      id: String(u.id ?? u.soato_id ?? u.code ?? (u.name_uz || u.name_ru || "")),
-      regionId: String(u.region_id ?? u.regionId ?? u.parent_id ?? u.parentId ?? ""),
-      kind,
-      nameUz: String(u.name_uz ?? u.nameUz ?? u.name ?? ""),
-      nameRu: String(u.name_ru ?? u.nameRu ?? ""),
-    });
+  // "~12 daqiqa (8–17)"; ma'lumot bo'lmasa "-"
+  function fmtEta(t, lang) {
+    const e = t?.eta;
+    if (!e) return t?.etaMinutes != null ? `~${t.etaMinutes} ${T.minutes[lang]}` : "-";
+    if (e.minMinutes === e.maxMinutes) return `~${e.likelyMinutes} ${T.minutes[lang]}`;
+    return `~${e.likelyMinutes} ${T.minutes[lang]} (${e.minMinutes}–${e.maxMinutes})`;
+  }
 
-    const units = [
-      ...(Array.isArray(districtsRaw) ? districtsRaw : []).map((x) => toUnit(x, "district")),
-      ...(Array.isArray(citiesRaw) ? citiesRaw : []).map((x) => toUnit(x, "city")),
-    ].filter((u) => u.regionId);
+  const ACTIVE = ["waiting", "called", "missed"];
 
-    const orgsByUnitUzKey = cfg.orgsByUnitUzKey || {};
-    return { regions, units, orgsByUnitUzKey };
+  function ticketLink(ctx, id) {
+    const token = getSess(ctx).tickets?.[id];
+    return `${PUBLIC_BASE}/ticket.html?id=${id}${token ? `#t=${encodeURIComponent(token)}` : ""}`;
+  }
+
+  // ISO vaqt -> "HH:MM" (muassasa vaqt zonasida)
+  function hhmm(iso) {
+    const m = localNow(new Date(iso)).min;
+    return `${String(Math.floor(m / 60)).padStart(2, "0")}:${String(m % 60).padStart(2, "0")}`;
+  }
+
+  // /mytickets kartasi: bitta xabar = bitta ticket, tugmalar bosilganda shu xabar tahrirlanadi
+  function ticketCard(view, lang) {
+    const t = view.ticket;
+    const name = (x) => (x ? (lang === "ru" ? (x.ru || x.uz) : (x.uz || x.ru)) : "");
+    const org = name(t.orgName) || t.orgId;
+    const svc = name(t.serviceName);
+    const counterLine =
+      t.status === "called" && t.counter
+        ? `\n${T.goCounter[lang].replace("{n}", t.counterName ? `${t.counter} (${t.counterName})` : t.counter)}`
+        : "";
+    const g = t.status === "missed" && t.grace?.canReturn ? t.grace : null;
+    const graceLine = g?.untilAt
+      ? `\n${T.graceUntil[lang].replace("{t}", hhmm(g.untilAt))}`
+      : g?.positionsLeft != null
+        ? `\n${T.graceLeft[lang].replace("{n}", String(g.positionsLeft))}`
+        : "";
+    const active = ACTIVE.includes(t.status);
+
+    return (
+      `🎫 ${t.displayNumber || t.number} — ${org}\n` +
+      (svc ? `${T.service[lang]}: ${svc}\n` : "") +
+      `${T.statusLabel[lang]}: ${T.status[t.status]?.[lang] || t.status}\n` +
+      (active
+        ? `${T.nowServing[lang]}: ${view.nowServingLabel || view.nowServing}\n` +
+          `${T.remaining[lang]}: ${t.remaining}\n` +
+          `${T.eta[lang]}: ${fmtEta(t, lang)}`
+        : "") +
+      counterLine +
+      graceLine
+    );
+  }
+
+  function ticketKeyboard(ctx, view, lang) {
+    const t = view.ticket;
+    const row = [Markup.button.callback(T.btnRefresh[lang], `MT:R:${t.id}`), Markup.button.url(T.btnOpen[lang], ticketLink(ctx, t.id))];
+    if (ACTIVE.includes(t.status)) row.push(Markup.button.callback(T.btnCancel[lang], `MT:C:${t.id}`));
+    const rows = [row];
+    if (t.status === "missed" && t.grace?.canReturn) rows.unshift([Markup.button.callback(T.btnBack[lang], `MT:B:${t.id}`)]);
+    return Markup.inlineKeyboard(rows);
+  }
+
+  // o'zgarmagan matnni tahrirlash Telegram'da xato beradi — e'tiborsiz qoldiramiz
+  async function editCard(ctx, text, keyboard) {
+    try {
+      await ctx.editMessageText(text, keyboard);
+    } catch (e) {
+      if (!String(e?.description || e?.message || "").includes("message is not modified")) throw e;
+    }
+  }
+
+  async function showMyTickets(ctx) {
+    const lang = getLang(ctx);
+    const tg = String(ctx.from?.id || ctx.chat.id);
+    const j = await getJson(`${API_BASE_INTERNAL}/api/tg/tickets?telegramUserId=${encodeURIComponent(tg)}`, { internal: true });
+
+    if (!j.tickets?.length) {
+      await ctx.reply(T.noActiveTickets[lang]);
+      return;
+    }
+    for (const view of j.tickets) {
+      await ctx.reply(ticketCard(view, lang), ticketKeyboard(ctx, view, lang));
+    }
   }
 
   function chunk(arr, size) {
@@ -191,11 +389,11 @@ export function startBot({
   }
 
   async function ensureName(ctx) {
-    const s = getSess(ctx.chat.id);
+    const s = getSess(ctx);
     if (s.fullName && s.fullName.length >= 3) return s.fullName;
     const d = defaultFullNameFromTelegram(ctx);
     if (d && d.length >= 3) {
-      setSess(ctx.chat.id, { fullName: d });
+      await setSess(ctx, { fullName: d });
       return d;
     }
     return "";
@@ -219,8 +417,170 @@ export function startBot({
   });
 
   bot.hears(["🧾 Holatim", "🧾 Мой статус"], async (ctx) => {
+    try {
+      await showMyTickets(ctx);
+    } catch (e) {
+      await ctx.reply(tr(ctx, "errPrefix") + e.message);
+    }
+  });
+
+  // ====== OPERATOR MODE ======
+  // Bot admin HTTP route'larini chaqiradi (ichki kalit + X-Telegram-User-Id) — tranzaksiya mantig'i admin.html bilan bir xil.
+  // Session: opOrgId, opCounter.
+  async function opApi(ctx, pathAndQuery, body) {
+    const r = await fetch(`${API_BASE_INTERNAL}${pathAndQuery}`, {
+      method: body ? "POST" : "GET",
+      headers: {
+        ...INTERNAL_HEADERS,
+        "X-Telegram-User-Id": String(ctx.from?.id || ""),
+        ...(body ? { "Content-Type": "application/json" } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      cache: "no-store",
+    });
+    const j = await r.json().catch(() => ({}));
+    if (!r.ok || !j.ok) {
+      const e = new Error(j?.error || `HTTP ${r.status}`);
+      e.code = j?.code || null;
+      throw e;
+    }
+    return j;
+  }
+
+  const pickName = (x, lang) => (x ? (lang === "ru" ? (x.ru || x.uz) : (x.uz || x.ru)) : "");
+
+  async function opOrgs(ctx) {
+    const j = await opApi(ctx, "/api/admin/orgs");
+    return (j.orgs || []).filter((o) => o.active);
+  }
+
+  async function opPanel(ctx) {
+    const lang = getLang(ctx);
+    const s = getSess(ctx);
+    const orgId = s.opOrgId;
+    const counter = s.opCounter || 1;
+
+    const [q, me] = await Promise.all([
+      opApi(ctx, `/api/admin/queue?orgId=${encodeURIComponent(orgId)}`),
+      opApi(ctx, "/api/auth/me"),
+    ]);
+    const org = (await opOrgs(ctx)).find((o) => o.id === orgId);
+    const c = (q.counters || []).find((x) => x.counter === counter);
+    const cur = c?.ticketId ? q.tickets.find((t) => t.id === c.ticketId) : null;
+    const waiting = (q.tickets || []).filter((t) => t.status === "waiting");
+
+    const text =
+      `🧑‍💼 ${pickName(org?.name, lang) || orgId} • ${T.opCounterN[lang].replace("{n}", counter)}${c?.name ? ` (${c.name})` : ""}\n` +
+      (q.hours && !q.hours.open ? `${T.opClosed[lang]}\n` : "") +
+      `${T.opAtCounter[lang]}: ${cur ? `${cur.displayNumber}${cur.fullName ? ` — ${cur.fullName}` : ""}` : "—"}\n` +
+      `${T.opWaiting[lang]}: ${waiting.length}\n` +
+      waiting
+        .slice(0, 8)
+        .map((t) => `• ${t.displayNumber}${t.fullName ? ` — ${t.fullName}` : ""}`)
+        .join("\n");
+
+    const rows = [
+      [
+        Markup.button.callback(T.opNext[lang], "OP:N"),
+        Markup.button.callback(T.opCallAgain[lang], "OP:A"),
+        Markup.button.callback(T.opSkip[lang], "OP:S"),
+      ],
+      [Markup.button.callback(T.btnRefresh[lang], "OP:U"), Markup.button.callback(T.opSwitch[lang], "OP:M")],
+    ];
+    if (me.operator.role !== "operator") rows.push([Markup.button.callback(T.opReset[lang], "OP:X")]);
+
+    return { text, keyboard: Markup.inlineKeyboard(rows) };
+  }
+
+  // muassasa -> oyna tanlash; tanlov bitta bo'lsa o'tkazib yuboriladi.
+  // edit=true — "Almashtirish" tugmasi: callback xabari tahrirlanadi va tanlov qaytadan so'raladi
+  async function opStart(ctx, { edit = false } = {}) {
     const lang = getLang(ctx);
-    await ctx.reply(T.holatUsage[lang]);
+    const s = getSess(ctx);
+    const orgs = await opOrgs(ctx);
+    if (!orgs.length) return edit ? editCard(ctx, T.opNoOrgs[lang]) : ctx.reply(T.opNoOrgs[lang]);
+
+    if (orgs.length === 1) {
+      if (edit || s.opOrgId !== orgs[0].id) await setSess(ctx, { opOrgId: orgs[0].id, opCounter: null });
+      return opPickCounter(ctx, { edit });
+    }
+    if (!edit && orgs.some((o) => o.id === s.opOrgId)) return opPickCounter(ctx);
+
+    const buttons = orgs.slice(0, 50).map((o, i) => Markup.button.callback(pickName(o.name, lang) || o.id, `OP:O:${i}`));
+    const kb = Markup.inlineKeyboard(chunk(buttons, 1));
+    return edit ? editCard(ctx, T.opPickOrg[lang], kb) : ctx.reply(T.opPickOrg[lang], kb);
+  }
+
+  async function opPickCounter(ctx, { edit = false } = {}) {
+    const lang = getLang(ctx);
+    const s = getSess(ctx);
+    const j = await opApi(ctx, `/api/admin/counters?orgId=${encodeURIComponent(s.opOrgId)}`);
+    const counters = (j.counters || []).filter((c) => c.active);
+
+    if (!s.opCounter || !counters.some((c) => c.counter === s.opCounter)) {
+      if (counters.length > 1) {
+        const buttons = counters.map((c) =>
+          Markup.button.callback(T.opCounterN[lang].replace("{n}", c.counter) + (c.name ? ` (${c.name})` : ""), `OP:C:${c.counter}`)
+        );
+        const kb = Markup.inlineKeyboard(chunk(buttons, 2));
+        return edit ? editCard(ctx, T.opPickCounter[lang], kb) : ctx.reply(T.opPickCounter[lang], kb);
+      }
+      await setSess(ctx, { opCounter: counters[0]?.counter || 1 });
+    }
+
+    const p = await opPanel(ctx);
+    return edit ? editCard(ctx, p.text, p.keyboard) : ctx.reply(p.text, p.keyboard);
+  }
+
+  bot.command("operator", async (ctx) => {
+    const lang = getLang(ctx);
+    try {
+      const arg = (ctx.message.text || "").split(/\s+/)[1] || "";
+      const tg = String(ctx.from?.id || "");
+
+      if (arg.toLowerCase() === "off") {
+        await postJson(`${API_BASE_INTERNAL}/api/tg/operator/unlink`, { telegramUserId: tg }, { internal: true });
+        await setSess(ctx, { opOrgId: null, opCounter: null });
+        await ctx.reply(T.opUnlinked[lang]);
+        return;
+      }
+
+      if (arg) {
+        const j = await postJson(`${API_BASE_INTERNAL}/api/tg/operator/link`, { code: arg, telegramUserId: tg }, { internal: true });
+        await ctx.reply(T.opLinked[lang].replace("{name}", j.operator.fullName || j.operator.username));
+      }
+
+      await opStart(ctx);
+    } catch (e) {
+      if (e.code === "tg_not_linked") return ctx.reply(T.opUsage[lang]);
+      await ctx.reply(tr(ctx, "errPrefix") + e.message);
+    }
+  });
+
+  // Foydalanuvchi chegarasi muassasa siyosatiga qo'shiladi (server: notifyQueueProgress)
+  function notifyLabel(lang, n) {
+    return n === null || n === undefined ? T.notifyDefault[lang] : T.notifyN[lang].replace("{n}", String(n));
+  }
+  function notifyKeyboard(lang, cur) {
+    const mark = (n, label) => (cur === n ? `✅ ${label}` : label);
+    return Markup.inlineKeyboard([
+      USER_NOTIFY_CHOICES.map((n) => Markup.button.callback(mark(n, String(n)), `NT:${n}`)),
+      [Markup.button.callback(mark(null, T.notifyDefault[lang]), "NT:0")],
+    ]);
+  }
+
+  bot.command("notify", async (ctx) => {
+    const lang = getLang(ctx);
+    const cur = getSess(ctx).notifyAt ?? null;
+    await ctx.reply(T.notifyPick[lang].replace("{cur}", notifyLabel(lang, cur)), notifyKeyboard(lang, cur));
+  });
+
+  bot.command("mytickets", async (ctx) => {
+    try {
+      await showMyTickets(ctx);
+    } catch (e) {
+      await ctx.reply(tr(ctx, "errPrefix") + e.message);
+    }
   });
 
   bot.hears(["🌐 Tilni o‘zgartirish", "🌐 Сменить язык"], async (ctx) => {
@@ -229,8 +589,8 @@ export function startBot({
 
   bot.command("navbat", async (ctx) => {
     try {
-      const geo = await buildGeoForBot();
-      setSess(ctx.chat.id, { geo, step: "region", regionId: null, unitId: null, orgId: null });
+      const geo = await getGeo();
+      await setSess(ctx, { step: "region", regionId: null, unitId: null, orgId: null, serviceId: null });
 
       const lang = getLang(ctx);
       const buttons = geo.regions
@@ -259,17 +619,33 @@ export function startBot({
 
       const lang = getLang(ctx);
       const t = j.ticket;
+      const counterLine =
+        t.status === "called" && t.counter
+          ? `\n${T.goCounter[lang].replace("{n}", t.counterName ? `${t.counter} (${t.counterName})` : t.counter)}`
+          : "";
       await ctx.reply(
-        `Ticket: ${t.id}\nOrg: ${t.orgId}\n${T.number[lang]}: ${t.number}\nHozirgi: ${t.currentNumber}\n${T.remaining[lang]}: ${t.remaining}\n${T.eta[lang]}: ~${t.etaMinutes ?? "-"} ${T.minutes[lang]}\nStatus: ${t.status}`
+        `Ticket: ${t.id}\nOrg: ${t.orgId}\n${T.number[lang]}: ${t.displayNumber || t.number}\nHozirgi: ${t.currentNumber}\n${T.remaining[lang]}: ${t.remaining}\n${T.eta[lang]}: ${fmtEta(t, lang)}\nStatus: ${t.status}${counterLine}`
       );
     } catch (e) {
       await ctx.reply(tr(ctx, "errPrefix") + e.message);
     }
   });
 
+  // Telefon: faqat o'z kontakti (boshqa odamning kontaktini ulashish qabul qilinmaydi)
+  bot.on("contact", async (ctx) => {
+    const c = ctx.message.contact;
+    if (!c?.phone_number || c.user_id !== ctx.from?.id) {
+      await ctx.reply(tr(ctx, "phoneNotOwn"));
+      return;
+    }
+    const phone = String(c.phone_number).replace(/[^\d+]/g, "").slice(0, 20);
+    await setSess(ctx, { phone: phone.startsWith("+") ? phone : `+${phone}` });
+    await ctx.reply(tr(ctx, "phoneSaved"), menuKeyboard(ctx));
+  });
+
   // Name input step
   bot.on("text", async (ctx, next) => {
-    const s = getSess(ctx.chat.id);
+    const s = getSess(ctx);
     if (s.step !== "name") return next();
 
     const name = normalizeFullName(ctx.message.text);
@@ -278,15 +654,19 @@ export function startBot({
       return;
     }
 
-    setSess(ctx.chat.id, { fullName: name, step: "org_take" });
+    await setSess(ctx, { fullName: name, step: "org_take" });
     await ctx.reply(tr(ctx, "nameSaved"));
 
-    // endi navbat olishni davom ettiramiz
-    await takeTicket(ctx);
+    // endi navbat olishni davom ettiramiz (cheklov/yopiq xabari server tilida keladi)
+    try {
+      await takeTicket(ctx);
+    } catch (e) {
+      await ctx.reply(tr(ctx, "errPrefix") + e.message);
+    }
   });
 
   async function takeTicket(ctx) {
-    const s = getSess(ctx.chat.id);
+    const s = getSess(ctx);
     const orgId = s.orgId;
     if (!orgId) {
       await ctx.reply(tr(ctx, "errPrefix") + "orgId topilmadi");
@@ -295,7 +675,7 @@ export function startBot({
 
     const fullName = (await ensureName(ctx)) || s.fullName || "";
     if (!fullName) {
-      setSess(ctx.chat.id, { step: "name" });
+      await setSess(ctx, { step: "name" });
       await ctx.reply(tr(ctx, "askName"), { parse_mode: "HTML" });
       return;
     }
@@ -305,11 +685,13 @@ export function startBot({
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify({
         orgId,
+        serviceId: s.serviceId || "",
         platform: "bot",
         userId: String(ctx.chat.id),
         fullName,
         telegramChatId: String(ctx.chat.id),
         telegramUserId: String(ctx.from?.id || ctx.chat.id),
+        lang: getLang(ctx),
       }),
     });
     const j = await r.json().catch(() => ({}));
@@ -317,18 +699,24 @@ export function startBot({
 
     const lang = getLang(ctx);
     const t = j.ticket;
-    const webLink = `${PUBLIC_BASE}/ticket.html?id=${t.id}`;
+    // egalik tokeni: bekor qilish va h.k. uchun (link fragmentida ham)
+    const tokens = Object.entries({ ...(s.tickets || {}), [t.id]: j.ticketToken }).slice(-10);
+    await setSess(ctx, { tickets: Object.fromEntries(tokens), lastOrgId: orgId });
+    const webLink = `${PUBLIC_BASE}/ticket.html?id=${t.id}#t=${encodeURIComponent(j.ticketToken)}`;
+
+    const svcName = t.serviceName ? (lang === "ru" ? (t.serviceName.ru || t.serviceName.uz) : (t.serviceName.uz || t.serviceName.ru)) : "";
 
     await ctx.reply(
       `${T.ticketTaken[lang]}\n\n` +
-        `${T.number[lang]}: ${t.number}\n` +
+        `${T.number[lang]}: ${t.displayNumber || t.number}\n` +
+        (svcName ? `${T.service[lang]}: ${svcName}\n` : "") +
         `${T.remaining[lang]}: ${t.remaining}\n` +
-        `${T.eta[lang]}: ~${t.etaMinutes ?? "-"} ${T.minutes[lang]}\n\n` +
+        `${T.eta[lang]}: ${fmtEta(t, lang)}\n\n` +
         `${T.ticketId[lang]}: ${t.id}\n` +
         `${T.link[lang]}: ${webLink}`
     );
 
-    setSess(ctx.chat.id, { step: null });
+    await setSess(ctx, { step: null });
   }
 
   bot.on("callback_query", async (ctx) => {
@@ -339,7 +727,7 @@ export function startBot({
       // LANGUAGE
       if (data.startsWith("LANG:")) {
         const lang = data.split(":")[1] === "ru" ? "ru" : "uz";
-        setSess(chatId, { lang });
+        await setSess(ctx, { lang });
 
         if (lang === "uz") await ctx.answerCbQuery(T.langSetUz.uz);
         else await ctx.answerCbQuery(T.langSetRu.ru);
@@ -349,14 +737,122 @@ export function startBot({
         return;
       }
 
-      const s = getSess(chatId);
-      const geo = s.geo || (await buildGeoForBot());
+      // XABARNOMA: NT:<n> (0 = standart)
+      if (data.startsWith("NT:")) {
+        const lang = getLang(ctx);
+        const n = Number(data.split(":")[1]);
+        const notifyAt = USER_NOTIFY_CHOICES.includes(n) ? n : null;
+        await setSess(ctx, { notifyAt });
+        await ctx.answerCbQuery(T.notifySaved[lang].replace("{cur}", notifyLabel(lang, notifyAt)));
+        await ctx.editMessageText(
+          T.notifyPick[lang].replace("{cur}", notifyLabel(lang, notifyAt)),
+          notifyKeyboard(lang, notifyAt)
+        );
+        return;
+      }
+
+      // OPERATOR: OP:O:<i> muassasa, OP:C:<n> oyna, OP:N keyingi, OP:A qayta chaqirish, OP:S o'tkazish,
+      // OP:U yangilash, OP:M almashtirish, OP:X / OP:XY reset (tasdiq bilan)
+      if (data.startsWith("OP:")) {
+        const [, action, arg] = data.split(":");
+        const lang = getLang(ctx);
+        const s = getSess(ctx);
+        const counter = s.opCounter || 1;
+        let note = "";
+
+        try {
+          if (action === "O") {
+            const org = (await opOrgs(ctx))[Number(arg)];
+            if (!org) throw new Error(T.notFoundChoice[lang]);
+            await setSess(ctx, { opOrgId: org.id, opCounter: null });
+            await ctx.answerCbQuery();
+            await opPickCounter(ctx, { edit: true });
+            return;
+          }
+          if (action === "C") {
+            await setSess(ctx, { opCounter: Number(arg) || 1 });
+          } else if (action === "M") {
+            await ctx.answerCbQuery();
+            await opStart(ctx, { edit: true });
+            return;
+          } else if (action === "N") {
+            const j = await opApi(ctx, "/api/admin/next", { orgId: s.opOrgId, counter });
+            note = j.called ? T.opCalled[lang].replace("{n}", j.called.displayNumber) : T.opQueueEmpty[lang];
+          } else if (action === "A") {
+            const j = await opApi(ctx, "/api/admin/callAgain", { orgId: s.opOrgId, counter });
+            note = T.opCalled[lang].replace("{n}", j.called.displayNumber);
+          } else if (action === "S") {
+            const c = (await opApi(ctx, `/api/admin/counters?orgId=${encodeURIComponent(s.opOrgId)}`)).counters
+              .find((x) => x.counter === counter);
+            if (!c?.ticketId) throw new Error(T.opNothingAtCounter[lang]);
+            await opApi(ctx, "/api/admin/skip", { orgId: s.opOrgId, ticketId: c.ticketId });
+            note = T.opSkipped[lang];
+          } else if (action === "X") {
+            await ctx.answerCbQuery();
+            await editCard(
+              ctx,
+              T.opResetConfirm[lang],
+              Markup.inlineKeyboard([[Markup.button.callback(T.opYesReset[lang], "OP:XY"), Markup.button.callback(T.btnNo[lang], "OP:U")]])
+            );
+            return;
+          } else if (action === "XY") {
+            await opApi(ctx, "/api/admin/reset", { orgId: s.opOrgId });
+            note = T.opResetDone[lang];
+          }
+        } catch (e) {
+          if (e.code === "tg_not_linked") {
+            await ctx.answerCbQuery();
+            await editCard(ctx, T.opUsage[lang]);
+            return;
+          }
+          note = e.message;
+        }
+
+        const p = await opPanel(ctx);
+        await editCard(ctx, p.text, p.keyboard);
+        await ctx.answerCbQuery(note ? note.slice(0, 190) : T.refreshed[lang]);
+        return;
+      }
+
+      // MY TICKETS: MT:R:<id> yangilash, MT:C:<id> tasdiqlash so'rash, MT:CY:<id> bekor qilish
+      if (data.startsWith("MT:")) {
+        const [, action, id] = data.split(":");
+        const lang = getLang(ctx);
+
+        if (action === "C") {
+          await ctx.answerCbQuery();
+          await ctx.editMessageReplyMarkup(
+            Markup.inlineKeyboard([
+              [Markup.button.callback(T.btnYesCancel[lang], `MT:CY:${id}`), Markup.button.callback(T.btnNo[lang], `MT:R:${id}`)],
+            ]).reply_markup
+          );
+          return;
+        }
+
+        if (action === "CY" || action === "B") {
+          await postJson(
+            `${API_BASE_INTERNAL}${action === "CY" ? "/api/cancel" : "/api/ticket/back"}`,
+            { ticketId: id, telegramUserId: String(ctx.from?.id || chatId), ticketToken: getSess(ctx).tickets?.[id] },
+            { internal: true }
+          );
+        }
+
+        const view = await getJson(`${API_BASE_INTERNAL}/api/ticket/${encodeURIComponent(id)}`);
+        await editCard(ctx, ticketCard(view, lang), ticketKeyboard(ctx, view, lang));
+        await ctx.answerCbQuery(
+          action === "CY" ? T.cancelledOk[lang] : action === "B" ? T.backOk[lang] : T.refreshed[lang]
+        );
+        return;
+      }
+
+      const s = getSess(ctx);
+      const geo = await getGeo();
       const lang = getLang(ctx);
 
       // REGION
       if (data.startsWith("REGION:")) {
         const regionId = data.split(":")[1];
-        setSess(chatId, { regionId, step: "unit", geo });
+        await setSess(ctx, { regionId, step: "unit" });
 
         const units = geo.units.filter((u) => String(u.regionId) === String(regionId));
         const buttons = units.slice(0, 60).map((u) => {
@@ -372,7 +868,7 @@ export function startBot({
       // UNIT
       if (data.startsWith("UNIT:")) {
         const unitId = data.split(":")[1];
-        setSess(chatId, { unitId, step: "org", geo });
+        await setSess(ctx, { unitId, step: "org" });
 
         const region = geo.regions.find((r) => String(r.id) === String(s.regionId));
         const unit = geo.units.find((u) => String(u.id) === String(unitId));
@@ -401,11 +897,34 @@ export function startBot({
       // ORG
       if (data.startsWith("ORG:")) {
         const orgId = decodeURIComponent(data.split(":")[1] || "");
-        setSess(chatId, { orgId, step: "org_take" });
+        const services = findOrgServices(geo, orgId);
 
         // Telegraf callback'ni tez yopib qo'yamiz
         try { await ctx.answerCbQuery("OK"); } catch {}
 
+        // bir nechta xizmat turi bo'lsa avval xizmatni tanlatamiz
+        if (services.length > 1) {
+          await setSess(ctx, { orgId, serviceId: null, step: "service" });
+          const buttons = services.map((x) => {
+            const nm = lang === "ru" ? (x.name?.ru || x.name?.uz || x.id) : (x.name?.uz || x.name?.ru || x.id);
+            return Markup.button.callback(`${x.prefix || x.id} – ${nm}`, `SVC:${encodeURIComponent(x.id)}`);
+          });
+          await ctx.editMessageText(tr(ctx, "pickService"), Markup.inlineKeyboard(chunk(buttons, 1)));
+          return;
+        }
+
+        await setSess(ctx, { orgId, serviceId: services[0]?.id || null, step: "org_take" });
+        await takeTicket(ctx);
+        return;
+      }
+
+      // SERVICE
+      if (data.startsWith("SVC:")) {
+        const serviceId = decodeURIComponent(data.split(":")[1] || "");
+        await setSess(ctx, { serviceId, step: "org_take" });
+
+        try { await ctx.answerCbQuery("OK"); } catch {}
+
         await takeTicket(ctx);
         return;
       }
@@ -0,0 +1,182 @@
+// eta.js (Node >=18, ESM)
+// Navbat ETA modeli (muassasa + xizmat bo'yicha):
+//  1) so'nggi xizmatlar oqimi — served_at oralig'ining eksponensial silliqlangan (EWMA) qiymati;
+//  2) bitta ticketga ketgan vaqt (called_at -> served_at) EWMA / faol oynalar soni;
+//  3) tarix — oxirgi 8 haftada shu hafta kuni va soatdagi o'rtacha o'tkazuvchanlik.
+// Uzun tanaffuslar (IDLE_GAP_SEC dan katta oraliq) hisobga olinmaydi.
+// Natija: bitta ticket uchun oraliq (sek) + o'zgaruvchanlik (cv) -> min/likely/max.
+
+const RECENT_WINDOW_MIN = 180;
+const RECENT_LIMIT = 30;
+const IDLE_GAP_SEC = Math.max(60, Number(process.env.ETA_IDLE_GAP_SEC) || 900);
+const ALPHA = 0.3;
+const HISTORY_DAYS = 56;
+const HISTORY_CACHE_MS = 10 * 60 * 1000;
+const DEFAULT_CV = 0.5;
+const Z90 = 1.2816;
+
+const historyCache = new Map(); // `${orgId}|${serviceId}` -> { at, slots: Map("dow:h" -> sec), byHour, overall }
+
+// yangi qiymatlar oldinda (DESC) keladi — eng eskisidan boshlab silliqlaymiz
+export function ewma(values, alpha = ALPHA) {
+  if (!values.length) return null;
+  let s = values[values.length - 1];
+  for (let i = values.length - 2; i >= 0; i--) s = alpha * values[i] + (1 - alpha) * s;
+  return s;
+}
+
+function cvOf(values) {
+  if (values.length < 3) return null;
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  if (!mean) return null;
+  const sd = Math.sqrt(values.reduce((a, b) => a + (b - mean) ** 2, 0) / (values.length - 1));
+  return sd / mean;
+}
+
+async function loadHistory(db, orgId, serviceId, tz) {
+  const key = `${orgId}|${serviceId ?? "*"}`;
+  const hit = historyCache.get(key);
+  if (hit && Date.now() - hit.at < HISTORY_CACHE_MS) return hit;
+
+  const r = await db.query(
+    `SELECT extract(isodow FROM served_at AT TIME ZONE $3)::int AS dow,
+            extract(hour FROM served_at AT TIME ZONE $3)::int AS h,
+            count(*)::int AS n,
+            count(DISTINCT (served_at AT TIME ZONE $3)::date)::int AS days
+     FROM tickets
+     WHERE org_id=$1 AND ($2::text IS NULL OR service_id=$2)
+       AND status='served' AND served_at IS NOT NULL
+       AND served_at > now() - make_interval(days => $4)
+     GROUP BY 1, 2`,
+    [orgId, serviceId, tz, HISTORY_DAYS]
+  );
+
+  // soatiga xizmat soni -> bitta ticket oralig'i (sek)
+  const slots = new Map();
+  const byHourAcc = new Map();
+  let totalN = 0;
+  let totalSlotDays = 0;
+  for (const x of r.rows) {
+    if (x.n >= 3) slots.set(`${x.dow}:${x.h}`, 3600 / (x.n / x.days));
+    const a = byHourAcc.get(x.h) || { n: 0, days: 0 };
+    a.n += x.n;
+    a.days += x.days;
+    byHourAcc.set(x.h, a);
+    totalN += x.n;
+    totalSlotDays += x.days;
+  }
+  const byHour = new Map();
+  for (const [h, a] of byHourAcc) if (a.n >= 3) byHour.set(h, 3600 / (a.n / a.days));
+
+  const entry = {
+    at: Date.now(),
+    slots,
+    byHour,
+    overall: totalN >= 3 ? 3600 / (totalN / totalSlotDays) : null,
+  };
+  historyCache.set(key, entry);
+  return entry;
+}
+
+// { dow: 1..7 (ISO), hour } — tz bo'yicha hozir
+function slotNow(tz, now = new Date()) {
+  const p = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", { timeZone: tz, weekday: "short", hour: "2-digit", hourCycle: "h23" })
+      .formatToParts(now)
+      .map((x) => [x.type, x.value])
+  );
+  const dow = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"].indexOf(p.weekday) + 1;
+  return { dow, hour: Number(p.hour) };
+}
+
+// Bitta ticketga o'rtacha oraliq: { intervalSec, cv, basis, counters } yoki null (ma'lumot yo'q)
+// serviceId=null — butun muassasa bo'yicha
+export async function estimateService(db, { orgId, serviceId = null, tz }) {
+  const recent = await db.query(
+    `SELECT served_at, called_at
+     FROM tickets
+     WHERE org_id=$1 AND ($2::text IS NULL OR service_id=$2)
+       AND status='served' AND served_at IS NOT NULL
+       AND served_at > now() - make_interval(mins => $3)
+     ORDER BY served_at DESC
+     LIMIT $4`,
+    [orgId, serviceId, RECENT_WINDOW_MIN, RECENT_LIMIT]
+  );
+
+  // (1) oqim: ketma-ket served_at oralig'i
+  const gaps = [];
+  for (let i = 0; i < recent.rows.length - 1; i++) {
+    const d = (new Date(recent.rows[i].served_at) - new Date(recent.rows[i + 1].served_at)) / 1000;
+    if (d > 5 && d < IDLE_GAP_SEC) gaps.push(d);
+  }
+
+  // (2) bitta ticket xizmati / faol oynalar
+  const handles = recent.rows
+    .filter((x) => x.called_at)
+    .map((x) => (new Date(x.served_at) - new Date(x.called_at)) / 1000)
+    .filter((d) => d > 5 && d < IDLE_GAP_SEC * 2);
+
+  const c = await db.query(
+    `SELECT count(DISTINCT t.counter_no)::int AS n
+     FROM tickets t
+     JOIN org_counters oc ON oc.org_id=t.org_id AND oc.counter_no=t.counter_no AND oc.active
+     WHERE t.org_id=$1 AND ($2::text IS NULL OR t.service_id=$2)
+       AND t.called_at > now() - interval '60 minutes'`,
+    [orgId, serviceId]
+  );
+  const counters = Math.max(1, c.rows[0]?.n || 0);
+
+  const flow = gaps.length >= 2 ? ewma(gaps) : null;
+  const handle = handles.length >= 2 ? ewma(handles) / counters : null;
+
+  // (3) tarix: shu hafta kuni+soat -> shu soat -> umumiy
+  const hist = await loadHistory(db, orgId, serviceId, tz);
+  const { dow, hour } = slotNow(tz);
+  const histSec = hist.slots.get(`${dow}:${hour}`) ?? hist.byHour.get(hour) ?? hist.overall;
+
+  const recentParts = [flow, handle].filter((x) => x !== null);
+  const recentSec = recentParts.length ? recentParts.reduce((a, b) => a + b, 0) / recentParts.length : null;
+
+  // so'nggi ma'lumot ko'p bo'lsa unga ko'proq ishonamiz
+  let intervalSec = null;
+  let basis = null;
+  if (recentSec !== null && histSec) {
+    const w = Math.min(0.85, 0.4 + 0.05 * gaps.length);
+    intervalSec = w * recentSec + (1 - w) * histSec;
+    basis = "recent+history";
+  } else if (recentSec !== null) {
+    intervalSec = recentSec;
+    basis = "recent";
+  } else if (histSec) {
+    intervalSec = histSec;
+    basis = "history";
+  }
+  if (!intervalSec) return null;
+
+  return { intervalSec: Math.round(intervalSec), cv: cvOf(gaps) ?? DEFAULT_CV, basis, counters };
+}
+
+// remaining ta ticket oldinda: jami ~ N(n*mu, n*sigma^2) -> 10%/50%/90%
+// delaySec — muassasa yopiq/tanaffus bo'lsa ochilishigacha qolgan vaqt
+export function etaRange(est, remaining, { delaySec = 0 } = {}) {
+  if (!est) return null;
+  const n = Math.max(0, Math.trunc(remaining));
+  const mu = est.intervalSec;
+  const sigma = Math.min(1.5, Math.max(0.15, est.cv)) * mu;
+
+  const likely = n * mu + delaySec;
+  const spread = Z90 * Math.sqrt(n) * sigma;
+  const minSec = Math.max(delaySec, Math.round(likely - spread));
+  const maxSec = Math.round(likely + spread);
+  const likelySec = Math.round(likely);
+
+  return {
+    minSec,
+    likelySec,
+    maxSec,
+    minMinutes: Math.round(minSec / 60),
+    likelyMinutes: Math.round(likelySec / 60),
+    maxMinutes: Math.round(maxSec / 60),
+    basis: est.basis,
+  };
+}
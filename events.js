@@ -0,0 +1,74 @@
+// events.js (Node >=18, ESM)
+// Ticket holati o'zgarishlari jurnali (ticket_events): kim, qayerdan, qachon, nimadan nimaga.
+//
+// event = {
+//   ticketId,              // null = muassasa darajasidagi amal (masalan reset, deleteAll)
+//   orgId,
+//   action,                // take | call | serve | callAgain | skip | delete | deleteAll | reset | cancel | recall | back | miss | expire | dayClose | priority | transfer
+//   from, to,              // status (take uchun from=null)
+//   actor: { type, id?, name? }, // type: customer | operator | system
+//   source,                // "POST /api/admin/next", "auto", "rollover" ...
+//   meta,                  // qo'shimcha: counterNo, count, reason ...
+// }
+// Amal tranzaksiyada bo'lsa jurnal ham o'sha tranzaksiyada yoziladi (db = client) — ticket o'zgarib, jurnal yozilmay qolmasin.
+
+export const ACTOR_TYPES = ["customer", "operator", "system"];
+
+export const SYSTEM_ACTOR = { type: "system", id: null, name: null };
+
+// Jurnalga yozilgandan keyin o'sha db (tranzaksiya) bilan chaqiriladi — masalan webhooklar outbox'ga qo'yiladi.
+// Tinglovchi xatosi amalni ham bekor qiladi (tranzaksiya ichida) — jurnal va uning oqibatlari birga.
+const listeners = [];
+
+export function onRecorded(fn) {
+  listeners.push(fn);
+}
+
+export async function recordEvents(db, events) {
+  const list = (events || []).filter(Boolean);
+  if (!list.length) return;
+
+  const rows = list.map((e) => ({
+    ticket_id: e.ticketId || null,
+    org_id: e.orgId,
+    action: e.action,
+    from_status: e.from ?? null,
+    to_status: e.to ?? null,
+    actor_type: e.actor?.type || "system",
+    actor_id: e.actor?.id != null ? String(e.actor.id) : null,
+    actor_name: e.actor?.name || null,
+    source: e.source || null,
+    meta: e.meta && Object.keys(e.meta).length ? e.meta : null,
+  }));
+
+  await db.query(
+    `INSERT INTO ticket_events (ticket_id, org_id, action, from_status, to_status, actor_type, actor_id, actor_name, source, meta)
+     SELECT ticket_id, org_id, action, from_status, to_status, actor_type, actor_id, actor_name, source, meta
+     FROM jsonb_to_recordset($1::jsonb) AS x(
+       ticket_id UUID, org_id TEXT, action TEXT, from_status TEXT, to_status TEXT,
+       actor_type TEXT, actor_id TEXT, actor_name TEXT, source TEXT, meta JSONB
+     )`,
+    [JSON.stringify(rows)]
+  );
+
+  for (const fn of listeners) await fn(db, list);
+}
+
+export function recordEvent(db, event) {
+  return recordEvents(db, [event]);
+}
+
+export function eventView(r) {
+  return {
+    id: String(r.id),
+    ticketId: r.ticket_id,
+    orgId: r.org_id,
+    action: r.action,
+    from: r.from_status,
+    to: r.to_status,
+    actor: { type: r.actor_type, id: r.actor_id, name: r.actor_name },
+    source: r.source,
+    meta: r.meta || null,
+    at: r.created_at,
+  };
+}
@@ -0,0 +1,109 @@
+// geo.js (Node >=18, ESM)
+// Hududlar ma'lumotnomasi: viloyat -> tuman/shahar (data/geo-tree.json, repo ichida).
+// Runtime'da tashqi manbaga so'rov yo'q. Yangilash: npm run import:geo (scripts/import-geo.js).
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const GEO_TREE_PATH = path.join(__dirname, "data", "geo-tree.json");
+
+let cache = { mtimeMs: 0, data: null, byKey: new Map() };
+
+// "Viloyat|Tuman" (uz nomlar) — orgs.region/orgs.unit bilan bog'lanish kaliti
+export function unitKey(regionUz, unitUz) {
+  return `${regionUz}|${unitUz}`;
+}
+
+// fayl o'zgarmasa qayta o'qilmaydi
+export function loadGeoTree() {
+  if (!fs.existsSync(GEO_TREE_PATH)) throw new Error(`geo-tree.json topilmadi: ${GEO_TREE_PATH}`);
+  const { mtimeMs } = fs.statSync(GEO_TREE_PATH);
+  if (cache.data && cache.mtimeMs === mtimeMs) return cache.data;
+
+  const data = JSON.parse(fs.readFileSync(GEO_TREE_PATH, "utf-8"));
+  const byKey = new Map();
+  for (const r of data.regions || []) {
+    for (const u of r.units || []) byKey.set(unitKey(r.name.uz, u.name.uz), { region: r, unit: u });
+  }
+  cache = { mtimeMs, data, byKey };
+  return data;
+}
+
+export function findUnit(regionUz, unitUz) {
+  loadGeoTree();
+  return cache.byKey.get(unitKey(regionUz, unitUz)) || null;
+}
+
+// ---------- import (manba fayllar -> geo-tree.json formati) ----------
+
+function pickNames(x) {
+  const s = (v) => (typeof v === "string" ? v.trim() : "");
+  const uz = s(x?.name_uz) || s(x?.nameUz) || s(x?.name);
+  return { uz, ru: s(x?.name_ru) || s(x?.nameRu) || uz, en: s(x?.name_en) || s(x?.nameEn) || uz };
+}
+
+function soatoOf(x) {
+  const v = x?.soato_id ?? x?.soatoId ?? x?.soato;
+  return v === undefined || v === null || v === "" ? null : String(v);
+}
+
+function slug(s) {
+  return String(s)
+    .toLowerCase()
+    .replace(/[‘’'`ʻʼ]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+const byUz = (a, b) => a.name.uz.localeCompare(b.name.uz, "uz");
+
+// Manba: MIMAXUZ/uzbekistan-regions-data formatidagi massivlar
+// regions [{ id, soato_id, name_uz, name_ru }], districts/cities [{ id, region_id, soato_id?, name_uz, name_ru }]
+// Natija: { regions: [{ id, soato, name, units: [{ id, soato, kind, name }] }] }
+// id = SOATO (bo'lmasa "<viloyatSOATO>-<slug>"), kind = "city" | "district"
+export function normalizeGeoSource({ regions = [], districts = [], cities = [] }) {
+  const out = [];
+  const byRawId = new Map();
+
+  for (const r of regions) {
+    const name = pickNames(r);
+    if (!name.uz) continue;
+    const soato = soatoOf(r);
+    const region = { id: soato || slug(name.uz), soato, name, units: [] };
+    byRawId.set(String(r.id ?? soato), region);
+    out.push(region);
+  }
+
+  const addUnits = (list, kind) => {
+    for (const u of list) {
+      const region = byRawId.get(String(u.region_id ?? u.regionId ?? ""));
+      const name = pickNames(u);
+      if (!region || !name.uz) continue;
+      if (region.units.some((x) => x.name.uz === name.uz)) continue;
+
+      const soato = soatoOf(u);
+      region.units.push({ id: soato || `${region.id}-${slug(name.uz)}`, soato, kind, name });
+    }
+  };
+  addUnits(cities, "city");
+  addUnits(districts, "district");
+
+  for (const r of out) r.units.sort((a, b) => (a.kind === b.kind ? byUz(a, b) : a.kind === "city" ? -1 : 1));
+  out.sort(byUz);
+
+  return { regions: out };
+}
+
+// SOATO kodi yo'q viloyat/tumanlar ("Viloyat|Tuman" kalitlari). import shu ro'yxat bo'sh bo'lsagina yoziladi:
+// slug id'lar manba o'zgarsa (nom tahriri) o'zgarib ketadi va orgs bilan bog'lanish uziladi.
+export function missingSoato(tree) {
+  const out = [];
+  for (const r of tree.regions || []) {
+    if (!r.soato) out.push(r.name.uz);
+    for (const u of r.units || []) if (!u.soato) out.push(unitKey(r.name.uz, u.name.uz));
+  }
+  return out;
+}
@@ -0,0 +1,45 @@
+// grace.js (Node >=18, ESM)
+// O'tkazib yuborilgan (missed) ticketlar uchun imtiyoz oynasi (orgs.settings.grace).
+//
+// grace = {
+//   positions: 5,   // navbat o'tkazib yuborilgandan keyin shuncha raqam oldinga siljiguncha qaytish mumkin
+//   minutes: 15,    // missed bo'lgandan keyin shuncha daqiqa ichida
+//   selfReturns: 1, // mijoz o'zi "Qaytdim" bosishi mumkin bo'lgan marta (0 = faqat operator recall)
+// }
+// positions/minutes uchun 0 = shu cheklov o'chirilgan. Muddat tugasa ticket cancelled (cancel_reason='expired').
+
+export const DEFAULT_GRACE = { positions: 5, minutes: 15, selfReturns: 1 };
+
+const MAX = { positions: 500, minutes: 24 * 60, selfReturns: 10 };
+
+export function orgGrace(org) {
+  const x = org?.settings?.grace;
+  return { ...DEFAULT_GRACE, ...(x && typeof x === "object" ? x : {}) };
+}
+
+// Admin kiritgan grace -> { value } yoki { error }. null = standart qiymatlar.
+export function normalizeGrace(input) {
+  if (input === null) return { value: null };
+  if (!input || typeof input !== "object") return { error: "grace obyekt bo‘lsin" };
+
+  const out = {};
+  for (const k of Object.keys(input)) {
+    if (!(k in DEFAULT_GRACE)) return { error: `Noma’lum grace kaliti: ${k}` };
+    const v = input[k];
+    if (!Number.isInteger(v) || v < 0 || v > MAX[k]) return { error: `${k}: 0..${MAX[k]} butun son bo‘lsin` };
+    out[k] = v;
+  }
+  return { value: out };
+}
+
+// missedServing — o'tkazib yuborilgan paytdagi nowServing (yo'q bo'lsa ticket raqami)
+// Qaytaradi: { expired, untilAt: Date|null, positionsLeft: number|null }
+export function graceState(grace, { number, nowServing, missedServing = null, missedAt = null, now = new Date() }) {
+  const base = missedServing ?? number;
+  const passed = Math.max(0, nowServing - base);
+  const positionsLeft = grace.positions ? Math.max(0, grace.positions - passed) : null;
+  const untilAt = grace.minutes && missedAt ? new Date(new Date(missedAt).getTime() + grace.minutes * 60000) : null;
+
+  const expired = (grace.positions > 0 && passed > grace.positions) || (untilAt !== null && untilAt <= now);
+  return { expired, untilAt, positionsLeft };
+}
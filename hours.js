@@ -0,0 +1,189 @@
+// hours.js (Node >=18, ESM)
+// Muassasa ish vaqti (orgs.settings.hours), Asia/Tashkent bo'yicha.
+//
+// hours = {
+//   weekly:   { mon: ["09:00","18:00"], ..., sat: ["09:00","14:00"], sun: null },  // null/yo'q = dam olish
+//   breaks:   [["13:00","14:00"]],                                                 // har ish kuni
+//   holidays: ["2026-01-01", "2026-03-21"]                                          // YYYY-MM-DD
+// }
+// hours yo'q bo'lsa muassasa doim ochiq va kunlik rollover ham yo'q (eski xulq).
+
+export const BUSINESS_TZ = process.env.BUSINESS_TZ || "Asia/Tashkent";
+
+const DAYS = ["mon", "tue", "wed", "thu", "fri", "sat", "sun"];
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const LOOKAHEAD_DAYS = 14;
+
+const dtf = new Intl.DateTimeFormat("en-CA", {
+  timeZone: BUSINESS_TZ,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  second: "2-digit",
+  hourCycle: "h23",
+});
+
+function toMin(hhmm) {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+}
+
+function fromMin(min) {
+  return `${String(Math.floor(min / 60)).padStart(2, "0")}:${String(min % 60).padStart(2, "0")}`;
+}
+
+function addDays(dateStr, n) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+// { date: "YYYY-MM-DD", dow: 0..6 (0=mon), min: kun boshidan daqiqa } — BUSINESS_TZ bo'yicha
+export function localNow(now = new Date()) {
+  const p = Object.fromEntries(dtf.formatToParts(now).map((x) => [x.type, x.value]));
+  const date = `${p.year}-${p.month}-${p.day}`;
+  const dow = (new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7;
+  return { date, dow, min: Number(p.hour) * 60 + Number(p.minute) };
+}
+
+// mahalliy sana + daqiqa -> Date (UTC)
+function toInstant(dateStr, min) {
+  const guess = new Date(`${dateStr}T${fromMin(min)}:00Z`);
+  const p = Object.fromEntries(dtf.formatToParts(guess).map((x) => [x.type, x.value]));
+  const asLocal = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return new Date(guess.getTime() - (asLocal - guess.getTime()));
+}
+
+// Admin kiritgan hours -> { value } yoki { error }. null = ish vaqti o'chirildi (doim ochiq).
+export function normalizeHours(input) {
+  if (input === null) return { value: null };
+  if (!input || typeof input !== "object") return { error: "hours obyekt bo‘lsin" };
+
+  const range = (x, what) => {
+    if (!Array.isArray(x) || x.length !== 2 || !TIME_RE.test(x[0]) || !TIME_RE.test(x[1])) {
+      return { error: `${what}: ["HH:MM","HH:MM"] ko‘rinishida bo‘lsin` };
+    }
+    if (toMin(x[0]) >= toMin(x[1])) return { error: `${what}: boshlanish tugashdan oldin bo‘lsin` };
+    return { value: [x[0], x[1]] };
+  };
+
+  const weekly = {};
+  for (const d of DAYS) {
+    const v = input.weekly?.[d];
+    if (v === undefined || v === null) { weekly[d] = null; continue; }
+    const r = range(v, `weekly.${d}`);
+    if (r.error) return r;
+    weekly[d] = r.value;
+  }
+  if (!DAYS.some((d) => weekly[d])) return { error: "Kamida bitta ish kuni kerak" };
+
+  const breaks = [];
+  for (const b of input.breaks || []) {
+    const r = range(b, "breaks");
+    if (r.error) return r;
+    breaks.push(r.value);
+  }
+
+  const holidays = [];
+  for (const h of input.holidays || []) {
+    if (!DATE_RE.test(String(h))) return { error: `holidays: YYYY-MM-DD bo‘lsin (${h})` };
+    holidays.push(String(h));
+  }
+
+  return { value: { weekly, breaks, holidays: [...new Set(holidays)].sort() } };
+}
+
+// sana bo'yicha ish oralig'i [openMin, closeMin] yoki null (dam olish / bayram)
+function dayRange(hours, dateStr) {
+  if ((hours.holidays || []).includes(dateStr)) return null;
+  const dow = (new Date(`${dateStr}T00:00:00Z`).getUTCDay() + 6) % 7;
+  const r = hours.weekly?.[DAYS[dow]];
+  return r ? [toMin(r[0]), toMin(r[1])] : null;
+}
+
+// Hozir ochiqmi va (yopiq bo'lsa) qachon ochiladi
+// { open, reason: null|"break"|"closed", opensAt: { date, time, at } | null, closesAt: "HH:MM" | null }
+export function openState(hours, now = new Date()) {
+  if (!hours) return { open: true, reason: null, opensAt: null, closesAt: null };
+
+  const t = localNow(now);
+  const today = dayRange(hours, t.date);
+
+  if (today && t.min >= today[0] && t.min < today[1]) {
+    const br = (hours.breaks || []).map((b) => [toMin(b[0]), toMin(b[1])]).find(([a, b]) => t.min >= a && t.min < b);
+    if (!br) return { open: true, reason: null, opensAt: null, closesAt: fromMin(today[1]) };
+    return {
+      open: false,
+      reason: "break",
+      opensAt: { date: t.date, time: fromMin(br[1]), at: toInstant(t.date, br[1]) },
+      closesAt: null,
+    };
+  }
+
+  // bugun hali ochilmagan bo'lsa — bugun, aks holda keyingi ish kuni
+  for (let i = 0; i <= LOOKAHEAD_DAYS; i++) {
+    const date = addDays(t.date, i);
+    const r = dayRange(hours, date);
+    if (!r || (i === 0 && t.min >= r[0])) continue;
+    return { open: false, reason: "closed", opensAt: { date, time: fromMin(r[0]), at: toInstant(date, r[0]) }, closesAt: null };
+  }
+  return { open: false, reason: "closed", opensAt: null, closesAt: null };
+}
+
+// now'dan oldingi eng oxirgi yopilish vaqti (ish kuni tugashi) yoki null
+export function lastClosingBefore(hours, now = new Date()) {
+  if (!hours) return null;
+  const t = localNow(now);
+  for (let i = 0; i <= LOOKAHEAD_DAYS; i++) {
+    const date = addDays(t.date, -i);
+    const r = dayRange(hours, date);
+    if (!r || (i === 0 && t.min < r[1])) continue;
+    return toInstant(date, r[1]);
+  }
+  return null;
+}
+
+const MSG = {
+  closed: {
+    uz: "Hozir yopiq. {when} ochiladi.",
+    ru: "Сейчас закрыто. Откроется {when}.",
+    en: "Closed now. Opens {when}.",
+  },
+  break: {
+    uz: "Tanaffus. {time} da qayta ochiladi.",
+    ru: "Перерыв. Откроется в {time}.",
+    en: "On a break. Reopens at {time}.",
+  },
+  closedNoDate: {
+    uz: "Hozir yopiq.",
+    ru: "Сейчас закрыто.",
+    en: "Closed now.",
+  },
+  today: { uz: "bugun soat {time} da", ru: "сегодня в {time}", en: "today at {time}" },
+  tomorrow: { uz: "ertaga soat {time} da", ru: "завтра в {time}", en: "tomorrow at {time}" },
+  onDate: { uz: "{date} kuni soat {time} da", ru: "{date} в {time}", en: "on {date} at {time}" },
+};
+
+function pickLang(lang) {
+  return lang === "ru" || lang === "en" ? lang : "uz";
+}
+
+// openState natijasi -> foydalanuvchiga matn (uz/ru/en)
+export function closedMessage(state, lang = "uz", now = new Date()) {
+  const l = pickLang(lang);
+  if (!state || state.open) return "";
+  if (!state.opensAt) return MSG.closedNoDate[l];
+  if (state.reason === "break") return MSG.break[l].replace("{time}", state.opensAt.time);
+
+  const today = localNow(now).date;
+  const { date, time } = state.opensAt;
+  const [y, m, d] = date.split("-");
+  const when =
+    date === today ? MSG.today[l].replace("{time}", time)
+      : date === addDays(today, 1) ? MSG.tomorrow[l].replace("{time}", time)
+        : MSG.onDate[l].replace("{date}", `${d}.${m}.${y}`).replace("{time}", time);
+  return MSG.closed[l].replace("{when}", when);
+}
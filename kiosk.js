@@ -0,0 +1,55 @@
+// kiosk.js (Node >=18, ESM)
+// Filialdagi sensorli kiosk (public/kiosk.html): smartfoni yo'q mijoz ism yozmasdan ticket oladi va chop etiladi.
+//
+// kiosk = {
+//   keyHash,           // kiosk kaliti (faqat sha256); kalit kiosk.html manzilida: #k=<kalit>
+//   serviceIds: null,  // null = barcha xizmatlar, aks holda faqat shular
+//   rotatedAt,
+// }
+// settings.kiosk yo'q = kiosk o'chirilgan. Kiosk kaliti bilan olingan ticketga IP cheklovlari qo'llanmaydi
+// (bitta qurilma — hamma mijozlar), shuning uchun kalit faqat qurilmaning o'zida saqlanadi.
+
+import { hashToken, safeEqual } from "./auth.js";
+
+export function orgKiosk(org) {
+  const x = org?.settings?.kiosk;
+  return x && typeof x === "object" && x.keyHash ? x : null;
+}
+
+export function kioskView(org) {
+  const k = orgKiosk(org);
+  return k ? { enabled: true, serviceIds: k.serviceIds ?? null, rotatedAt: k.rotatedAt ?? null } : { enabled: false };
+}
+
+export function kioskKeyOk(org, key) {
+  const k = orgKiosk(org);
+  return !!(k && key && safeEqual(hashToken(key), k.keyHash));
+}
+
+export function kioskServiceOk(org, serviceId) {
+  const ids = orgKiosk(org)?.serviceIds;
+  return !ids || ids.includes(serviceId);
+}
+
+// Admin kiritgan kiosk -> { value } yoki { error }. null = o'chirish.
+// value: { serviceIds?, rotateKey } — kalitni chaqiruvchi yaratadi (birinchi marta yoqilganda ham).
+export function normalizeKiosk(input, org) {
+  if (input === null) return { value: null };
+  if (!input || typeof input !== "object") return { error: "kiosk obyekt bo‘lsin" };
+
+  const out = { rotateKey: input.rotateKey === true };
+  if (input.serviceIds !== undefined) {
+    const ids = input.serviceIds;
+    if (ids === null) {
+      out.serviceIds = null;
+    } else {
+      if (!Array.isArray(ids) || !ids.length) return { error: "serviceIds: xizmatlar ro‘yxati yoki null" };
+      const known = new Set((org?.services || []).map((s) => s.id));
+      for (const id of ids) {
+        if (typeof id !== "string" || !known.has(id)) return { error: `Noma’lum xizmat: ${id}` };
+      }
+      out.serviceIds = [...new Set(ids)];
+    }
+  }
+  return { value: out };
+}
@@ -0,0 +1,142 @@
+// limits.js (Node >=18, ESM)
+// Ticket olishda suiiste'molga qarshi cheklovlar (orgs.settings.limits).
+//
+// limits = {
+//   maxActivePerUser: 1,    // bitta telegram_user_id / user_id uchun faol ticketlar (muassasa bo'yicha)
+//   maxActivePerIp: 0,      // bitta IP uchun faol ticketlar
+//   ipTakesPerHour: 0,      // bitta IP soatiga nechta ticket olishi mumkin
+//   cancelCooldownSec: 120, // o'zi bekor qilgandan keyin qayta olishgacha kutish
+// }
+// 0 = cheklov o'chirilgan. Berilmagan kalitlar DEFAULT_LIMITS dan olinadi.
+// IP cheklovlari standart o'chiq: proxy ortida TRUST_PROXY sozlanmasa hamma mijoz bitta IP'dan keladi.
+
+export const DEFAULT_LIMITS = {
+  maxActivePerUser: 1,
+  maxActivePerIp: 0,
+  ipTakesPerHour: 0,
+  cancelCooldownSec: 120,
+};
+
+const MAX = {
+  maxActivePerUser: 50,
+  maxActivePerIp: 500,
+  ipTakesPerHour: 5000,
+  cancelCooldownSec: 24 * 3600,
+};
+
+const ACTIVE = `('waiting','called','missed')`;
+
+export function orgLimits(org) {
+  const x = org?.settings?.limits;
+  return { ...DEFAULT_LIMITS, ...(x && typeof x === "object" ? x : {}) };
+}
+
+// Admin kiritgan limits -> { value } yoki { error }. null = standart qiymatlarga qaytish.
+export function normalizeLimits(input) {
+  if (input === null) return { value: null };
+  if (!input || typeof input !== "object") return { error: "limits obyekt bo‘lsin" };
+
+  const out = {};
+  for (const k of Object.keys(input)) {
+    if (!(k in DEFAULT_LIMITS)) return { error: `Noma’lum cheklov: ${k}` };
+    const v = input[k];
+    if (!Number.isInteger(v) || v < 0 || v > MAX[k]) return { error: `${k}: 0..${MAX[k]} butun son bo‘lsin` };
+    out[k] = v;
+  }
+  return { value: out };
+}
+
+// Web mijoz identifikatori (maxActivePerUser uchun): server beradigan httpOnly cookie.
+// body.userId'ga ishonilmaydi — uni har so'rovda almashtirib cheklovni chetlab o'tish mumkin.
+export const WEB_ID_COOKIE = "navbat_wid";
+const WEB_ID_RE = /^[A-Za-z0-9_-]{32,64}$/;
+
+// Cookie header -> web id yoki null (yo'q / noto'g'ri formatda — yangisi beriladi)
+export function webIdOf(cookieHeader) {
+  for (const part of String(cookieHeader || "").split(";")) {
+    const i = part.indexOf("=");
+    if (i > 0 && part.slice(0, i).trim() === WEB_ID_COOKIE) {
+      const v = part.slice(i + 1).trim();
+      return WEB_ID_RE.test(v) ? v : null;
+    }
+  }
+  return null;
+}
+
+// tickets.user_id (cheklov kaliti): bot/operator/kiosk bergan userId'ga ishoniladi, brauzerda — faqat cookie id
+export function takeUserId({ trusted, userId, webId }) {
+  return (trusted ? String(userId ?? "").slice(0, 80) : webId) || null;
+}
+
+// who = { ip, userId, telegramUserId }; ip=null bo'lsa IP cheklovlari tekshirilmaydi (ichki bot so'rovi).
+// Qaytaradi: null (ruxsat) yoki { code, limit?, retryAfterSec? }
+export async function checkTakeLimits(db, orgId, limits, who) {
+  const tg = who.telegramUserId ? String(who.telegramUserId) : null;
+  const user = tg ? null : who.userId || null;
+  const ip = who.ip || null;
+  if (!tg && !user && !ip) return null;
+
+  const r = await db.query(
+    `SELECT
+       count(*) FILTER (WHERE status IN ${ACTIVE}
+                          AND (telegram_user_id=$2::bigint OR user_id=$3))::int AS user_active,
+       count(*) FILTER (WHERE status IN ${ACTIVE} AND client_ip=$4)::int AS ip_active,
+       count(*) FILTER (WHERE client_ip=$4 AND created_at > now() - interval '1 hour')::int AS ip_recent,
+       max(updated_at) FILTER (WHERE status='cancelled' AND cancel_reason='user'
+                                 AND (telegram_user_id=$2::bigint OR user_id=$3
+                                      OR ($2::bigint IS NULL AND $3::text IS NULL AND client_ip=$4))) AS last_cancel
+     FROM tickets
+     WHERE org_id=$1
+       AND (telegram_user_id=$2::bigint OR user_id=$3 OR client_ip=$4)
+       AND (status IN ${ACTIVE} OR created_at > now() - interval '1 day')`,
+    [orgId, tg, user, ip]
+  );
+  const x = r.rows[0] || {};
+
+  if ((tg || user) && limits.maxActivePerUser && x.user_active >= limits.maxActivePerUser) {
+    return { code: "limit_user_active", limit: limits.maxActivePerUser };
+  }
+  if (ip && limits.maxActivePerIp && x.ip_active >= limits.maxActivePerIp) {
+    return { code: "limit_ip_active", limit: limits.maxActivePerIp };
+  }
+  if (ip && limits.ipTakesPerHour && x.ip_recent >= limits.ipTakesPerHour) {
+    return { code: "limit_ip_rate", limit: limits.ipTakesPerHour, retryAfterSec: 3600 };
+  }
+  if (limits.cancelCooldownSec && x.last_cancel) {
+    const left = Math.ceil(limits.cancelCooldownSec - (Date.now() - new Date(x.last_cancel).getTime()) / 1000);
+    if (left > 0) return { code: "limit_cooldown", retryAfterSec: left };
+  }
+  return null;
+}
+
+const MSG = {
+  limit_user_active: {
+    uz: "Sizda bu muassasada faol navbat bor (ko‘pi bilan {limit} ta). Avval uni yakunlang yoki bekor qiling.",
+    ru: "У вас уже есть активный талон в этом учреждении (не более {limit}). Сначала завершите или отмените его.",
+    en: "You already have an active ticket here (max {limit}). Finish or cancel it first.",
+  },
+  limit_ip_active: {
+    uz: "Bu tarmoqdan faol navbatlar soni chegaraga yetdi ({limit} ta). Keyinroq urinib ko‘ring.",
+    ru: "С этой сети слишком много активных талонов (лимит {limit}). Попробуйте позже.",
+    en: "Too many active tickets from this network (limit {limit}). Try again later.",
+  },
+  limit_ip_rate: {
+    uz: "Juda ko‘p so‘rov: soatiga ko‘pi bilan {limit} ta navbat. Keyinroq urinib ko‘ring.",
+    ru: "Слишком много запросов: не более {limit} талонов в час. Попробуйте позже.",
+    en: "Too many requests: at most {limit} tickets per hour. Try again later.",
+  },
+  limit_cooldown: {
+    uz: "Navbatni bekor qilganingizdan keyin {min} daqiqa kuting.",
+    ru: "После отмены талона подождите {min} мин.",
+    en: "Please wait {min} min after cancelling a ticket.",
+  },
+};
+
+// checkTakeLimits natijasi -> foydalanuvchiga matn (uz/ru/en)
+export function limitMessage(hit, lang = "uz") {
+  const l = lang === "ru" || lang === "en" ? lang : "uz";
+  const m = MSG[hit.code]?.[l] || hit.code;
+  return m
+    .replace("{limit}", String(hit.limit ?? ""))
+    .replace("{min}", String(Math.max(1, Math.ceil((hit.retryAfterSec || 0) / 60))));
+}
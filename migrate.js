@@ -0,0 +1,142 @@
+// migrate.js (Node >=18, ESM)
+// Versiyali sxema migratsiyalari: migrations/NNN_nom.sql, tartib bo'yicha bir marta, har biri alohida tranzaksiyada.
+// Qo'llanganlari schema_migrations jadvalida (versiya + fayl checksum'i).
+//
+// Yangi o'zgarish: keyingi raqamli fayl qo'shiladi (qo'llangan faylni tahrirlamang — checksum mos kelmay qoladi).
+// Qo'llash: npm run migrate -- up (npm start'dan oldin prestart avtomatik qo'llaydi). Server boot'da sxema ortda qolgan bo'lsa ishga tushmaydi (assertSchemaCurrent).
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+export const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "migrations");
+
+const FILE_RE = /^(\d{3,})_([a-z0-9_]+)\.sql$/;
+// bir vaqtda ikki jarayon (masalan ikkita instansiya deploy'da) migratsiya qilmasin
+const LOCK_KEY = "navbatuz:migrate";
+
+// [{ version, name, file, sql, checksum }] — version bo'yicha tartiblangan
+export function loadMigrations(dir = MIGRATIONS_DIR) {
+  const list = [];
+  for (const file of fs.readdirSync(dir).sort()) {
+    const m = file.match(FILE_RE);
+    if (!m) continue;
+    const sql = fs.readFileSync(path.join(dir, file), "utf-8");
+    list.push({
+      version: Number(m[1]),
+      name: m[2],
+      file,
+      sql,
+      // CRLF (Windows checkout) checksum'ni o'zgartirmasin
+      checksum: crypto.createHash("sha256").update(sql.replace(/\r\n/g, "\n")).digest("hex"),
+    });
+  }
+  list.sort((a, b) => a.version - b.version);
+  for (let i = 1; i < list.length; i++) {
+    if (list[i].version === list[i - 1].version) {
+      throw new Error(`Migratsiya versiyasi takrorlangan: ${list[i - 1].file}, ${list[i].file}`);
+    }
+  }
+  return list;
+}
+
+async function ensureTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `);
+}
+
+// Qaytaradi: { applied, pending, changed, unknown }
+//   changed — qo'llanganidan keyin fayl o'zgargan; unknown — bazada bor, kodda yo'q (baza kodidan yangi)
+// Faqat o'qiydi: schema_migrations hali yo'q bo'lsa hammasi pending (jadvalni migrateUp yaratadi).
+export async function migrationStatus(db, migrations = loadMigrations()) {
+  const t = await db.query(`SELECT to_regclass('schema_migrations') IS NOT NULL AS ok`);
+  const r = t.rows[0].ok
+    ? await db.query(`SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version`)
+    : { rows: [] };
+  const done = new Map(r.rows.map((x) => [x.version, x]));
+  const known = new Set(migrations.map((m) => m.version));
+
+  const applied = [];
+  const pending = [];
+  const changed = [];
+  for (const m of migrations) {
+    const row = done.get(m.version);
+    if (!row) {
+      pending.push(m);
+      continue;
+    }
+    applied.push({ ...m, appliedAt: row.applied_at });
+    if (row.checksum !== m.checksum) changed.push(m);
+  }
+  const unknown = r.rows.filter((x) => !known.has(x.version)).map((x) => ({ version: x.version, name: x.name, appliedAt: x.applied_at }));
+  return { applied, pending, changed, unknown };
+}
+
+// Kutilayotgan migratsiyalarni qo'llaydi. Xato bo'lsa o'sha migratsiya to'liq bekor qilinadi va xato tashlanadi
+// (oldingilari qo'llangan bo'lib qoladi). Qaytaradi: qo'llanganlar ro'yxati.
+export async function migrateUp(pool, { log = () => {} } = {}) {
+  const migrations = loadMigrations();
+  const client = await pool.connect();
+  try {
+    await client.query(`SELECT pg_advisory_lock(hashtext($1))`, [LOCK_KEY]);
+    try {
+      await ensureTable(client);
+      const st = await migrationStatus(client, migrations);
+      if (st.changed.length) {
+        throw new Error(`Qo‘llangan migratsiya fayli o‘zgargan: ${st.changed.map((m) => m.file).join(", ")}`);
+      }
+
+      const done = [];
+      for (const m of st.pending) {
+        const started = Date.now();
+        try {
+          await client.query("BEGIN");
+          await client.query(m.sql);
+          await client.query(
+            `INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)`,
+            [m.version, m.name, m.checksum]
+          );
+          await client.query("COMMIT");
+        } catch (e) {
+          await client.query("ROLLBACK").catch(() => {});
+          // pg detail: masalan qaysi kalit dublikat ekani
+          e.message = `${m.file}: ${e.message}${e.detail ? ` (${e.detail})` : ""}`;
+          throw e;
+        }
+        log(`✅ ${m.file} (${Date.now() - started} ms)`);
+        done.push(m);
+      }
+      return done;
+    } finally {
+      await client.query(`SELECT pg_advisory_unlock(hashtext($1))`, [LOCK_KEY]).catch(() => {});
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// Boot tekshiruvi (bazaga yozmaydi): kutilayotgan yoki o'zgargan migratsiya bo'lsa xato (server ishga tushmaydi).
+// Bazada kodda yo'q versiya bo'lsa (eski kod yangi bazada) — faqat ogohlantirish.
+export async function assertSchemaCurrent(db) {
+  const st = await migrationStatus(db);
+  if (st.unknown.length) {
+    console.warn(`⚠️ Bazada kodda yo‘q migratsiyalar bor: ${st.unknown.map((x) => x.version).join(", ")}`);
+  }
+  if (st.changed.length) {
+    throw new Error(`Qo‘llangan migratsiya fayli o‘zgargan: ${st.changed.map((m) => m.file).join(", ")}`);
+  }
+  if (st.pending.length) {
+    throw new Error(
+      `Sxema eskirgan — ${st.pending.length} ta migratsiya qo‘llanmagan (${st.pending.map((m) => m.file).join(", ")}). ` +
+        `Avval: npm run migrate -- up`
+    );
+  }
+  return st;
+}
@@ -0,0 +1,238 @@
+-- 001_baseline: initDb() yaratgan sxema (migratsiyalardan oldingi holat).
+-- Hammasi IF NOT EXISTS — initDb bilan yaratilgan mavjud bazalarda ham xavfsiz, faqat yetishmaganini qo'shadi.
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+CREATE TABLE IF NOT EXISTS org_state (
+  org_id TEXT PRIMARY KEY,
+  next_number INTEGER NOT NULL DEFAULT 1,
+  current_number INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS tickets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id TEXT NOT NULL,
+  number INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'waiting',
+  platform TEXT,
+  user_id TEXT,
+  full_name TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  served_at TIMESTAMPTZ
+);
+
+-- telegram notification fields (bot users)
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS telegram_chat_id BIGINT;
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS telegram_user_id BIGINT;
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS last_notified_remaining INTEGER;
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS lang TEXT;
+
+-- kunlik rollover: oxirgi yopilgan ish kuni tugash vaqti
+ALTER TABLE org_state ADD COLUMN IF NOT EXISTS day_closed_at TIMESTAMPTZ;
+
+-- services: har bir xizmat turi alohida raqamlanadi
+CREATE TABLE IF NOT EXISTS queue_state (
+  org_id TEXT NOT NULL,
+  service_id TEXT NOT NULL DEFAULT '',
+  next_number INTEGER NOT NULL DEFAULT 1,
+  current_number INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (org_id, service_id)
+);
+-- eski org_state raqamlari -> "" xizmat (org_state endi faqat org bo'yicha lock)
+INSERT INTO queue_state (org_id, service_id, next_number, current_number)
+  SELECT org_id, '', next_number, current_number FROM org_state
+  ON CONFLICT (org_id, service_id) DO NOTHING;
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS service_id TEXT NOT NULL DEFAULT '';
+
+-- counters (oynalar): qaysi oyna chaqirgani
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS counter_no INTEGER;
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS called_at TIMESTAMPTZ;
+
+-- ticket egasining tokeni (faqat sha256); eski ticketlarda NULL — mijoz tomonidan o'zgartirib bo'lmaydi
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS token_hash TEXT;
+
+-- anti-abuse: kim olgan (IP) va kim bekor qilgan ('user' — mijozning o'zi)
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS client_ip TEXT;
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS cancel_reason TEXT;
+
+-- imtiyoz oynasi (grace.js): qachon va qaysi nowServing'da o'tkazib yuborilgan, qayta tiklanishlar
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS missed_at TIMESTAMPTZ;
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS missed_serving INTEGER;
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS recalled_at TIMESTAMPTZ;
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS recall_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS self_returns INTEGER NOT NULL DEFAULT 0;
+
+-- imtiyozli navbat (priority.js): belgi + sabab; hisoblagich — oxirgi imtiyozli chaqiruvdan keyingi oddiylar
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS priority BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS priority_reason TEXT;
+ALTER TABLE org_state ADD COLUMN IF NOT EXISTS regular_since_priority INTEGER NOT NULL DEFAULT 0;
+
+-- boshqa xizmat/muassasaga ko'chirish (/api/admin/transfer): ikki tomonlama bog'lanish;
+-- front_at — navbat boshiga qo'yilgan (recalled_at kabi raqam tartibidan oldin chaqiriladi)
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS transferred_from UUID;
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS transferred_to UUID;
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS front_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS org_counters (
+  org_id TEXT NOT NULL,
+  counter_no INTEGER NOT NULL,
+  name TEXT,
+  active BOOLEAN NOT NULL DEFAULT true,
+  ticket_id UUID,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (org_id, counter_no)
+);
+-- oyna qaysi xizmatlarni chaqiradi (NULL = hammasi)
+ALTER TABLE org_counters ADD COLUMN IF NOT EXISTS service_ids TEXT[];
+
+-- muassasalar reestri (avval geo.json ichida edi; bo'sh bo'lsa boot'da import qilinadi)
+CREATE TABLE IF NOT EXISTS orgs (
+  id TEXT PRIMARY KEY,
+  name_uz TEXT NOT NULL,
+  name_ru TEXT,
+  name_en TEXT,
+  region TEXT NOT NULL,
+  unit TEXT NOT NULL,
+  address TEXT,
+  active BOOLEAN NOT NULL DEFAULT true,
+  services JSONB NOT NULL DEFAULT '[]'::jsonb,
+  settings JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_orgs_region_unit ON orgs(region, unit);
+
+-- operatorlar (admin panel foydalanuvchilari), ularning muassasalari va sessiyalari
+CREATE TABLE IF NOT EXISTS operators (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  username TEXT NOT NULL UNIQUE,
+  password_hash TEXT NOT NULL,
+  full_name TEXT,
+  role TEXT NOT NULL DEFAULT 'operator',
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS operator_orgs (
+  operator_id UUID NOT NULL REFERENCES operators(id) ON DELETE CASCADE,
+  org_id TEXT NOT NULL,
+  PRIMARY KEY (operator_id, org_id)
+);
+
+-- operator rejimi (bot): bog'langan Telegram hisobi + bir martalik bog'lash kodi (hash)
+ALTER TABLE operators ADD COLUMN IF NOT EXISTS telegram_user_id BIGINT;
+ALTER TABLE operators ADD COLUMN IF NOT EXISTS tg_link_hash TEXT;
+ALTER TABLE operators ADD COLUMN IF NOT EXISTS tg_link_expires_at TIMESTAMPTZ;
+CREATE UNIQUE INDEX IF NOT EXISTS uq_operators_telegram_user ON operators(telegram_user_id) WHERE telegram_user_id IS NOT NULL;
+
+-- token o'zi saqlanmaydi, faqat sha256 hash
+CREATE TABLE IF NOT EXISTS operator_sessions (
+  token_hash TEXT PRIMARY KEY,
+  operator_id UUID NOT NULL REFERENCES operators(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+-- Telegram bot foydalanuvchilari: profil + bot oqimi holati (tgusers.js)
+CREATE TABLE IF NOT EXISTS telegram_users (
+  chat_id BIGINT PRIMARY KEY,
+  telegram_user_id BIGINT,
+  lang TEXT,
+  full_name TEXT,
+  phone TEXT,
+  last_org_id TEXT,
+  session JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+-- foydalanuvchi tanlagan "N ta qolganda xabar ber" (notify.js)
+ALTER TABLE telegram_users ADD COLUMN IF NOT EXISTS notify_at INTEGER;
+
+-- ticket holati o'zgarishlari + admin amallari jurnali (events.js); ticket_id NULL = muassasa darajasidagi amal
+CREATE TABLE IF NOT EXISTS ticket_events (
+  id BIGSERIAL PRIMARY KEY,
+  ticket_id UUID,
+  org_id TEXT NOT NULL,
+  action TEXT NOT NULL,
+  from_status TEXT,
+  to_status TEXT,
+  actor_type TEXT NOT NULL,
+  actor_id TEXT,
+  actor_name TEXT,
+  source TEXT,
+  meta JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_ticket_events_ticket ON ticket_events(ticket_id, id);
+CREATE INDEX IF NOT EXISTS idx_ticket_events_org ON ticket_events(org_id, id);
+
+-- Web Push obunalari (brauzer) — ticketga bog'langan; ticket o'chsa obuna ham
+CREATE TABLE IF NOT EXISTS push_subscriptions (
+  id BIGSERIAL PRIMARY KEY,
+  ticket_id UUID NOT NULL REFERENCES tickets(id) ON DELETE CASCADE,
+  endpoint TEXT NOT NULL,
+  p256dh TEXT NOT NULL,
+  auth TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (ticket_id, endpoint)
+);
+
+-- Xabarnomalar navbati (outbox.js): navbat o'zgarishi bilan bir tranzaksiyada yoziladi, worker yetkazadi
+CREATE TABLE IF NOT EXISTS notify_outbox (
+  id BIGSERIAL PRIMARY KEY,
+  channel TEXT NOT NULL,
+  target TEXT NOT NULL,
+  ticket_id UUID,
+  kind TEXT NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status TEXT NOT NULL DEFAULT 'pending', -- pending | sent | failed | expired
+  attempts INT NOT NULL DEFAULT 0,
+  next_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  expires_at TIMESTAMPTZ,
+  last_error TEXT,
+  sent_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_notify_outbox_due ON notify_outbox(next_at, id) WHERE status='pending';
+
+-- Chiquvchi webhooklar (webhooks.js): muassasa bo'yicha obunalar va har bir yetkazish urinishi
+CREATE TABLE IF NOT EXISTS webhooks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id TEXT NOT NULL,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  events TEXT[] NOT NULL,
+  description TEXT,
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id BIGSERIAL PRIMARY KEY,
+  webhook_id UUID NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+  org_id TEXT NOT NULL,
+  outbox_id TEXT, -- null = admin "test" so'rovi
+  event TEXT NOT NULL,
+  event_id TEXT,
+  attempt INT NOT NULL DEFAULT 1,
+  status_code INT,
+  ok BOOLEAN NOT NULL,
+  error TEXT,
+  duration_ms INT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_webhooks_org ON webhooks(org_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_hook ON webhook_deliveries(webhook_id, id);
+
+-- indexes
+CREATE INDEX IF NOT EXISTS idx_tickets_org_num ON tickets(org_id, number);
+CREATE INDEX IF NOT EXISTS idx_tickets_org_status ON tickets(org_id, status);
+CREATE INDEX IF NOT EXISTS idx_tickets_org_served_at ON tickets(org_id, served_at);
+CREATE INDEX IF NOT EXISTS idx_tickets_org_created_at ON tickets(org_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_tickets_org_service_num ON tickets(org_id, service_id, number);
+CREATE INDEX IF NOT EXISTS idx_tickets_org_client_ip ON tickets(org_id, client_ip);
@@ -0,0 +1,10 @@
+-- 002: initDb'da bu index try/catch ichida edi — aktiv raqam dublikatlari bo'lsa index yaratilmay qolib ketardi.
+-- Endi dublikat bo'lsa migratsiya to'xtaydi (xatoda to'qnashgan org_id/service_id/number ko'rinadi);
+-- ortiqcha aktiv ticketlarni bekor qilib, `npm run migrate -- up` ni qayta ishga tushiring.
+
+-- safety: xizmat bo'yicha aktiv raqam dublikat bo'lib qolmasin (tartib buzilmasin).
+-- Faqat aktiv ticketlar: reset'dan keyin raqamlash 1 dan qayta boshlanadi, eski served/cancelled to'qnashmaydi.
+DROP INDEX IF EXISTS uq_tickets_org_number;
+CREATE UNIQUE INDEX IF NOT EXISTS uq_tickets_active_number
+  ON tickets(org_id, service_id, number)
+  WHERE status IN ('waiting','called','missed');
@@ -0,0 +1,140 @@
+// notify.js (Node >=18, ESM)
+// Telegram xabarnomalari: muassasa siyosati (orgs.settings.notify) va matnlar (uz/ru/en).
+//
+// notify = {
+//   positions: [10, 5, 3, 1, 0], // oldinda shuncha odam qolganda xabar (0 = "keyingi siz")
+//   statusChanges: true,         // missed / cancelled / recalled bo'lganda ham xabar
+//   sms: false,                  // muhim xabarlar (SMS_KINDS) SMS bilan ham — telefon ma'lum bo'lsa (sms.js)
+// }
+// Foydalanuvchi botda o'zi ham chegara tanlashi mumkin (telegram_users.notify_at) — u positions'ga qo'shiladi.
+
+export const DEFAULT_NOTIFY = { positions: [10, 5, 3, 1, 0], statusChanges: true, sms: false };
+
+// SMS pullik — faqat shular
+export const SMS_KINDS = ["next", "called", "transferred"];
+
+// outbox: shu vaqtgacha yetkazilmasa xabar eskirgan ("3 ta qoldi" keyin ma'nosiz). Yo'q = muddatsiz.
+export const NOTIFY_TTL_SEC = {
+  progress: 15 * 60,
+  next: 30 * 60,
+  called: 30 * 60,
+  recalled: 60 * 60,
+  transferred: 60 * 60,
+  dayClosed: 12 * 60 * 60,
+};
+
+// botdagi "N ta qolganda xabar bering" tugmalari
+export const USER_NOTIFY_CHOICES = [20, 10, 5, 3, 1];
+
+const MAX_POSITION = 200;
+const MAX_POSITIONS = 10;
+
+export function orgNotify(org) {
+  const x = org?.settings?.notify;
+  return { ...DEFAULT_NOTIFY, ...(x && typeof x === "object" ? x : {}) };
+}
+
+// Admin kiritgan notify -> { value } yoki { error }. null = standart siyosat.
+export function normalizeNotify(input) {
+  if (input === null) return { value: null };
+  if (!input || typeof input !== "object") return { error: "notify obyekt bo‘lsin" };
+
+  const out = {};
+  if (input.positions !== undefined) {
+    const p = input.positions;
+    if (!Array.isArray(p)) return { error: "positions massiv bo‘lsin" };
+    if (p.length > MAX_POSITIONS) return { error: `positions: ko‘pi bilan ${MAX_POSITIONS} ta son` };
+    for (const n of p) {
+      if (!Number.isInteger(n) || n < 0 || n > MAX_POSITION) return { error: `positions: 0..${MAX_POSITION} butun son bo‘lsin` };
+    }
+    out.positions = [...new Set(p)].sort((a, b) => b - a);
+  }
+  if (input.statusChanges !== undefined) {
+    if (typeof input.statusChanges !== "boolean") return { error: "statusChanges true/false bo‘lsin" };
+    out.statusChanges = input.statusChanges;
+  }
+  if (input.sms !== undefined) {
+    if (typeof input.sms !== "boolean") return { error: "sms true/false bo‘lsin" };
+    out.sms = input.sms;
+  }
+  return { value: out };
+}
+
+// Hozir xabar kerakmi? remaining <= t bo'lgan eng kichik chegara hali xabar qilinmagan bo'lsa — o'sha chegara.
+// lastSent — oxirgi xabardagi remaining (tickets.last_notified_remaining), null = hali yo'q.
+export function progressThreshold(positions, remaining, lastSent) {
+  const hit = positions.filter((t) => remaining <= t);
+  if (!hit.length) return null;
+  const t = Math.min(...hit);
+  return lastSent === null || lastSent > t ? t : null;
+}
+
+const MSG = {
+  progress: {
+    uz: "⏳ Navbatingizga {remaining} ta qoldi.\nRaqam: {num}{name}{eta}",
+    ru: "⏳ До вашей очереди осталось {remaining}.\nНомер: {num}{name}{eta}",
+    en: "⏳ {remaining} ahead of you.\nNumber: {num}{name}{eta}",
+  },
+  eta: { uz: "\n⏱ Taxminan: {min}–{max} daqiqa", ru: "\n⏱ Примерно: {min}–{max} мин", en: "\n⏱ About {min}–{max} min" },
+  name: { uz: "\nIsm: {name}", ru: "\nИмя: {name}", en: "\nName: {name}" },
+  counter: { uz: "{n}-oyna", ru: "окно {n}", en: "counter {n}" },
+  next: {
+    uz: "🔜 Keyingi navbat sizniki!\nRaqam: {num}{name}\nIltimos, oynalarga yaqinlashing.",
+    ru: "🔜 Следующий — вы!\nНомер: {num}{name}\nПожалуйста, подойдите к окнам.",
+    en: "🔜 You're next!\nNumber: {num}{name}\nPlease come to the counters.",
+  },
+  called: {
+    uz: "✅ Navbatingiz keldi!\nRaqam: {num}{name}\n👉 {counter} ga boring.",
+    ru: "✅ Ваша очередь!\nНомер: {num}{name}\n👉 Подойдите: {counter}.",
+    en: "✅ It's your turn!\nNumber: {num}{name}\n👉 Go to {counter}.",
+  },
+  missed: {
+    uz: "⚠️ {num} raqamli navbatingiz o‘tkazib yuborildi.\nKelgan bo‘lsangiz: /mytickets → “🙋 Qaytdim” yoki oynaga murojaat qiling.",
+    ru: "⚠️ Ваш талон {num} пропущен.\nЕсли вы на месте: /mytickets → «🙋 Я вернулся» или обратитесь к окну.",
+    en: "⚠️ Your ticket {num} was missed.\nIf you're here: /mytickets → “🙋 I'm back” or contact a counter.",
+  },
+  expired: {
+    uz: "⛔ {num} raqamli navbatingizga qaytish muddati tugadi — navbat bekor qilindi.",
+    ru: "⛔ Время на возврат истекло — талон {num} отменён.",
+    en: "⛔ The grace period is over — ticket {num} was cancelled.",
+  },
+  cancelled: {
+    uz: "🗑 {num} raqamli navbatingiz bekor qilindi.",
+    ru: "🗑 Ваш талон {num} отменён.",
+    en: "🗑 Your ticket {num} was cancelled.",
+  },
+  recalled: {
+    uz: "🔁 {num} raqamli navbatingiz qayta tiklandi — tez orada chaqirilasiz.",
+    ru: "🔁 Ваш талон {num} восстановлен — скоро вас вызовут.",
+    en: "🔁 Your ticket {num} is back in the queue — you'll be called soon.",
+  },
+  transferred: {
+    uz: "🔀 Navbatingiz ko‘chirildi: {from} → {num}\n📍 {place}\nOldinda: {remaining} ta",
+    ru: "🔀 Ваш талон перенесён: {from} → {num}\n📍 {place}\nПеред вами: {remaining}",
+    en: "🔀 Your ticket was moved: {from} → {num}\n📍 {place}\nAhead of you: {remaining}",
+  },
+  dayClosed: {
+    uz: "🌙 Ish kuni yakunlandi. {num} raqamli navbatingiz bekor qilindi.\nErtaga qayta navbat olishingiz mumkin.",
+    ru: "🌙 Рабочий день окончен. Ваш талон {num} отменён.\nЗавтра можно взять новый.",
+    en: "🌙 The working day is over. Your ticket {num} was cancelled.\nYou can take a new one tomorrow.",
+  },
+};
+
+function pickLang(lang) {
+  return lang === "ru" || lang === "en" ? lang : "uz";
+}
+
+function fill(tpl, p) {
+  return tpl.replace(/\{(\w+)\}/g, (_, k) => (p[k] === undefined || p[k] === null ? "" : String(p[k])));
+}
+
+// kind: progress | next | called | missed | expired | cancelled | recalled | transferred | dayClosed
+// p: { num, name?, remaining?, eta?: { minMinutes, maxMinutes }, counterNo?, counterName?, from?, place? }
+export function notifyText(kind, lang, p = {}) {
+  const l = pickLang(lang);
+  const name = p.name ? fill(MSG.name[l], { name: p.name }) : "";
+  const eta = p.eta ? fill(MSG.eta[l], { min: p.eta.minMinutes, max: p.eta.maxMinutes }) : "";
+  let counter = p.counterName || "—";
+  if (p.counterNo) counter = fill(MSG.counter[l], { n: p.counterNo }) + (p.counterName ? ` (${p.counterName})` : "");
+  return fill(MSG[kind]?.[l] || "", { ...p, name, eta, counter });
+}
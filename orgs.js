@@ -0,0 +1,188 @@
+// orgs.js (Node >=18, ESM)
+// Muassasalar reestri: `orgs` jadvali + xotiradagi kesh.
+// server.js sinxron o'qiydi (getOrg/listOrgs), kesh har yozuvdan keyin va davriy ravishda yangilanadi.
+
+let byId = new Map();
+let loadedAt = 0;
+
+const ORG_ID_RE = /^[a-z0-9_-]{2,64}$/;
+const SERVICE_ID_RE = /^[A-Za-z0-9_-]{1,16}$/;
+
+function str(x) {
+  return typeof x === "string" ? x.trim() : "";
+}
+
+function rowToOrg(r) {
+  return {
+    id: r.id,
+    name: { uz: r.name_uz, ru: r.name_ru || "", en: r.name_en || "" },
+    region: r.region,
+    unit: r.unit,
+    address: r.address || null,
+    active: r.active !== false,
+    services: Array.isArray(r.services) ? r.services : [],
+    settings: r.settings && typeof r.settings === "object" ? r.settings : {},
+    updatedAt: r.updated_at,
+  };
+}
+
+export async function reloadOrgs(db) {
+  const r = await db.query(`SELECT * FROM orgs ORDER BY region, unit, name_uz`);
+  byId = new Map(r.rows.map((x) => [x.id, rowToOrg(x)]));
+  loadedAt = Date.now();
+  return byId.size;
+}
+
+export function orgsLoadedAt() {
+  return loadedAt;
+}
+
+// faol bo'lmaganlari ham qaytadi (admin, eski ticketlar uchun) — tekshiruvni chaqiruvchi qiladi
+export function getOrg(orgId) {
+  if (!orgId || typeof orgId !== "string") return null;
+  return byId.get(orgId) || null;
+}
+
+export function listOrgs({ includeInactive = false } = {}) {
+  const all = [...byId.values()];
+  return includeInactive ? all : all.filter((o) => o.active);
+}
+
+// Eski geo.json formati: { "Viloyat|Tuman": [ { id, name, services } ] } (faqat faol)
+export function orgsByUnitUzKey() {
+  const out = {};
+  for (const o of listOrgs()) {
+    const key = `${o.region}|${o.unit}`;
+    (out[key] ||= []).push({
+      id: o.id,
+      name: o.name,
+      ...(o.address ? { address: o.address } : {}),
+      ...(o.services.length ? { services: o.services } : {}),
+    });
+  }
+  return out;
+}
+
+function normalizeServices(list) {
+  if (!Array.isArray(list)) return { error: "services massiv bo‘lsin" };
+  const seen = new Set();
+  const out = [];
+  for (const x of list) {
+    const id = str(String(x?.id ?? ""));
+    if (!SERVICE_ID_RE.test(id)) return { error: `Xizmat id noto‘g‘ri: "${id}"` };
+    if (seen.has(id)) return { error: `Xizmat id takrorlangan: "${id}"` };
+    seen.add(id);
+
+    const prefix = (str(x?.prefix) || id).toUpperCase().slice(0, 3);
+    const name = x?.name && typeof x.name === "object"
+      ? { uz: str(x.name.uz), ru: str(x.name.ru), en: str(x.name.en) }
+      : { uz: str(x?.name) || id, ru: "", en: "" };
+    out.push({ id, prefix, name });
+  }
+  return { value: out };
+}
+
+// Admin body -> jadval ustunlari. partial=true bo'lsa faqat berilgan maydonlar.
+// Qaytaradi: { value } yoki { error }
+export function normalizeOrgInput(body, { partial = false } = {}) {
+  const b = body || {};
+  const v = {};
+
+  if (!partial) {
+    const id = str(b.id).toLowerCase();
+    if (!ORG_ID_RE.test(id)) return { error: "id 2-64 belgi: a-z, 0-9, _ -" };
+    v.id = id;
+  }
+
+  if (b.name !== undefined || !partial) {
+    const n = b.name && typeof b.name === "object" ? b.name : { uz: b.name };
+    if (!str(n.uz)) return { error: "name.uz kerak" };
+    v.name_uz = str(n.uz).slice(0, 200);
+    v.name_ru = str(n.ru).slice(0, 200) || null;
+    v.name_en = str(n.en).slice(0, 200) || null;
+  }
+
+  for (const k of ["region", "unit"]) {
+    if (b[k] === undefined && partial) continue;
+    if (!str(b[k])) return { error: `${k} kerak` };
+    if (str(b[k]).includes("|")) return { error: `${k} ichida "|" bo‘lmasin` };
+    v[k] = str(b[k]).slice(0, 120);
+  }
+
+  if (b.address !== undefined) v.address = str(b.address).slice(0, 300) || null;
+  if (b.active !== undefined) {
+    if (typeof b.active !== "boolean") return { error: "active true/false bo‘lsin" };
+    v.active = b.active;
+  }
+  if (b.services !== undefined) {
+    const s = normalizeServices(b.services);
+    if (s.error) return s;
+    v.services = JSON.stringify(s.value);
+  }
+
+  return { value: v };
+}
+
+export async function insertOrg(db, v, { overwrite = false } = {}) {
+  const r = await db.query(
+    `INSERT INTO orgs (id, name_uz, name_ru, name_en, region, unit, address, active, services)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8, true), COALESCE($9::jsonb, '[]'::jsonb))
+     ON CONFLICT (id) DO ${overwrite
+       ? `UPDATE SET name_uz=EXCLUDED.name_uz, name_ru=EXCLUDED.name_ru, name_en=EXCLUDED.name_en,
+                     region=EXCLUDED.region, unit=EXCLUDED.unit, address=COALESCE(EXCLUDED.address, orgs.address),
+                     services=EXCLUDED.services, updated_at=now()`
+       : "NOTHING"}
+     RETURNING *`,
+    [v.id, v.name_uz, v.name_ru, v.name_en, v.region, v.unit, v.address ?? null, v.active ?? null, v.services ?? null]
+  );
+  return r.rowCount ? rowToOrg(r.rows[0]) : null;
+}
+
+export async function updateOrg(db, id, v) {
+  const cols = Object.keys(v).filter((k) => k !== "id");
+  if (!cols.length) return getOrg(id);
+
+  const sets = cols.map((k, i) => `${k}=$${i + 2}${k === "services" ? "::jsonb" : ""}`);
+  const r = await db.query(
+    `UPDATE orgs SET ${sets.join(", ")}, updated_at=now() WHERE id=$1 RETURNING *`,
+    [id, ...cols.map((k) => v[k])]
+  );
+  return r.rowCount ? rowToOrg(r.rows[0]) : null;
+}
+
+// geo.json (orgsByUnitUzKey) -> orgs jadvali. overwrite=false: mavjudlariga tegmaydi.
+export async function importOrgsFromGeo(db, geo, { overwrite = false } = {}) {
+  const stats = { total: 0, inserted: 0, skipped: 0, errors: [] };
+
+  for (const [key, arr] of Object.entries(geo?.orgsByUnitUzKey || {})) {
+    const [region, unit] = key.split("|");
+    for (const o of arr || []) {
+      stats.total++;
+      const { value, error } = normalizeOrgInput({
+        id: String(o?.id ?? ""),
+        name: o?.name && typeof o.name === "object" ? o.name : { uz: o?.name || String(o?.id ?? "") },
+        region,
+        unit,
+        address: o?.address,
+        services: Array.isArray(o?.services) ? o.services : [],
+      });
+      if (error) {
+        stats.errors.push(`${o?.id}: ${error}`);
+        continue;
+      }
+      const row = await insertOrg(db, value, { overwrite });
+      if (row) stats.inserted++;
+      else stats.skipped++;
+    }
+  }
+  return stats;
+}
+
+// settings JSONB ga qisman yozish (hours, limits va h.k.); patch kalitlari ustiga yoziladi
+export async function updateOrgSettings(db, id, patch) {
+  const r = await db.query(
+    `UPDATE orgs SET settings = settings || $2::jsonb, updated_at=now() WHERE id=$1 RETURNING *`,
+    [id, JSON.stringify(patch)]
+  );
+  return r.rowCount ? rowToOrg(r.rows[0]) : null;
+}
@@ -0,0 +1,212 @@
+// outbox.js (Node >=18, ESM)
+// Ishonchli xabarnomalar: navbat o'zgarishi bilan BITTA tranzaksiyada notify_outbox ga yoziladi (db = client),
+// worker keyin yetkazadi. Tarmoq uzilishi yoki restart xabarni yo'qotmaydi: yetkazilmasa backoff bilan qayta urinadi.
+//
+// kanal = {
+//   name,                  // "telegram" | "push" | "sms" ...
+//   enabled(),             // sozlanmagan kanal uchun navbatga yozilmaydi
+//   ratePerSec,            // kanal bo'yicha umumiy chegara (0 = cheklovsiz)
+//   perTargetGapMs,        // bitta qabul qiluvchiga ketma-ket xabarlar orasidagi minimal vaqt
+//   send(target, payload, { id, attempt }), // -> { ok: true } | { ok: false, error, retryAfterMs?, permanent? }
+// }
+// Yangi kanal: shu shartnoma bo'yicha obyekt + registerChannel(). Yetkazish kamida bir marta (at-least-once).
+
+const channels = new Map();
+
+const MAX_ATTEMPTS = 8;
+const BASE_BACKOFF_MS = 5000;
+const MAX_BACKOFF_MS = 30 * 60 * 1000;
+// yuborish paytida jarayon o'lsa — shu vaqtdan keyin qatorni boshqa urinish oladi
+const LEASE_MS = 60 * 1000;
+const BATCH = 50;
+const POLL_MS = 1000;
+const KEEP_DAYS = 7;
+
+export function registerChannel(ch) {
+  channels.set(ch.name, ch);
+}
+
+export function channelEnabled(name) {
+  const ch = channels.get(name);
+  return !!ch && ch.enabled();
+}
+
+// items: [{ channel, target, ticketId?, kind, payload, ttlSec? }] — o'chirilgan kanallar tashlab ketiladi.
+// ttlSec: shu vaqtdan keyin yetkazish ma'nosiz ("3 ta qoldi" eskiradi) — qator 'expired' bo'ladi.
+// Qaytaradi: navbatga yozilgan xabarlar soni.
+export async function enqueue(db, items) {
+  const rows = (items || [])
+    .filter((x) => x && x.target != null && channelEnabled(x.channel))
+    .map((x) => ({
+      channel: x.channel,
+      target: String(x.target),
+      ticket_id: x.ticketId || null,
+      kind: x.kind,
+      payload: x.payload || {},
+      ttl_sec: x.ttlSec || null,
+    }));
+  if (!rows.length) return 0;
+
+  await db.query(
+    `INSERT INTO notify_outbox (channel, target, ticket_id, kind, payload, expires_at)
+     SELECT channel, target, ticket_id, kind, payload,
+            CASE WHEN ttl_sec IS NULL THEN NULL ELSE now() + make_interval(secs => ttl_sec) END
+     FROM jsonb_to_recordset($1::jsonb) AS x(
+       channel TEXT, target TEXT, ticket_id UUID, kind TEXT, payload JSONB, ttl_sec INT
+     )`,
+    [JSON.stringify(rows)]
+  );
+  return rows.length;
+}
+
+function backoffMs(attempts) {
+  return Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// tezlik chegarasi jarayon ichida: kanal uchun keyingi bo'sh vaqt va qabul qiluvchiga oxirgi yuborilgan vaqt
+const nextSlotAt = new Map(); // channel -> ms
+const lastToTarget = new Map(); // `${channel}:${target}` -> ms
+
+async function waitChannelSlot(ch) {
+  if (!ch.ratePerSec) return;
+  const now = Date.now();
+  const at = Math.max(now, nextSlotAt.get(ch.name) || 0);
+  nextSlotAt.set(ch.name, at + Math.ceil(1000 / ch.ratePerSec));
+  if (at > now) await sleep(at - now);
+}
+
+// Bitta o'tish: muddati kelgan qatorlarni olib (SKIP LOCKED — bir nechta instansiya ham xavfsiz) yetkazadi.
+// only / skip — kanallar ro'yxati (sekin kanal boshqalarni kutdirmasligi uchun alohida worker'lar).
+// concurrency — bir vaqtda nechta qabul qiluvchiga yuboriladi; bitta qabul qiluvchiga doim ketma-ket.
+export async function deliverDue(db, { limit = BATCH, only = null, skip = null, concurrency = 1 } = {}) {
+  const claimed = await db.query(
+    `UPDATE notify_outbox o
+     SET attempts=o.attempts+1, next_at=now() + make_interval(secs => $2), updated_at=now()
+     FROM (
+       SELECT id FROM notify_outbox
+       WHERE status='pending' AND next_at <= now()
+         AND ($3::text[] IS NULL OR channel = ANY($3))
+         AND ($4::text[] IS NULL OR channel <> ALL($4))
+       ORDER BY next_at, id
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     ) due
+     WHERE o.id=due.id
+     RETURNING o.*`,
+    [limit, LEASE_MS / 1000, only, skip]
+  );
+
+  const rows = claimed.rows.sort((a, b) => Number(a.id) - Number(b.id));
+  const blocked = new Set(); // shu o'tishda xato bergan qabul qiluvchi — keyingi xabarlari undan o'zib ketmasin
+  let sent = 0;
+
+  const deliverRow = async (row) => {
+    const key = `${row.channel}:${row.target}`;
+    const ch = channels.get(row.channel);
+
+    if (row.expires_at && new Date(row.expires_at) <= new Date()) {
+      await finish(db, row.id, "expired", null);
+      return;
+    }
+    if (!ch || !ch.enabled()) {
+      await retry(db, row, { error: `kanal o‘chirilgan: ${row.channel}` });
+      return;
+    }
+    const gapLeft = ch.perTargetGapMs ? (lastToTarget.get(key) || 0) + ch.perTargetGapMs - Date.now() : 0;
+    if (blocked.has(key) || gapLeft > 0) {
+      // urinish hisoblanmaydi — faqat keyinroqqa suriladi
+      await db.query(
+        `UPDATE notify_outbox SET attempts=attempts-1, next_at=now() + make_interval(secs => $2), updated_at=now() WHERE id=$1`,
+        [row.id, Math.max(gapLeft, ch.perTargetGapMs || 1000) / 1000]
+      );
+      return;
+    }
+
+    await waitChannelSlot(ch);
+    let res;
+    try {
+      res = await ch.send(row.target, row.payload || {}, { id: String(row.id), attempt: Number(row.attempts) });
+    } catch (e) {
+      res = { ok: false, error: e?.message || String(e) };
+    }
+    lastToTarget.set(key, Date.now());
+
+    if (res?.ok) {
+      await finish(db, row.id, "sent", null);
+      sent++;
+    } else {
+      blocked.add(key);
+      await retry(db, row, res || {});
+    }
+  };
+
+  // qabul qiluvchi bo'yicha guruhlar (ichida id tartibi), guruhlar concurrency ta "yo'lak"da
+  const groups = new Map();
+  for (const row of rows) {
+    const key = `${row.channel}:${row.target}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+  const queue = [...groups.values()];
+  const lane = async () => {
+    for (let g = queue.shift(); g; g = queue.shift()) {
+      for (const row of g) await deliverRow(row);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, concurrency) }, lane));
+
+  if (lastToTarget.size > 10000) lastToTarget.clear();
+  return { claimed: rows.length, sent };
+}
+
+function finish(db, id, status, error) {
+  return db.query(
+    `UPDATE notify_outbox SET status=$2, last_error=$3, sent_at=CASE WHEN $2='sent' THEN now() ELSE sent_at END, updated_at=now()
+     WHERE id=$1`,
+    [id, status, error]
+  );
+}
+
+async function retry(db, row, { error = null, retryAfterMs = null, permanent = false }) {
+  const attempts = Number(row.attempts);
+  if (permanent || attempts >= MAX_ATTEMPTS) {
+    console.error(`outbox #${row.id} ${row.channel}: yetkazilmadi (${attempts} urinish): ${error || "-"}`);
+    return finish(db, row.id, "failed", error);
+  }
+  const wait = Math.max(retryAfterMs || 0, backoffMs(attempts));
+  await db.query(
+    `UPDATE notify_outbox SET next_at=now() + make_interval(secs => $2), last_error=$3, updated_at=now() WHERE id=$1`,
+    [row.id, wait / 1000, error]
+  );
+}
+
+// yetkazilgan / muvaffaqiyatsiz qatorlar bir hafta saqlanadi (tekshirish uchun), keyin o'chiriladi
+export async function purgeOutbox(db) {
+  await db.query(
+    `DELETE FROM notify_outbox WHERE status <> 'pending' AND updated_at < now() - make_interval(days => $1)`,
+    [KEEP_DAYS]
+  );
+}
+
+// opts: deliverDue bilan bir xil (limit, only, skip, concurrency). limit ta qatorning hammasi LEASE_MS ichida
+// yetkazilishi kerak, aks holda boshqa o'tish ularni qayta oladi (ikki marta yuborish).
+export function startOutboxWorker(db, { pollMs = POLL_MS, ...opts } = {}) {
+  const limit = opts.limit || BATCH;
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      // navbat to'lib qolgan bo'lsa kutmasdan davom etamiz
+      while ((await deliverDue(db, { ...opts, limit })).claimed >= limit);
+    } catch (e) {
+      console.error("outbox worker error:", e.message);
+    } finally {
+      running = false;
+    }
+  };
+  tick();
+  setInterval(tick, pollMs).unref();
+}
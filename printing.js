@@ -0,0 +1,233 @@
+// printing.js (Node >=18, ESM)
+// Kiosk ticketini chop etish: 80 mm chek uchun PDF (brauzer print) va termoprinterlar uchun ESC/POS baytlari.
+//
+// t = { orgName, serviceName?, displayNumber, priority?, remaining?, takenAt, qrData }
+// PDF standart Courier shriftida (shrift fayli kerak emas), ESC/POS esa ASCII — shuning uchun chek faqat
+// lotin yozuvida (uz | en); kirill matn chiqmaydi, ru so'ralsa uz.
+
+import QRCode from "qrcode";
+import { BUSINESS_TZ } from "./hours.js";
+
+const L = {
+  uz: {
+    number: "NAVBAT RAQAMI",
+    priority: "Imtiyozli navbat",
+    ahead: (n) => (n > 0 ? `Oldinda: ${n} ta` : "Keyingi navbat sizniki"),
+    taken: "Olingan",
+    track: "Navbatni telefonda kuzating",
+  },
+  en: {
+    number: "YOUR NUMBER",
+    priority: "Priority ticket",
+    ahead: (n) => (n > 0 ? `Ahead of you: ${n}` : "You are next"),
+    taken: "Taken",
+    track: "Track your turn on your phone",
+  },
+};
+
+export function printLang(lang) {
+  return lang === "en" ? "en" : "uz";
+}
+
+const dtf = new Intl.DateTimeFormat("en-GB", {
+  timeZone: BUSINESS_TZ,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  hourCycle: "h23",
+});
+
+// 19.10.2026 14:05 (BUSINESS_TZ)
+function fmtTime(d) {
+  const p = Object.fromEntries(dtf.formatToParts(new Date(d)).map((x) => [x.type, x.value]));
+  return `${p.day}.${p.month}.${p.year} ${p.hour}:${p.minute}`;
+}
+
+// chekdagi qatorlar (PDF va ESC/POS bir xil tartibda)
+function lines(t, lang) {
+  const l = L[printLang(lang)];
+  return {
+    org: t.orgName || "",
+    service: t.serviceName || "",
+    label: l.number,
+    number: t.displayNumber,
+    priority: t.priority ? l.priority : "",
+    ahead: Number.isInteger(t.remaining) ? l.ahead(t.remaining) : "",
+    taken: `${l.taken}: ${fmtTime(t.takenAt)}`,
+    track: l.track,
+  };
+}
+
+function wrap(text, max) {
+  const out = [];
+  let cur = "";
+  for (let w of String(text).split(/\s+/).filter(Boolean)) {
+    while (w.length > max) {
+      if (cur) out.push(cur), (cur = "");
+      out.push(w.slice(0, max));
+      w = w.slice(max);
+    }
+    if (!cur) cur = w;
+    else if (cur.length + 1 + w.length <= max) cur += " " + w;
+    else out.push(cur), (cur = w);
+  }
+  if (cur) out.push(cur);
+  return out;
+}
+
+// ===== PDF =====
+const PT_PER_MM = 72 / 25.4;
+const PAGE_W = 80 * PT_PER_MM;
+const MARGIN = 14;
+const CHAR_W = 0.6; // Courier: har belgi 600/1000 em
+const QR_SIZE = 120;
+
+// WinAnsiEncoding: o‘/g‘ tutuq belgilari va tirelar o'z kodida, qolgan lotin harflari diakritikasiz
+const WIN_ANSI = { "‘": 0x91, "’": 0x92, "ʻ": 0x91, "ʼ": 0x92, "–": 0x96, "—": 0x97, "…": 0x85 };
+
+function pdfHex(s) {
+  let hex = "";
+  for (const ch of String(s)) {
+    let c = WIN_ANSI[ch] ?? ch.codePointAt(0);
+    if (c > 0xff) {
+      const base = ch.normalize("NFD")[0];
+      c = base.codePointAt(0) <= 0x7f ? base.codePointAt(0) : 0x3f;
+    }
+    hex += c.toString(16).padStart(2, "0");
+  }
+  return `<${hex}>`;
+}
+
+const n2 = (x) => (Math.round(x * 100) / 100).toString();
+
+export function ticketPdf(t, lang = "uz") {
+  const x = lines(t, lang);
+  const inner = PAGE_W - 2 * MARGIN;
+  const perLine = (size) => Math.floor(inner / (size * CHAR_W));
+
+  // yuqoridan pastga: { font, size, text } | { gap } | { qr }
+  const ops = [];
+  const text = (s, font, size) => {
+    for (const line of wrap(s, perLine(size))) ops.push({ font, size, text: line });
+  };
+  text(x.org, "F2", 11);
+  if (x.service) text(x.service, "F1", 10);
+  ops.push({ rule: true });
+  text(x.label, "F1", 9);
+  const numSize = Math.min(44, inner / (Math.max(1, x.number.length) * CHAR_W));
+  ops.push({ font: "F2", size: numSize, text: x.number });
+  if (x.priority) text(x.priority, "F2", 10);
+  if (x.ahead) text(x.ahead, "F1", 10);
+  text(x.taken, "F1", 9);
+  ops.push({ gap: 6 }, { qr: true });
+  text(x.track, "F1", 8);
+
+  const lineH = (op) => (op.qr ? QR_SIZE + 4 : op.gap ? op.gap : op.rule ? 12 : op.size * 1.3);
+  const pageH = MARGIN * 2 + ops.reduce((s, op) => s + lineH(op), 0);
+
+  const qr = QRCode.create(t.qrData, { errorCorrectionLevel: "M" });
+  let y = pageH - MARGIN;
+  let body = "0 g\n";
+  for (const op of ops) {
+    const h = lineH(op);
+    if (op.text !== undefined) {
+      const w = op.text.length * op.size * CHAR_W;
+      body += `BT /${op.font} ${n2(op.size)} Tf ${n2((PAGE_W - w) / 2)} ${n2(y - op.size)} Td ${pdfHex(op.text)} Tj ET\n`;
+    } else if (op.rule) {
+      body += `0.5 w [2 2] 0 d ${n2(MARGIN)} ${n2(y - h / 2)} m ${n2(PAGE_W - MARGIN)} ${n2(y - h / 2)} l S [] 0 d\n`;
+    } else if (op.qr) {
+      const size = qr.modules.size;
+      const get = (r, c) => qr.modules.get(r, c);
+      const m = QR_SIZE / size;
+      const x0 = (PAGE_W - QR_SIZE) / 2;
+      // qatordagi ketma-ket qora modullar bitta to'rtburchak
+      for (let r = 0; r < size; r++) {
+        for (let c = 0; c < size; c++) {
+          if (!get(r, c)) continue;
+          let e = c;
+          while (e + 1 < size && get(r, e + 1)) e++;
+          body += `${n2(x0 + c * m)} ${n2(y - (r + 1) * m)} ${n2((e - c + 1) * m)} ${n2(m)} re\n`;
+          c = e;
+        }
+      }
+      body += "f\n";
+    }
+    y -= h;
+  }
+
+  const objs = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${n2(PAGE_W)} ${n2(pageH)}] ` +
+      `/Resources << /Font << /F1 5 0 R /F2 6 0 R >> >> /Contents 4 0 R >>`,
+    `<< /Length ${body.length} >>\nstream\n${body}endstream`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>",
+  ];
+  let out = "%PDF-1.4\n";
+  const offsets = [];
+  objs.forEach((o, i) => {
+    offsets.push(out.length);
+    out += `${i + 1} 0 obj\n${o}\nendobj\n`;
+  });
+  const xref = out.length;
+  out += `xref\n0 ${objs.length + 1}\n0000000000 65535 f \n`;
+  for (const off of offsets) out += `${String(off).padStart(10, "0")} 00000 n \n`;
+  out += `trailer\n<< /Size ${objs.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  // hamma matn hex ko'rinishida — fayl to'liq ASCII
+  return Buffer.from(out, "latin1");
+}
+
+// ===== ESC/POS =====
+// Epson mos buyruqlar: markazlash, qalin, 4x raqam, printerning o'z QR buyrug'i (GS ( k), kesish.
+const ESC = 0x1b;
+const GS = 0x1d;
+
+function ascii(s) {
+  return String(s)
+    .replace(/[‘’ʻʼ`]/g, "'")
+    .replace(/[–—]/g, "-")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\x20-\x7e]/g, "?");
+}
+
+export function ticketEscPos(t, lang = "uz") {
+  const x = lines(t, lang);
+  const b = [];
+  const put = (...bytes) => b.push(Buffer.from(bytes));
+  const txt = (s) => b.push(Buffer.from(ascii(s) + "\n", "ascii"));
+
+  put(ESC, 0x40); // init
+  put(ESC, 0x61, 1); // markaz
+  put(ESC, 0x45, 1);
+  txt(x.org);
+  put(ESC, 0x45, 0);
+  if (x.service) txt(x.service);
+  txt("-".repeat(32));
+  txt(x.label);
+  put(GS, 0x21, 0x33, ESC, 0x45, 1); // 4x eni va bo'yi
+  txt(x.number);
+  put(GS, 0x21, 0x00, ESC, 0x45, 0);
+  if (x.priority) txt(x.priority);
+  if (x.ahead) txt(x.ahead);
+  txt(x.taken);
+  txt("");
+
+  const data = Buffer.from(t.qrData, "ascii");
+  const len = data.length + 3;
+  put(GS, 0x28, 0x6b, 4, 0, 0x31, 0x41, 0x32, 0); // model 2
+  put(GS, 0x28, 0x6b, 3, 0, 0x31, 0x43, 6); // modul o'lchami
+  put(GS, 0x28, 0x6b, 3, 0, 0x31, 0x45, 0x31); // xato tuzatish M
+  put(GS, 0x28, 0x6b, len & 0xff, len >> 8, 0x31, 0x50, 0x30);
+  b.push(data);
+  put(GS, 0x28, 0x6b, 3, 0, 0x31, 0x51, 0x30); // chop etish
+  txt("");
+  txt(x.track);
+
+  put(ESC, 0x64, 4); // qog'ozni surish
+  put(GS, 0x56, 0x42, 0); // qisman kesish
+  return Buffer.concat(b);
+}
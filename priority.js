@@ -0,0 +1,72 @@
+// priority.js (Node >=18, ESM)
+// Imtiyozli navbat (keksalar, nogironligi bor, oldindan kelishilgan ...) va chaqirish siyosati (orgs.settings.priority).
+//
+// priority = {
+//   regularBetween: 0, // imtiyozli chaqiruvdan keyin kamida shuncha oddiy chaqiruv (oddiylar kutayotgan bo'lsa)
+// }
+// 0 = imtiyozli ticket doim birinchi. N > 0 = "N ta oddiyga 1 ta imtiyozli"; navbat kelmagan paytda oddiy tartib (FIFO).
+// Hisoblagich org_state.regular_since_priority da (muassasa bo'yicha, barcha oynalar uchun bitta).
+
+export const PRIORITY_REASONS = ["elderly", "disabled", "pregnant", "child", "veteran", "preapproved", "other"];
+
+export const DEFAULT_PRIORITY = { regularBetween: 0 };
+
+const MAX_REGULAR_BETWEEN = 50;
+
+export function orgPriority(org) {
+  const x = org?.settings?.priority;
+  return { ...DEFAULT_PRIORITY, ...(x && typeof x === "object" ? x : {}) };
+}
+
+// Admin kiritgan priority -> { value } yoki { error }. null = standart siyosat.
+export function normalizePriority(input) {
+  if (input === null) return { value: null };
+  if (!input || typeof input !== "object") return { error: "priority obyekt bo‘lsin" };
+
+  const out = {};
+  for (const k of Object.keys(input)) {
+    if (!(k in DEFAULT_PRIORITY)) return { error: `Noma’lum priority kaliti: ${k}` };
+  }
+  if (input.regularBetween !== undefined) {
+    const v = input.regularBetween;
+    if (!Number.isInteger(v) || v < 0 || v > MAX_REGULAR_BETWEEN) {
+      return { error: `regularBetween: 0..${MAX_REGULAR_BETWEEN} butun son bo‘lsin` };
+    }
+    out.regularBetween = v;
+  }
+  return { value: out };
+}
+
+// since — oxirgi imtiyozli chaqiruvdan keyingi oddiy chaqiruvlar soni
+export function preferPriority(policy, since) {
+  return !policy.regularBetween || since >= policy.regularBetween;
+}
+
+// /api/admin/next tartibini takrorlaydi: avval navbat boshiga qo'yilganlar (frontAt — recall / transfer), keyin
+// siyosat bo'yicha imtiyozli yoki eng oldin olingan. waiting — created_at, number tartibida [{ id, priority, frontAt }].
+// Qaytaradi: Map(id -> oldinda turganlar soni)
+export function callPositions(policy, waiting, since = 0) {
+  const out = new Map();
+  const front = waiting.filter((t) => t.frontAt).sort((a, b) => new Date(a.frontAt) - new Date(b.frontAt));
+  const rest = waiting.filter((t) => !t.frontAt);
+  const prio = rest.filter((t) => t.priority);
+
+  let pos = 0;
+  const take = (t) => {
+    out.set(String(t.id), pos++);
+    since = t.priority ? 0 : since + 1;
+  };
+  front.forEach(take);
+
+  // rest (FIFO) va prio — ikkalasi ham created tartibida; olinganlari o'tkazib yuboriladi
+  let i = 0;
+  let j = 0;
+  while (out.size < waiting.length) {
+    while (i < rest.length && out.has(String(rest[i].id))) i++;
+    while (j < prio.length && out.has(String(prio[j].id))) j++;
+    if (j < prio.length && preferPriority(policy, since)) take(prio[j]);
+    else if (i < rest.length) take(rest[i]);
+    else break;
+  }
+  return out;
+}
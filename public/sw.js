@@ -0,0 +1,31 @@
+// sw.js — Web Push: server xabarini ko'rsatadi (sahifa yopiq bo'lsa ham), bosilganda ticket sahifasini ochadi.
+// payload: { title, body, url, tag } — server.js enqueueTicketMessage outbox'ga qo'yadi, webpush.js pushChannel yuboradi
+
+self.addEventListener("install", () => self.skipWaiting());
+self.addEventListener("activate", (ev) => ev.waitUntil(self.clients.claim()));
+
+self.addEventListener("push", (ev) => {
+  let d = {};
+  try { d = ev.data ? ev.data.json() : {}; } catch { d = { body: ev.data ? ev.data.text() : "" }; }
+
+  ev.waitUntil(self.registration.showNotification(d.title || "NAVBATUZ", {
+    body: d.body || "",
+    // bitta ticket xabarlari bir-birini almashtiradi ("5 ta qoldi" -> "3 ta qoldi")
+    tag: d.tag || undefined,
+    renotify: !!d.tag,
+    data: { url: d.url || "/" },
+  }));
+});
+
+self.addEventListener("notificationclick", (ev) => {
+  ev.notification.close();
+  const url = new URL(ev.notification.data?.url || "/", self.location.origin).href;
+
+  ev.waitUntil((async () => {
+    const list = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    // navbat sahifasi ochiq bo'lsa — o'shani oldinga chiqaramiz
+    const open = list.find((c) => c.url === url) || list.find((c) => new URL(c.url).pathname === "/");
+    if (open) return open.focus();
+    return self.clients.openWindow(url);
+  })());
+});
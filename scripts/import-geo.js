@@ -0,0 +1,63 @@
+// scripts/import-geo.js (Node >=18, ESM)
+// Hududlar manbasini (regions/districts/cities JSON) normallashtirib data/geo-tree.json ga yozadi.
+// Ishlatish:
+//   npm run import:geo -- --dir ./uzbekistan-regions-data/JSON
+//   npm run import:geo -- --regions r.json --districts d.json [--cities c.json]
+// Har bir viloyat va tuman/shaharda soato_id bo'lishi shart — aks holda fayl yozilmaydi.
+// Server faylni mtime bo'yicha o'zi qayta o'qiydi (restart shart emas).
+
+import fs from "fs";
+import path from "path";
+import { GEO_TREE_PATH, normalizeGeoSource, missingSoato } from "../geo.js";
+
+const args = process.argv.slice(2);
+function arg(name) {
+  const i = args.indexOf(`--${name}`);
+  return i !== -1 && args[i + 1] ? args[i + 1] : null;
+}
+
+function readJson(file, { optional = false } = {}) {
+  if (!file || !fs.existsSync(file)) {
+    if (optional) return [];
+    throw new Error(`Fayl topilmadi: ${file}`);
+  }
+  const data = JSON.parse(fs.readFileSync(file, "utf-8"));
+  if (!Array.isArray(data)) throw new Error(`Massiv kutilgan edi: ${file}`);
+  return data;
+}
+
+try {
+  const dir = arg("dir");
+  const files = {
+    regions: arg("regions") || (dir && path.join(dir, "regions.json")),
+    districts: arg("districts") || (dir && path.join(dir, "districts.json")),
+    cities: arg("cities") || (dir && path.join(dir, "cities.json")),
+  };
+  if (!files.regions || !files.districts) {
+    throw new Error("--dir yoki --regions va --districts kerak");
+  }
+
+  const tree = normalizeGeoSource({
+    regions: readJson(files.regions),
+    districts: readJson(files.districts),
+    cities: readJson(files.cities, { optional: true }),
+  });
+  if (!tree.regions.length) throw new Error("Viloyatlar ro'yxati bo'sh");
+  const missing = missingSoato(tree);
+  if (missing.length) {
+    throw new Error(
+      `${missing.length} ta hududda SOATO kodi yo'q (soato_id bor manba kerak): ${missing.slice(0, 5).join(", ")}` +
+        (missing.length > 5 ? ", …" : "")
+    );
+  }
+
+  const units = tree.regions.reduce((n, r) => n + r.units.length, 0);
+  const out = { version: new Date().toISOString().slice(0, 10), ...tree };
+
+  fs.mkdirSync(path.dirname(GEO_TREE_PATH), { recursive: true });
+  fs.writeFileSync(GEO_TREE_PATH, JSON.stringify(out, null, 2) + "\n");
+  console.log(`✅ ${GEO_TREE_PATH}: ${tree.regions.length} viloyat, ${units} tuman/shahar`);
+} catch (e) {
+  console.error("❌ Import xato:", e.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,42 @@
+// scripts/import-orgs.js (Node >=18, ESM)
+// geo.json (orgsByUnitUzKey) -> orgs jadvali.
+// Ishlatish: npm run import:orgs [-- --overwrite] [-- --file path/to/geo.json]
+// Odatda kerak emas: server boot'da orgs bo'sh bo'lsa o'zi import qiladi.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { Pool } from "pg";
+import { importOrgsFromGeo } from "../orgs.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const args = process.argv.slice(2);
+const overwrite = args.includes("--overwrite");
+const fileIdx = args.indexOf("--file");
+const file = fileIdx !== -1 && args[fileIdx + 1]
+  ? path.resolve(args[fileIdx + 1])
+  : path.join(__dirname, "..", "public", "geo.json");
+
+if (!process.env.DATABASE_URL) {
+  console.error("❌ DATABASE_URL env topilmadi.");
+  process.exit(1);
+}
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.PGSSLMODE === "disable" ? false : { rejectUnauthorized: false },
+});
+
+try {
+  const geo = JSON.parse(fs.readFileSync(file, "utf-8"));
+  const st = await importOrgsFromGeo(pool, geo, { overwrite });
+  console.log(`✅ ${file}: jami ${st.total}, yozildi ${st.inserted}, o'tkazib yuborildi ${st.skipped}`);
+  for (const e of st.errors) console.warn("⚠️", e);
+  console.log("ℹ️ Ishlab turgan server keshni ORG_CACHE_REFRESH_SEC ichida yangilaydi.");
+} catch (e) {
+  console.error("❌ Import xato:", e.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
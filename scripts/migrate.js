@@ -0,0 +1,57 @@
+// scripts/migrate.js (Node >=18, ESM)
+// Sxema migratsiyalari (migrate.js, migrations/*.sql).
+// Ishlatish:
+//   npm run migrate            // = status
+//   npm run migrate -- status  // qo'llangan / kutilayotgan migratsiyalar
+//   npm run migrate -- up      // kutilayotganlarni tartib bo'yicha qo'llash
+
+import { Pool } from "pg";
+import { migrationStatus, migrateUp } from "../migrate.js";
+
+const cmd = process.argv[2] || "status";
+if (!["status", "up"].includes(cmd)) {
+  console.error("Ishlatish: npm run migrate -- status | up");
+  process.exit(1);
+}
+
+if (!process.env.DATABASE_URL) {
+  console.error("❌ DATABASE_URL env topilmadi.");
+  process.exit(1);
+}
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.PGSSLMODE === "disable" ? false : { rejectUnauthorized: false },
+});
+
+const fmt = (d) => new Date(d).toISOString().replace("T", " ").slice(0, 19);
+
+try {
+  if (cmd === "up") {
+    const done = await migrateUp(pool, { log: (msg) => console.log(msg) });
+    console.log(done.length ? `✅ ${done.length} ta migratsiya qo'llandi` : "✅ Sxema yangi — qo'llanadigan migratsiya yo'q");
+  } else {
+    const st = await migrationStatus(pool);
+    const changed = new Set(st.changed.map((m) => m.version));
+    for (const m of st.applied) {
+      console.log(`  ✅ ${m.file}  ${fmt(m.appliedAt)}${changed.has(m.version) ? "  ⚠️ fayl o'zgargan" : ""}`);
+    }
+    for (const m of st.pending) console.log(`  ⏳ ${m.file}`);
+    for (const x of st.unknown) console.log(`  ❓ ${x.version}_${x.name}  (bazada bor, kodda yo'q)`);
+    if (st.changed.length) {
+      console.error("❌ Qo'llangan migratsiya fayli o'zgargan — faylni qaytaring, o'zgarishni yangi migratsiya qiling");
+      process.exitCode = 1;
+    } else {
+      console.log(
+        st.pending.length
+          ? `ℹ️ ${st.pending.length} ta migratsiya kutilmoqda: npm run migrate -- up`
+          : "✅ Sxema yangi"
+      );
+    }
+  }
+} catch (e) {
+  console.error("❌ Migratsiya xato:", e.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
@@ -6,7 +6,39 @@ import { fileURLToPath } from "url";
 import cors from "cors";
 import { Pool } from "pg";
 import QRCode from "qrcode";
-import { startBot, tgSend, getBot } from "./bot.js";
+import { startBot, telegramChannel, getBot } from "./bot.js";
+import { sseOpen, sseSend, sseBroadcast, sseKeys } from "./sse.js";
+import { ROLES, roleRank, hashPassword, verifyPassword, newToken, newShortCode, hashToken, safeEqual, ticketTokenOk, ownerOnlyFields } from "./auth.js";
+import {
+  reloadOrgs, getOrg, listOrgs, orgsByUnitUzKey,
+  normalizeOrgInput, insertOrg, updateOrg, updateOrgSettings, importOrgsFromGeo,
+} from "./orgs.js";
+import { BUSINESS_TZ, localNow, openState, closedMessage, normalizeHours, lastClosingBefore } from "./hours.js";
+import { estimateService, etaRange } from "./eta.js";
+import { orgLimits, normalizeLimits, checkTakeLimits, limitMessage, WEB_ID_COOKIE, webIdOf, takeUserId } from "./limits.js";
+import { orgNotify, normalizeNotify, progressThreshold, notifyText, SMS_KINDS, NOTIFY_TTL_SEC } from "./notify.js";
+import { orgGrace, normalizeGrace, graceState } from "./grace.js";
+import { PRIORITY_REASONS, orgPriority, normalizePriority, preferPriority, callPositions } from "./priority.js";
+import { ACTOR_TYPES, SYSTEM_ACTOR, recordEvents, recordEvent, eventView, onRecorded } from "./events.js";
+import { loadGeoTree, findUnit, unitKey } from "./geo.js";
+import { initWebPush, pushPublicKey, normalizeSubscription, pushChannel } from "./webpush.js";
+import { registerChannel, enqueue, startOutboxWorker, purgeOutbox } from "./outbox.js";
+import { smsChannel } from "./sms.js";
+import { assertSchemaCurrent } from "./migrate.js";
+import { orgKiosk, kioskView, kioskKeyOk, kioskServiceOk, normalizeKiosk } from "./kiosk.js";
+import { printLang, ticketPdf, ticketEscPos } from "./printing.js";
+import {
+  WEBHOOK_EVENTS,
+  MAX_HOOKS_PER_ORG,
+  hookView,
+  normalizeWebhook,
+  enqueueWebhooks,
+  pingPayload,
+  deliverWebhook,
+  deliveryView,
+  webhookChannel,
+  purgeWebhookDeliveries,
+} from "./webhooks.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -25,6 +57,11 @@ const pool = new Pool({
 
 const app = express();
 
+// Proxy ortida (Render va h.k.) TRUST_PROXY=1 qo'ying: req.ip = X-Forwarded-For oxirgi hop.
+// Standart — ishonilmaydi: to'g'ridan-to'g'ri ulanganda X-Forwarded-For'ni mijoz o'zi yozishi mumkin.
+const TRUST_PROXY = (process.env.TRUST_PROXY || "").trim();
+if (TRUST_PROXY) app.set("trust proxy", /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+
 // ---- Security-ish headers (depsiz) ----
 app.disable("x-powered-by");
 app.use((req, res, next) => {
@@ -70,10 +107,16 @@ app.use(express.static(path.join(__dirname, "public"), {
 
 const GEO_PATH = path.join(__dirname, "public", "geo.json");
 
+// geo.json endi faqat orgs importi uchun (boot/npm run import:orgs); fayl o'zgarmasa qayta o'qilmaydi
+let geoCache = { mtimeMs: 0, data: null };
+
 function loadGeo() {
   if (!fs.existsSync(GEO_PATH)) throw new Error(`geo.json topilmadi: ${GEO_PATH}`);
-  const raw = fs.readFileSync(GEO_PATH, "utf-8");
-  return JSON.parse(raw);
+  const { mtimeMs } = fs.statSync(GEO_PATH);
+  if (!geoCache.data || geoCache.mtimeMs !== mtimeMs) {
+    geoCache = { mtimeMs, data: JSON.parse(fs.readFileSync(GEO_PATH, "utf-8")) };
+  }
+  return geoCache.data;
 }
 
 function safeInt(n, def = 0) {
@@ -84,126 +127,447 @@ function safeStr(s, def = "") {
   return typeof s === "string" ? s : def;
 }
 
-function validateOrgId(geo, orgId) {
-  if (!orgId || typeof orgId !== "string") return false;
-  const map = geo.orgsByUnitUzKey || {};
-  for (const key of Object.keys(map)) {
-    const arr = map[key] || [];
-    for (const org of arr) {
-      if (String(org.id) === orgId) return true;
-    }
-  }
-  return false;
-}
-
-async function initDb() {
-  await pool.query(`CREATE EXTENSION IF NOT EXISTS pgcrypto;`);
-
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS org_state (
-      org_id TEXT PRIMARY KEY,
-      next_number INTEGER NOT NULL DEFAULT 1,
-      current_number INTEGER NOT NULL DEFAULT 0,
-      updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
-    );
-  `);
-
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS tickets (
-      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-      org_id TEXT NOT NULL,
-      number INTEGER NOT NULL,
-      status TEXT NOT NULL DEFAULT 'waiting',
-      platform TEXT,
-      user_id TEXT,
-      full_name TEXT,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
-      updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
-      served_at TIMESTAMPTZ
-    );
-  `);
+// ticket id (uuid) — so'rovdan kelganini avval tekshiramiz, aks holda Postgres 22P02 (500) qaytaradi
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
+// Muassasalar orgs jadvalidan (orgs.js keshi orqali)
+function findOrg(orgId) {
+  return getOrg(orgId);
+}
 
-  // telegram notification fields (bot users)
-  try { await pool.query(`ALTER TABLE tickets ADD COLUMN IF NOT EXISTS telegram_chat_id BIGINT;`); } catch {}
-  try { await pool.query(`ALTER TABLE tickets ADD COLUMN IF NOT EXISTS telegram_user_id BIGINT;`); } catch {}
-  try { await pool.query(`ALTER TABLE tickets ADD COLUMN IF NOT EXISTS last_notified_remaining INTEGER;`); } catch {}
+// faqat faol muassasalar
+function validateOrgId(orgId) {
+  return !!getOrg(orgId)?.active;
+}
 
-  // indexes
-  try { await pool.query(`CREATE INDEX IF NOT EXISTS idx_tickets_org_num ON tickets(org_id, number);`); } catch {}
-  try { await pool.query(`CREATE INDEX IF NOT EXISTS idx_tickets_org_status ON tickets(org_id, status);`); } catch {}
-  try { await pool.query(`CREATE INDEX IF NOT EXISTS idx_tickets_org_served_at ON tickets(org_id, served_at);`); } catch {}
+const ORG_CACHE_REFRESH_MS = Math.max(5, safeInt(process.env.ORG_CACHE_REFRESH_SEC, 60)) * 1000;
+
+// Xizmat turlari (orgs.services = [{ id, prefix, name: {uz,ru,en} }]).
+// services yo'q bo'lsa org bitta "" xizmatli (prefikssiz) navbat hisoblanadi.
+const DEFAULT_SERVICE = { id: "", prefix: "", name: null };
+
+function orgServices(org) {
+  const list = Array.isArray(org?.services) ? org.services : [];
+  return list
+    .map((x) => {
+      const id = safeStr(String(x?.id ?? ""), "").trim();
+      const prefix = safeStr(x?.prefix, id).trim().toUpperCase().slice(0, 3);
+      return { id, prefix, name: x?.name || null };
+    })
+    .filter((x) => x.id);
+}
 
-  // safety: org bo'yicha raqam dublikat bo'lib qolmasin (tartib buzilmasin)
-  // Eslatma: eski DB'da dublikat bo'lsa, bu index yaratilmaydi (try/catch). Yangi DB uchun 100% foydali.
-  try { await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS uq_tickets_org_number ON tickets(org_id, number);`); } catch {}
+function findService(org, serviceId) {
+  const list = orgServices(org);
+  if (!list.length) return serviceId ? null : DEFAULT_SERVICE;
+  if (!serviceId) return list.length === 1 ? list[0] : null;
+  return list.find((x) => x.id === serviceId) || null;
 }
 
-async function computeAvgServiceSec(orgId) {
-  // last 6 served tickets -> time diffs -> average (need at least 3 diffs)
-  try {
-    const r = await pool.query(
-      `
-      SELECT served_at
-      FROM tickets
-      WHERE org_id=$1 AND status='served' AND served_at IS NOT NULL
-      ORDER BY served_at DESC
-      LIMIT 6
-      `,
-      [orgId]
-    );
+// org xizmatlari Map(id -> service); org topilmasa ham "" xizmat bo'ladi
+function serviceMapOf(orgId) {
+  const org = findOrg(orgId);
+  const m = new Map([["", DEFAULT_SERVICE]]);
+  for (const x of orgServices(org)) m.set(x.id, x);
+  return m;
+}
 
-    const times = r.rows
-      .map((x) => new Date(x.served_at).getTime())
-      .filter((t) => Number.isFinite(t));
+// ish vaqti (hours.js); null = doim ochiq
+function orgHours(org) {
+  return org?.settings?.hours || null;
+}
 
-    if (times.length < 4) return null;
+// ichki so'rovlar (bot, ichki kalit bilan) uchun null — ular telegram_user_id bo'yicha cheklanadi
+function clientIpOf(req) {
+  if (isInternal(req)) return null;
+  return safeStr(req.ip, "").replace(/^::ffff:/, "") || null;
+}
 
-    const diffsSec = [];
-    for (let i = 0; i < times.length - 1; i++) {
-      const d = Math.round((times[i] - times[i + 1]) / 1000);
-      // ignore too small or too huge gaps
-      if (d > 5 && d < 21600) diffsSec.push(d);
-      if (diffsSec.length >= 4) break;
-    }
+// web mijoz id'si: cookie'da bo'lmasa yangisi beriladi (1 yil, faqat shu sayt, JS o'qiy olmaydi)
+function webIdFor(req, res) {
+  const id = webIdOf(req.headers.cookie);
+  if (id) return id;
+  const fresh = newToken();
+  res.cookie(WEB_ID_COOKIE, fresh, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: req.secure,
+    path: "/",
+    maxAge: 365 * 24 * 3600 * 1000,
+  });
+  return fresh;
+}
 
-    if (diffsSec.length < 3) return null;
+// A-012 / B-004; prefiks bo'lmasa oddiy raqam
+function ticketLabel(prefix, number) {
+  const n = safeInt(number, 0);
+  return prefix ? `${prefix}-${String(n).padStart(3, "0")}` : String(n);
+}
 
-    return Math.round(diffsSec.reduce((a, b) => a + b, 0) / diffsSec.length);
+// Bitta ticketga o'rtacha vaqt (sek), eta.js modeli bo'yicha; ma'lumot bo'lmasa null.
+// serviceId berilsa faqat shu xizmat bo'yicha
+async function computeAvgServiceSec(orgId, serviceId = null) {
+  try {
+    const est = await estimateService(pool, { orgId, serviceId, tz: BUSINESS_TZ });
+    return est ? est.intervalSec : null;
   } catch (e) {
     console.error("avgServiceSec error:", e);
     return null;
   }
 }
 
-async function ensureOrgState(orgId) {
+// Xizmatning ETA modeli: { est, delaySec } — bir xizmatdagi ko'p ticket uchun bir marta hisoblanadi.
+// muassasa hozir yopiq/tanaffusda bo'lsa ochilishigacha bo'lgan vaqt qo'shiladi
+async function serviceEtaModel(orgId, serviceId) {
+  try {
+    const est = await estimateService(pool, { orgId, serviceId, tz: BUSINESS_TZ });
+    const open = openState(orgHours(findOrg(orgId)));
+    const delaySec = !open.open && open.opensAt ? Math.max(0, (open.opensAt.at - Date.now()) / 1000) : 0;
+    return { est, delaySec };
+  } catch (e) {
+    console.error("ticketEta error:", e);
+    return { est: null, delaySec: 0 };
+  }
+}
+
+// ETA oralig'i: { avgServiceSec, eta: { minMinutes, likelyMinutes, maxMinutes, ... } | null }
+function etaOf({ est, delaySec }, remaining) {
+  return { avgServiceSec: est ? est.intervalSec : null, eta: etaRange(est, remaining, { delaySec }) };
+}
+
+async function ticketEta(orgId, serviceId, remaining) {
+  return etaOf(await serviceEtaModel(orgId, serviceId), remaining);
+}
+
+async function ensureOrgState(orgId, serviceId = "") {
   await pool.query(
     `INSERT INTO org_state (org_id) VALUES ($1)
      ON CONFLICT (org_id) DO NOTHING`,
     [orgId]
   );
+  await pool.query(
+    `INSERT INTO queue_state (org_id, service_id) VALUES ($1,$2)
+     ON CONFLICT (org_id, service_id) DO NOTHING`,
+    [orgId, serviceId]
+  );
+}
+
+// Xizmatdagi waiting ticketlar chaqirilish tartibida (qayta tiklangan, imtiyozli — priority.js):
+// Map(id -> oldinda turganlar soni). Oynalar bir nechta xizmatga xizmat qilsa — taxminiy.
+async function waitingPositions(db, orgId, serviceId) {
+  const [t, st] = await Promise.all([
+    db.query(
+      `SELECT id, priority, COALESCE(recalled_at, front_at) AS front_at FROM tickets
+       WHERE org_id=$1 AND service_id=$2 AND status='waiting'
+       ORDER BY created_at ASC, number ASC
+       LIMIT 2000`,
+      [orgId, serviceId]
+    ),
+    db.query(`SELECT regular_since_priority FROM org_state WHERE org_id=$1`, [orgId]),
+  ]);
+  return callPositions(
+    orgPriority(findOrg(orgId)),
+    t.rows.map((r) => ({ id: r.id, priority: r.priority, frontAt: r.front_at })),
+    safeInt(st.rows[0]?.regular_since_priority, 0)
+  );
+}
+
+// waiting bo'lsa tartibdagi o'rni, aks holda raqamlar farqi (eski xulq)
+function remainingOf(positions, row, nowServing) {
+  const pos = row.status === "waiting" ? positions.get(String(row.id)) : undefined;
+  return pos ?? Math.max(0, safeInt(row.number, 0) - nowServing);
+}
+
+async function readQueueState(db, orgId, serviceId, { lock = false } = {}) {
+  const st = await db.query(
+    `SELECT current_number, next_number FROM queue_state
+     WHERE org_id=$1 AND service_id=$2${lock ? " FOR UPDATE" : ""}`,
+    [orgId, serviceId]
+  );
+  return {
+    currentNumber: safeInt(st.rows[0]?.current_number, 0),
+    nextNumber: safeInt(st.rows[0]?.next_number, 1),
+  };
+}
+
+const MAX_COUNTERS = 99;
+
+// ticket yopilganda (served/cancel/skip) oynani bo'shatadi; db = pool yoki tx client
+async function releaseCounter(db, orgId, ticketId) {
+  await db.query(
+    `UPDATE org_counters SET ticket_id=NULL, updated_at=now()
+     WHERE org_id=$1 AND ticket_id=$2`,
+    [orgId, ticketId]
+  );
+}
+
+// Muassasaning aktiv ticketlarini bekor qilish (deleteAll / reset / kunlik rollover).
+// createdBefore berilsa faqat shu paytgacha olinganlar. RETURNING: id, from_status (jurnal uchun).
+async function cancelActiveTickets(db, orgId, { createdBefore = null } = {}) {
+  return db.query(
+    `UPDATE tickets t
+     SET status='cancelled', updated_at=now()
+     FROM (SELECT id, status FROM tickets
+           WHERE org_id=$1 AND status IN ('waiting','called','missed')
+             AND ($2::timestamptz IS NULL OR created_at <= $2)
+           FOR UPDATE) prev
+     WHERE t.id=prev.id
+     RETURNING t.id, prev.status AS from_status`,
+    [orgId, createdBefore]
+  );
+}
+
+// har bir ticketga alohida event + muassasa darajasida bitta umumiy event (audit'da bitta qator)
+async function recordBulkCancel(db, orgId, rows, { action, actor, source, meta = {} }) {
+  await recordEvents(db, [
+    ...rows.map((t) => ({ ticketId: t.id, orgId, action, from: t.from_status, to: "cancelled", actor, source })),
+    { ticketId: null, orgId, action, actor, source, meta: { ...meta, count: rows.length } },
+  ]);
+}
+
+// webhook'dagi ticket ko'rinishi: token, IP, telegram identifikatorlari tashqariga chiqmaydi
+function webhookTicketView(row) {
+  const services = serviceMapOf(row.org_id);
+  return {
+    id: String(row.id),
+    serviceId: row.service_id || "",
+    number: safeInt(row.number, 0),
+    displayNumber: ticketLabel(services.get(row.service_id || "")?.prefix, row.number),
+    status: row.status,
+    fullName: row.full_name || null,
+    priority: !!row.priority,
+    counterNo: row.counter_no ?? null,
+    cancelReason: row.cancel_reason || null,
+    createdAt: row.created_at,
+    calledAt: row.called_at || null,
+    servedAt: row.served_at || null,
+  };
+}
+
+// jurnalga yozilgan har amal — o'sha tranzaksiyada webhook outbox'iga
+onRecorded((db, list) => enqueueWebhooks(db, list, { describe: webhookTicketView }));
+
+async function listCounters(orgId) {
+  const r = await pool.query(
+    `SELECT c.counter_no, c.name, c.active, c.service_ids, c.ticket_id, t.service_id, t.number
+     FROM org_counters c
+     LEFT JOIN tickets t ON t.id=c.ticket_id
+     WHERE c.org_id=$1
+     ORDER BY c.counter_no ASC`,
+    [orgId]
+  );
+  const services = serviceMapOf(orgId);
+  return r.rows.map((x) => ({
+    counter: safeInt(x.counter_no, 0),
+    name: x.name || null,
+    active: !!x.active,
+    services: x.service_ids || null,
+    ticketId: x.ticket_id ? String(x.ticket_id) : null,
+    number: x.number === null || x.number === undefined ? null : safeInt(x.number, 0),
+    displayNumber:
+      x.number === null || x.number === undefined ? null : ticketLabel(services.get(x.service_id)?.prefix, x.number),
+  }));
 }
 
+// autoUpdateTicketStatusIfNeeded shu ticketning holatini o'zgartiradimi (bazaga yozmasdan)
+function autoUpdateDue(row, nowServing) {
+  const number = safeInt(row.number, 0);
+  if (row.status === "waiting") return !(row.recalled_at || row.front_at || row.priority) && nowServing - number > 0;
+  if (row.status !== "missed") return false;
+  return graceState(orgGrace(findOrg(row.org_id)), {
+    number,
+    nowServing,
+    missedServing: row.missed_serving,
+    missedAt: row.missed_at,
+  }).expired;
+}
+
+// Navbati o'tib ketgan ticket: waiting -> missed (imtiyoz oynasi, grace.js), oyna tugasa -> cancelled ('expired').
+// Navbat boshiga qo'yilgan (recalled_at, front_at) va imtiyozli waiting ticketlar raqam tartibida chaqirilmaydi — ularga tegilmaydi.
 async function autoUpdateTicketStatusIfNeeded({ ticketId, number, nowServing }) {
   if (!ticketId || !number || !Number.isFinite(nowServing)) return null;
 
-  const diff = nowServing - number;
-  if (diff <= 0) return null;
+  const t = await pool.query(
+    `SELECT org_id, status, recalled_at, front_at, priority, missed_at, missed_serving FROM tickets WHERE id=$1`,
+    [ticketId]
+  );
+  const row = t.rows[0];
+  if (!row) return null;
+  const grace = orgGrace(findOrg(row.org_id));
+
+  let to = "cancelled";
+  if (row.status === "waiting") {
+    if (row.recalled_at || row.front_at || row.priority || nowServing - number <= 0) return null;
+    if (!graceState(grace, { number, nowServing }).expired) to = "missed";
+  } else if (row.status === "missed") {
+    const g = graceState(grace, {
+      number,
+      nowServing,
+      missedServing: row.missed_serving,
+      missedAt: row.missed_at,
+    });
+    if (!g.expired) return "missed";
+  } else {
+    return null;
+  }
+
+  // holat, jurnal va mijozga xabar — bitta tranzaksiyada
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const r = to === "missed"
+      ? await client.query(
+        `UPDATE tickets SET status='missed', missed_at=now(), missed_serving=$2, updated_at=now()
+         WHERE id=$1 AND status='waiting'`,
+        [ticketId, number]
+      )
+      : await client.query(
+        `UPDATE tickets SET status='cancelled', cancel_reason='expired', updated_at=now()
+         WHERE id=$1 AND status IN ('waiting','missed')`,
+        [ticketId]
+      );
+    if (r.rowCount) {
+      await recordEvent(client, {
+        ticketId, orgId: row.org_id, action: to === "missed" ? "miss" : "expire", from: row.status, to,
+        actor: SYSTEM_ACTOR, source: "auto", meta: { nowServing },
+      });
+      await notifyTicketStatus(client, [ticketId], to === "missed" ? "missed" : "expired");
+    }
+    await client.query("COMMIT");
+  } catch (e) {
+    try { await client.query("ROLLBACK"); } catch {}
+    throw e;
+  } finally {
+    client.release();
+  }
+  return to;
+}
+
+// transfer bog'lanishi (transferred_from / transferred_to) — mijoz sahifasi yangi ticketga o'tishi uchun
+async function ticketLink(id) {
+  if (!id) return null;
+  const r = await pool.query(`SELECT id, org_id, service_id, number FROM tickets WHERE id=$1`, [id]);
+  const x = r.rows[0];
+  if (!x) return null;
+  return {
+    id: String(x.id),
+    orgId: x.org_id,
+    serviceId: x.service_id,
+    number: safeInt(x.number, 0),
+    displayNumber: ticketLabel(serviceMapOf(x.org_id).get(x.service_id)?.prefix, x.number),
+  };
+}
 
-  if (diff <= 5) {
-    await pool.query(
-      `UPDATE tickets SET status='missed', updated_at=now()
-       WHERE id=$1 AND status='waiting'`,
+// missed ticket uchun: qachongacha qaytish mumkin va mijoz o'zi qaytara oladimi
+function ticketGraceView(row, nowServing) {
+  if (row.status !== "missed") return null;
+  const grace = orgGrace(findOrg(row.org_id));
+  const g = graceState(grace, {
+    number: safeInt(row.number, 0),
+    nowServing,
+    missedServing: row.missed_serving,
+    missedAt: row.missed_at,
+  });
+  return {
+    untilAt: g.untilAt ? g.untilAt.toISOString() : null,
+    positionsLeft: g.positionsLeft,
+    canReturn: !g.expired && safeInt(row.self_returns, 0) < grace.selfReturns,
+  };
+}
+
+// missed -> waiting: ticket navbat boshiga qo'yiladi — hozirgi raqamdan keyin birinchi chaqiriladi
+// (/api/admin/next recalled_at bo'yicha saralaydi), raqami o'zgarmaydi.
+// self=true — mijozning o'zi ("Qaytdim"): imtiyoz oynasi va selfReturns tekshiriladi.
+// Qaytaradi: { ticket } yoki { status, code?, error }
+async function recallTicket(ticketId, { orgId = null, self = false, actor = SYSTEM_ACTOR, source = null } = {}) {
+  const client = await pool.connect();
+  let out = null;
+  try {
+    await client.query("BEGIN");
+
+    const t = await client.query(
+      `SELECT id, org_id, service_id, number, status, missed_at, missed_serving, self_returns
+       FROM tickets WHERE id=$1 FOR UPDATE`,
       [ticketId]
     );
-    return "missed";
-  } else {
-    await pool.query(
-      `UPDATE tickets SET status='cancelled', updated_at=now()
-       WHERE id=$1 AND status IN ('waiting','missed')`,
-      [ticketId]
+    const row = t.rows[0];
+    if (!row || (orgId && row.org_id !== orgId)) {
+      await client.query("ROLLBACK");
+      return { status: 404, error: "Ticket topilmadi" };
+    }
+    if (row.status !== "missed") {
+      await client.query("ROLLBACK");
+      return { status: 409, code: "not_missed", error: "Faqat o‘tkazib yuborilgan (missed) ticketni qaytarish mumkin" };
+    }
+
+    if (self) {
+      const grace = orgGrace(findOrg(row.org_id));
+      const { currentNumber } = await readQueueState(client, row.org_id, row.service_id);
+      const g = graceState(grace, {
+        number: safeInt(row.number, 0),
+        nowServing: currentNumber + 1,
+        missedServing: row.missed_serving,
+        missedAt: row.missed_at,
+      });
+      if (g.expired) {
+        await client.query("ROLLBACK");
+        return { status: 409, code: "grace_expired", error: "Qaytish muddati tugagan. Yangi navbat oling." };
+      }
+      if (safeInt(row.self_returns, 0) >= grace.selfReturns) {
+        await client.query("ROLLBACK");
+        return { status: 409, code: "self_return_limit", error: "Qaytish imkoniyati ishlatib bo‘lingan. Oynaga murojaat qiling." };
+      }
+    }
+
+    const r = await client.query(
+      `UPDATE tickets
+       SET status='waiting', recalled_at=now(), recall_count=recall_count+1, self_returns=self_returns+$2,
+           counter_no=NULL, updated_at=now()
+       WHERE id=$1
+       RETURNING id, org_id, service_id, number, status, recalled_at`,
+      [row.id, self ? 1 : 0]
     );
-    return "cancelled";
+    await releaseCounter(client, row.org_id, row.id);
+    await recordEvent(client, {
+      ticketId: row.id,
+      orgId: row.org_id,
+      action: self ? "back" : "recall",
+      from: "missed",
+      to: "waiting",
+      actor,
+      source,
+    });
+    // mijoz o'zi qaytganda holat xabari kerak emas — u buni biladi
+    if (!self) await notifyTicketStatus(client, [row.id], "recalled");
+    await notifyQueueProgress(client, row.org_id);
+    await client.query("COMMIT");
+    out = r.rows[0];
+  } catch (e) {
+    try { await client.query("ROLLBACK"); } catch {}
+    throw e;
+  } finally {
+    client.release();
+  }
+
+  publishQueue(out.org_id);
+  return { ticket: out };
+}
+
+// Imtiyoz oynasi vaqt bo'yicha ham tugaydi — ticketni hech kim ochmasa ham (rollover bilan birga, daqiqada bir marta)
+async function expireMissedTickets() {
+  const r = await pool.query(
+    `SELECT t.id, t.number, q.current_number
+     FROM tickets t
+     JOIN queue_state q ON q.org_id=t.org_id AND q.service_id=t.service_id
+     WHERE t.status='missed'
+     LIMIT 1000`
+  );
+  for (const row of r.rows) {
+    await autoUpdateTicketStatusIfNeeded({
+      ticketId: row.id,
+      number: safeInt(row.number, 0),
+      nowServing: safeInt(row.current_number, 0) + 1,
+    });
   }
 }
 
@@ -213,69 +577,218 @@ function publicBaseUrl() {
 
 
 // =======================
-// TELEGRAM NOTIFICATIONS
+// NOTIFICATIONS (outbox: Telegram + Web Push + SMS)
 // =======================
-async function notifyQueueProgress(orgId) {
-  try {
-    // get nowServing
-    await ensureOrgState(orgId);
-    const st = await pool.query(`SELECT current_number FROM org_state WHERE org_id=$1`, [orgId]);
-    const currentNumber = safeInt(st.rows[0]?.current_number, 0);
-    const nowServing = currentNumber + 1;
+// Xabarlar darhol yuborilmaydi — notify_outbox ga yoziladi (outbox.js worker yetkazadi, xato bo'lsa qayta urinadi).
+// db: navbat o'zgarishi tranzaksiyada bo'lsa o'sha client — o'zgarish va xabar birga saqlanadi yoki birga bekor bo'ladi.
+// Shu sabab bu funksiyalar xatoni yutmaydi — aks holda buzilgan tranzaksiya COMMIT'da jimgina ROLLBACK bo'lardi.
+// Siyosat: orgs.settings.notify.positions (+ foydalanuvchining telegram_users.notify_at).
+// Har chegara bir marta: last_notified_remaining oxirgi navbatga qo'yilgan remaining ni saqlaydi (kanallar uchun umumiy).
+const HAS_PUSH_SQL = `EXISTS (SELECT 1 FROM push_subscriptions p WHERE p.ticket_id=t.id)`;
+
+// Bot orqali olingan bo'lsa Telegram, brauzer obunasi bo'lsa Web Push (ikkalasi ham bo'lishi mumkin),
+// muassasada yoqilgan va telefon ma'lum bo'lsa muhim xabarlar SMS bilan ham. true = kamida bitta kanalga navbatga qo'yildi.
+async function enqueueTicketMessage(db, row, kind, text) {
+  const base = { ticketId: row.id, kind, ttlSec: NOTIFY_TTL_SEC[kind] || null };
+  const items = [];
+  if (row.telegram_chat_id) items.push({ ...base, channel: "telegram", target: row.telegram_chat_id, payload: { text } });
+  if (row.has_push) {
+    const subs = await db.query(`SELECT id FROM push_subscriptions WHERE ticket_id=$1 ORDER BY id`, [row.id]);
+    const payload = { title: "NAVBATUZ", body: text, url: `/ticket.html?id=${row.id}`, tag: `ticket:${row.id}` };
+    for (const s of subs.rows) items.push({ ...base, channel: "push", target: s.id, payload });
+  }
+  if (row.phone && SMS_KINDS.includes(kind) && orgNotify(findOrg(row.org_id)).sms) {
+    items.push({ ...base, channel: "sms", target: row.phone, payload: { text } });
+  }
+  return (await enqueue(db, items)) > 0;
+}
 
-    // waiting tickets that came from bot (telegram_chat_id set)
-    const r = await pool.query(
-      `
-      SELECT id, number, full_name, telegram_chat_id, last_notified_remaining
-      FROM tickets
-      WHERE org_id=$1
-        AND status='waiting'
-        AND telegram_chat_id IS NOT NULL
-        AND number >= $2
-      ORDER BY number ASC
-      LIMIT 500
-      `,
-      [orgId, nowServing]
+async function notifyQueueProgress(db, orgId) {
+  const services = serviceMapOf(orgId);
+  const policy = orgNotify(findOrg(orgId));
+
+  // waiting tickets: botdan (telegram_chat_id) yoki push obunasi bor; nowServing har xizmatda alohida
+  const r = await db.query(
+    `
+    SELECT t.id, t.org_id, t.number, t.status, t.service_id, t.full_name, t.telegram_chat_id, t.last_notified_remaining,
+           q.current_number, COALESCE(u.lang, t.lang) AS lang, u.notify_at, u.phone, ${HAS_PUSH_SQL} AS has_push
+    FROM tickets t
+    JOIN queue_state q ON q.org_id=t.org_id AND q.service_id=t.service_id
+    LEFT JOIN telegram_users u ON u.chat_id=t.telegram_chat_id
+    WHERE t.org_id=$1
+      AND t.status='waiting'
+      AND (t.telegram_chat_id IS NOT NULL OR ${HAS_PUSH_SQL})
+    ORDER BY t.service_id ASC, t.number ASC
+    LIMIT 500
+    `,
+    [orgId]
+  );
+
+  const estimates = new Map(); // service_id -> estimateService (bir marta)
+  const queues = new Map(); // service_id -> waitingPositions (imtiyozli / qayta tiklanganlar hisobga olinadi)
+
+  for (const row of r.rows) {
+    const nowServing = safeInt(row.current_number, 0) + 1;
+    if (!queues.has(row.service_id)) queues.set(row.service_id, await waitingPositions(db, orgId, row.service_id));
+    const remaining = remainingOf(queues.get(row.service_id), row, nowServing);
+
+    const positions = row.notify_at === null ? policy.positions : [...policy.positions, safeInt(row.notify_at, 0)];
+    const lastSent = row.last_notified_remaining === null ? null : safeInt(row.last_notified_remaining, -9999);
+    if (progressThreshold(positions, remaining, lastSent) === null) continue;
+
+    const p = {
+      num: ticketLabel(services.get(row.service_id)?.prefix, row.number),
+      name: (row.full_name || "").trim(),
+      remaining,
+    };
+
+    let kind = "next";
+    let text = "";
+    if (remaining === 0) {
+      text = notifyText("next", row.lang, p);
+    } else {
+      if (!estimates.has(row.service_id)) {
+        estimates.set(row.service_id, await estimateService(pool, { orgId, serviceId: row.service_id, tz: BUSINESS_TZ }).catch(() => null));
+      }
+      kind = "progress";
+      text = notifyText("progress", row.lang, { ...p, eta: etaRange(estimates.get(row.service_id), remaining) });
+    }
+
+    if (await enqueueTicketMessage(db, row, kind, text)) {
+      await db.query(
+        `UPDATE tickets SET last_notified_remaining=$2, updated_at=now() WHERE id=$1`,
+        [row.id, remaining]
+      );
+    }
+  }
+}
+
+// Oyna chaqirganda: "N-oynaga boring"
+async function notifyTicketCalled(db, ticketId) {
+  const r = await db.query(
+    `
+    SELECT t.id, t.org_id, t.number, t.service_id, t.full_name, t.telegram_chat_id, t.counter_no,
+           c.name AS counter_name, COALESCE(u.lang, t.lang) AS lang, u.phone, ${HAS_PUSH_SQL} AS has_push
+    FROM tickets t
+    LEFT JOIN org_counters c ON c.org_id=t.org_id AND c.counter_no=t.counter_no
+    LEFT JOIN telegram_users u ON u.chat_id=t.telegram_chat_id
+    WHERE t.id=$1 AND t.status='called'
+    `,
+    [ticketId]
+  );
+  const row = r.rows[0];
+  if (!row || (!row.telegram_chat_id && !row.has_push)) return;
+
+  const text = notifyText("called", row.lang, {
+    num: ticketLabel(serviceMapOf(row.org_id).get(row.service_id)?.prefix, row.number),
+    name: (row.full_name || "").trim(),
+    counterNo: safeInt(row.counter_no, 0),
+    counterName: safeStr(row.counter_name, "").trim(),
+  });
+
+  if (await enqueueTicketMessage(db, row, "called", text)) {
+    await db.query(
+      `UPDATE tickets SET last_notified_remaining=0, updated_at=now() WHERE id=$1`,
+      [row.id]
     );
+  }
+}
 
-    for (const row of r.rows) {
-      const num = safeInt(row.number, 0);
-      const remaining = Math.max(0, num - nowServing);
+// Holat o'zgarishi: missed | expired | cancelled | recalled | dayClosed (settings.notify.statusChanges=false bo'lsa yuborilmaydi)
+// Foydalanuvchi o'zi bekor qilganda chaqirilmaydi — u buni allaqachon biladi.
+async function notifyTicketStatus(db, ticketIds, kind) {
+  const ids = (ticketIds || []).map(String).filter(Boolean);
+  if (!ids.length) return;
+
+  const r = await db.query(
+    `
+    SELECT t.id, t.org_id, t.number, t.service_id, t.telegram_chat_id, COALESCE(u.lang, t.lang) AS lang,
+           u.phone, ${HAS_PUSH_SQL} AS has_push
+    FROM tickets t
+    LEFT JOIN telegram_users u ON u.chat_id=t.telegram_chat_id
+    WHERE t.id = ANY($1::uuid[]) AND (t.telegram_chat_id IS NOT NULL OR ${HAS_PUSH_SQL})
+    `,
+    [ids]
+  );
 
-      // send only on every 2 steps (0,2,4,6...) to reduce spam
-      if (remaining % 2 !== 0) continue;
+  for (const row of r.rows) {
+    if (!orgNotify(findOrg(row.org_id)).statusChanges) continue;
+    const num = ticketLabel(serviceMapOf(row.org_id).get(row.service_id)?.prefix, row.number);
+    await enqueueTicketMessage(db, row, kind, notifyText(kind, row.lang, { num }));
+  }
+}
 
-      const lastSent = row.last_notified_remaining === null ? null : safeInt(row.last_notified_remaining, -9999);
-      if (lastSent === remaining) continue;
+// Ko'chirilgan ticket (/api/admin/transfer): yangi raqam, joy va oldindagilar soni.
+// Muhim xabar — statusChanges o'chirilgan bo'lsa ham yuboriladi.
+async function notifyTicketTransferred(db, ticketId, fromLabel) {
+  const r = await db.query(
+    `
+    SELECT t.id, t.org_id, t.number, t.status, t.service_id, t.telegram_chat_id, q.current_number,
+           COALESCE(u.lang, t.lang) AS lang, u.phone, ${HAS_PUSH_SQL} AS has_push
+    FROM tickets t
+    LEFT JOIN queue_state q ON q.org_id=t.org_id AND q.service_id=t.service_id
+    LEFT JOIN telegram_users u ON u.chat_id=t.telegram_chat_id
+    WHERE t.id=$1 AND (t.telegram_chat_id IS NOT NULL OR ${HAS_PUSH_SQL})
+    `,
+    [ticketId]
+  );
+  const row = r.rows[0];
+  if (!row) return;
+
+  const l = ["ru", "en"].includes(row.lang) ? row.lang : "uz";
+  const org = findOrg(row.org_id);
+  const service = serviceMapOf(row.org_id).get(row.service_id);
+  const place = [org?.name?.[l] || org?.name?.uz || row.org_id, service?.name ? service.name[l] || service.name.uz : ""]
+    .filter(Boolean)
+    .join(" — ");
+  const remaining = remainingOf(await waitingPositions(db, row.org_id, row.service_id), row, safeInt(row.current_number, 0) + 1);
+
+  const text = notifyText("transferred", row.lang, {
+    num: ticketLabel(service?.prefix, row.number),
+    from: fromLabel,
+    place,
+    remaining,
+  });
+  if (await enqueueTicketMessage(db, row, "transferred", text)) {
+    await db.query(`UPDATE tickets SET last_notified_remaining=$2 WHERE id=$1`, [row.id, remaining]);
+  }
+}
 
-      const chatId = row.telegram_chat_id;
-      if (!chatId) continue;
+// =======================
+// TICKET TOKEN (mijoz amallari uchun egalik isboti)
+// /api/take bir marta beradi; keyin X-Ticket-Token header yoki body.ticketToken
+// =======================
+function ticketTokenOf(req) {
+  return safeStr(req.get("X-Ticket-Token") || req.body?.ticketToken || "", "").trim();
+}
 
-      const name = (row.full_name || "").trim();
+// Bot bilan server orasidagi kalit (har ishga tushishda yangi, tashqariga chiqmaydi)
+const INTERNAL_KEY = newToken();
 
-      let text = "";
-      if (remaining === 0) {
-        text = `✅ Navbatingiz keldi!\nRaqam: ${num}\n${name ? `Ism: ${name}\n` : ""}Iltimos, oynaga yaqinlashing.`;
-      } else {
-        text = `⏳ Navbatingizga ${remaining} ta qoldi.\nRaqam: ${num}${name ? `\nIsm: ${name}` : ""}`;
-      }
+function isInternal(req) {
+  const key = (req.headers["x-internal-key"] || "").toString();
+  return !!key && safeEqual(key, INTERNAL_KEY);
+}
 
-      const ok = await tgSend(chatId, text);
-      if (ok) {
-        await pool.query(
-          `UPDATE tickets SET last_notified_remaining=$2, updated_at=now() WHERE id=$1`,
-          [row.id, remaining]
-        );
-      }
-    }
-  } catch (e) {
-    console.error("notifyQueueProgress error:", e?.message || e);
-  }
+function requireInternal(req, res, next) {
+  if (!isInternal(req)) return res.status(403).json({ ok: false, error: "Ruxsat yo‘q" });
+  next();
 }
 
+// Egalik: ticket tokeni yoki bot (ichki kalit) + shu ticketni olgan telegram_user_id
+function ticketOwnerOk(req, row) {
+  if (ticketTokenOk(row, ticketTokenOf(req))) return true;
+  const tg = safeStr(req.body?.telegramUserId, "").trim();
+  return isInternal(req) && !!tg && row?.telegram_user_id != null && String(row.telegram_user_id) === tg;
+}
+
+// ticket sahifasi; token bo'lsa egasi sifatida ochiladi (#t= fragment — serverga, proxy loglariga va Referer'ga tushmaydi)
+function ticketPageUrl(ticketId, ticketToken = null) {
+  return `${publicBaseUrl()}/ticket.html?id=${ticketId}${ticketToken ? `#t=${encodeURIComponent(ticketToken)}` : ""}`;
+}
 
-async function makeQr(ticketId) {
-  const qrData = `${publicBaseUrl()}/ticket.html?id=${ticketId}`;
+async function makeQr(ticketId, ticketToken = null) {
+  const qrData = ticketPageUrl(ticketId, ticketToken);
   let qrPngBase64 = null;
   try { qrPngBase64 = await QRCode.toDataURL(qrData); } catch {}
   return { qrData, qrPngBase64 };
@@ -283,18 +796,119 @@ async function makeQr(ticketId) {
 
 // =======================
 // ADMIN AUTH (required)
+// 1) Authorization: Bearer <token> — operator sessiyasi (POST /api/auth/login)
+// 2) X-Admin-Key — ADMIN_KEY env, super_admin sifatida (birinchi operatorlarni yaratish uchun)
 // =======================
-function requireAdmin(req, res, next) {
-  const key = (req.headers["x-admin-key"] || "").toString();
-  const expected = (process.env.ADMIN_KEY || "").toString();
+const SESSION_TTL_HOURS = Math.max(1, safeInt(process.env.SESSION_TTL_HOURS, 12));
+const USERNAME_RE = /^[a-z0-9_.-]{3,40}$/;
+const MIN_PASSWORD = 8;
+
+async function operatorOrgs(operatorId) {
+  const r = await pool.query(
+    `SELECT org_id FROM operator_orgs WHERE operator_id=$1 ORDER BY org_id`,
+    [operatorId]
+  );
+  return r.rows.map((x) => x.org_id);
+}
 
-  if (!expected) {
-    return res.status(500).json({ ok: false, error: "ADMIN_KEY env sozlanmagan" });
-  }
-  if (!key || key !== expected) {
-    return res.status(401).json({ ok: false, error: "Admin ruxsat yo‘q (X-Admin-Key xato)" });
+function publicOperator(row, orgs) {
+  return {
+    id: row.id,
+    username: row.username,
+    fullName: row.full_name || null,
+    role: row.role,
+    active: row.active !== false,
+    orgs,
+  };
+}
+
+async function requireAdmin(req, res, next) {
+  try {
+    const auth = (req.headers.authorization || "").toString();
+    const bearer = auth.startsWith("Bearer ") ? auth.slice(7).trim() : "";
+
+    if (bearer) {
+      const r = await pool.query(
+        `SELECT o.id, o.username, o.full_name, o.role, o.active
+         FROM operator_sessions s
+         JOIN operators o ON o.id = s.operator_id
+         WHERE s.token_hash=$1 AND s.expires_at > now() AND o.active`,
+        [hashToken(bearer)]
+      );
+      if (!r.rowCount) {
+        return res.status(401).json({ ok: false, error: "Sessiya tugagan yoki token xato. Qayta kiring." });
+      }
+      req.operator = publicOperator(r.rows[0], await operatorOrgs(r.rows[0].id));
+      req.sessionTokenHash = hashToken(bearer);
+      return next();
+    }
+
+    // 3) bot operator rejimi: ichki kalit + operatorga bog'langan Telegram hisobi
+    const tgUser = (req.headers["x-telegram-user-id"] || "").toString();
+    if (tgUser && isInternal(req)) {
+      const r = await pool.query(
+        `SELECT id, username, full_name, role, active FROM operators WHERE telegram_user_id=$1 AND active`,
+        [tgUser]
+      );
+      if (!r.rowCount) {
+        return res.status(403).json({ ok: false, code: "tg_not_linked", error: "Telegram hisobi operatorga bog‘lanmagan" });
+      }
+      req.operator = publicOperator(r.rows[0], await operatorOrgs(r.rows[0].id));
+      return next();
+    }
+
+    const key = (req.headers["x-admin-key"] || "").toString();
+    const expected = (process.env.ADMIN_KEY || "").toString();
+    if (!key) {
+      return res.status(401).json({ ok: false, error: "Kirish kerak (login yoki X-Admin-Key)" });
+    }
+    if (!expected) {
+      return res.status(500).json({ ok: false, error: "ADMIN_KEY env sozlanmagan" });
+    }
+    if (!safeEqual(key, expected)) {
+      return res.status(401).json({ ok: false, error: "Admin ruxsat yo‘q (X-Admin-Key xato)" });
+    }
+
+    req.operator = { id: null, username: "admin-key", fullName: null, role: "super_admin", active: true, orgs: [] };
+    next();
+  } catch (e) {
+    console.error("requireAdmin error:", e);
+    res.status(500).json({ ok: false, error: e.message });
   }
-  next();
+}
+
+// requireAdmin'dan keyin: rol kamida `minRole` bo'lishi kerak
+function requireRole(minRole) {
+  return (req, res, next) => {
+    if (roleRank(req.operator?.role) <= roleRank(minRole)) return next();
+    res.status(403).json({ ok: false, error: "Bu amal uchun ruxsat yo‘q (rol yetarli emas)" });
+  };
+}
+
+function canAccessOrg(op, orgId) {
+  if (!op) return false;
+  if (op.role === "super_admin") return true;
+  return (op.orgs || []).includes(orgId);
+}
+
+// true qaytarsa javob yuborilgan (403)
+function denyOrg(req, res, orgId) {
+  if (canAccessOrg(req.operator, orgId)) return false;
+  res.status(403).json({ ok: false, error: "Bu muassasaga ruxsat yo‘q" });
+  return true;
+}
+
+// ticket_events uchun: amalni kim bajardi. Operator (sessiya / bot / ADMIN_KEY) yoki mijoz (token / bot orqali).
+function actorOf(req) {
+  if (req.operator) return { type: "operator", id: req.operator.id || null, name: req.operator.username };
+  if (req.kiosk) return { type: "customer", id: `kiosk:${req.kiosk.orgId}`, name: null };
+  const tg = safeStr(req.body?.telegramUserId ?? req.query?.telegramUserId, "").trim();
+  if (isInternal(req) && tg) return { type: "customer", id: `tg:${tg}`, name: null };
+  return { type: "customer", id: null, name: null };
+}
+
+function sourceOf(req) {
+  return `${req.method} ${req.baseUrl || ""}${req.path}`;
 }
 
 // ===== ROUTES =====
@@ -308,85 +922,206 @@ app.get("/api/health", async (req, res) => {
   }
 });
 
-app.get("/api/geo", (req, res) => {
+// Hududlar daraxti + har bir tuman/shahardagi faol muassasalar (bot va web shu bittasidan foydalanadi)
+app.get("/api/geo/tree", (req, res) => {
   try {
-    const geo = loadGeo();
-    res.json(geo);
+    const tree = loadGeoTree();
+    const orgsByKey = orgsByUnitUzKey();
+
+    const regions = (tree.regions || []).map((r) => ({
+      id: r.id,
+      soato: r.soato,
+      name: r.name,
+      units: (r.units || []).map((u) => ({
+        id: u.id,
+        soato: u.soato,
+        kind: u.kind,
+        name: u.name,
+        orgs: orgsByKey[unitKey(r.name.uz, u.name.uz)] || [],
+      })),
+    }));
+
+    res.setHeader("Cache-Control", "public, max-age=60");
+    res.json({ ok: true, version: tree.version || null, regions });
   } catch (e) {
     res.status(500).json({ ok: false, error: e.message });
   }
 });
 
-// Ticket olish
-app.post("/api/take", async (req, res) => {
+// Eski format (eski clientlar uchun): { orgsByUnitUzKey } — orglar reestrdan (faqat faol)
+app.get("/api/geo", (req, res) => {
   try {
-    const { orgId, platform = "web", userId = null, fullName = "", telegramChatId = null, telegramUserId = null } = req.body || {};
     const geo = loadGeo();
+    res.setHeader("Cache-Control", "public, max-age=60");
+    res.json({ ...geo, orgsByUnitUzKey: orgsByUnitUzKey() });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Operator ham joyida kelgan odamga ticket berishi mumkin (Bearer / X-Admin-Key bilan).
+// Imtiyozli ticketni faqat operator beradi: priority so'ralsa auth majburiy.
+function takeAuth(req, res, next) {
+  if (req.body?.priority || req.headers.authorization || req.headers["x-admin-key"]) return requireAdmin(req, res, next);
+  if (req.headers["x-kiosk-key"]) return requireKiosk(req, res, next);
+  next();
+}
 
+// Kiosk (kiosk.js): X-Kiosk-Key shu muassasaniki bo'lsa req.kiosk = { orgId }
+function requireKiosk(req, res, next) {
+  const org = findOrg(safeStr(req.body?.orgId ?? req.query?.orgId, "").trim());
+  const key = safeStr(req.headers["x-kiosk-key"], "").trim();
+  if (!org || !org.active) return res.status(404).json({ ok: false, error: "Muassasa topilmadi" });
+  if (!kioskKeyOk(org, key)) return res.status(403).json({ ok: false, code: "kiosk_key", error: "Kiosk kaliti noto‘g‘ri" });
+  req.kiosk = { orgId: org.id };
+  next();
+}
+
+// Ticket olish. Operator (Bearer / X-Admin-Key) bersa: { priority: true, priorityReason } mumkin, cheklovlar tekshirilmaydi.
+// Kiosk (X-Kiosk-Key) bersa: ism shart emas, IP cheklovlari yo'q, platform="kiosk".
+app.post("/api/take", takeAuth, async (req, res) => {
+  try {
+    const { orgId, serviceId = "", platform = "web", userId = null, fullName = "", lang = "uz" } = req.body || {};
     const org = safeStr(orgId, "").trim();
-    if (!validateOrgId(geo, org)) {
-      return res.status(400).json({ ok: false, error: "Noto‘g‘ri orgId (geo.json’dan topilmadi)" });
+    if (!validateOrgId(org)) {
+      return res.status(400).json({ ok: false, error: "Noto‘g‘ri orgId (muassasa topilmadi yoki faol emas)" });
+    }
+    const orgObj = findOrg(org);
+
+    if (req.operator && denyOrg(req, res, org)) return;
+    const priority = !!req.body?.priority;
+    const priorityReason = priority ? safeStr(req.body?.priorityReason, "").trim() : "";
+    if (priority && !PRIORITY_REASONS.includes(priorityReason)) {
+      return res.status(400).json({ ok: false, error: `priorityReason: ${PRIORITY_REASONS.join(" | ")}` });
+    }
+
+    const open = openState(orgHours(orgObj));
+    if (!open.open) {
+      return res.status(403).json({
+        ok: false,
+        code: "closed",
+        error: closedMessage(open, safeStr(lang, "uz")),
+        opensAt: open.opensAt,
+      });
+    }
+
+    const service = findService(orgObj, safeStr(serviceId, "").trim());
+    if (!service) {
+      return res.status(400).json({ ok: false, error: "Noto‘g‘ri serviceId (xizmat turini tanlang)" });
+    }
+    if (req.kiosk && !kioskServiceOk(orgObj, service.id)) {
+      return res.status(403).json({ ok: false, error: "Bu xizmat kioskda yo‘q" });
     }
 
     const full_name = safeStr(fullName, "").trim().replace(/\s+/g, " ").slice(0, 80);
-    if (!full_name || full_name.length < 3) {
+    if (!req.kiosk && (!full_name || full_name.length < 3)) {
       return res.status(400).json({ ok: false, error: "Ism familiya (min 3) kerak" });
     }
+    const source_platform = req.kiosk ? "kiosk" : safeStr(platform, "web").slice(0, 30);
+
+    // telegram id'larini faqat bot (ichki kalit) beradi; boshqalarniki e'tiborga olinmaydi
+    const internal = isInternal(req);
+    const telegramUserId = internal ? safeStr(req.body?.telegramUserId, "").trim() || null : null;
+    const telegramChatId = internal ? safeStr(req.body?.telegramChatId, "").trim() || null : null;
+    if ((telegramUserId && !/^\d{1,20}$/.test(telegramUserId)) || (telegramChatId && !/^\d{1,20}$/.test(telegramChatId))) {
+      return res.status(400).json({ ok: false, error: "Noto‘g‘ri telegramUserId / telegramChatId" });
+    }
+
+    await ensureOrgState(org, service.id);
 
-    await ensureOrgState(org);
+    const ip = clientIpOf(req);
+    const trusted = internal || !!req.operator || !!req.kiosk;
+    const user_id = takeUserId({ trusted, userId: safeStr(userId, ""), webId: trusted ? null : webIdFor(req, res) });
 
     const client = await pool.connect();
     try {
       await client.query("BEGIN");
 
-      const st = await client.query(
-        `SELECT next_number, current_number
-         FROM org_state
-         WHERE org_id=$1
-         FOR UPDATE`,
-        [org]
-      );
+      // cheklovlar: bir vaqtda kelgan so'rovlar ham (boshqa xizmatga bo'lsa ham) ketma-ket tekshiriladi
+      await client.query(`SELECT pg_advisory_xact_lock(hashtext($1))`, [`take:${org}`]);
+      const hit = req.operator || req.kiosk ? null : await checkTakeLimits(client, org, orgLimits(orgObj), { ip, userId: user_id, telegramUserId });
+      if (hit) {
+        await client.query("ROLLBACK");
+        if (hit.retryAfterSec) res.set("Retry-After", String(hit.retryAfterSec));
+        return res.status(429).json({
+          ok: false,
+          code: hit.code,
+          error: limitMessage(hit, safeStr(lang, "uz")),
+          retryAfterSec: hit.retryAfterSec ?? null,
+        });
+      }
 
-      const nextNumber = safeInt(st.rows[0]?.next_number, 1);
-      const currentNumber = safeInt(st.rows[0]?.current_number, 0);
+      const { nextNumber, currentNumber } = await readQueueState(client, org, service.id, { lock: true });
 
       // ✅ FIX: yangi ticket raqami hech qachon nowServing dan kichik bo‘lmaydi
       const assignedNumber = Math.max(nextNumber, currentNumber + 1);
 
+      const ticketToken = newToken();
       const ins = await client.query(
-        `INSERT INTO tickets (org_id, number, status, platform, user_id, full_name, telegram_chat_id, telegram_user_id)
-         VALUES ($1,$2,'waiting',$3,$4,$5,$6,$7)
+        `INSERT INTO tickets (org_id, service_id, number, status, platform, user_id, full_name, telegram_chat_id, telegram_user_id, token_hash, client_ip,
+                              lang, last_notified_remaining, priority, priority_reason)
+         VALUES ($1,$2,$3,'waiting',$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14)
          RETURNING id, org_id, number, status, created_at`,
         [
           org,
+          service.id,
           assignedNumber,
-          safeStr(platform, "web").slice(0, 30),
-          safeStr(userId, "").slice(0, 80) || null,
-          full_name,
+          source_platform,
+          user_id,
+          full_name || null,
           telegramChatId ? BigInt(telegramChatId) : null,
           telegramUserId ? BigInt(telegramUserId) : null,
+          hashToken(ticketToken),
+          ip,
+          ["uz", "ru", "en"].includes(lang) ? lang : "uz",
+          // olganda navbat holati allaqachon ko'rsatilgan: keyingi xabar undan kichik chegarada
+          Math.max(0, assignedNumber - (currentNumber + 1)),
+          priority,
+          priority ? priorityReason : null,
         ]
       );
 
       await client.query(
-        `UPDATE org_state
-         SET next_number=$2, updated_at=now()
-         WHERE org_id=$1`,
-        [org, assignedNumber + 1]
+        `UPDATE queue_state
+         SET next_number=$3, updated_at=now()
+         WHERE org_id=$1 AND service_id=$2`,
+        [org, service.id, assignedNumber + 1]
       );
 
+      await recordEvent(client, {
+        ticketId: ins.rows[0].id,
+        orgId: org,
+        action: "take",
+        to: "waiting",
+        actor: actorOf(req),
+        source: sourceOf(req),
+        meta: {
+          serviceId: service.id,
+          number: assignedNumber,
+          platform: source_platform,
+          ...(priority ? { priority: true, reason: priorityReason } : {}),
+        },
+      });
+
       await client.query("COMMIT");
+      publishQueue(org);
 
       const nowServing = currentNumber + 1;
       const lastNumber = assignedNumber;
+      const displayNumber = ticketLabel(service.prefix, assignedNumber);
 
-      const avgServiceSec = await computeAvgServiceSec(org);
-      const { qrData, qrPngBase64 } = await makeQr(ins.rows[0].id);
+      const positions = await waitingPositions(pool, org, service.id);
+      const remaining = remainingOf(positions, ins.rows[0], nowServing);
+      const { avgServiceSec, eta } = await ticketEta(org, service.id, remaining);
+      const { qrData, qrPngBase64 } = await makeQr(ins.rows[0].id, ticketToken);
 
       return res.json({
         ok: true,
         ticketId: ins.rows[0].id,
+        ticketToken,
         number: assignedNumber,
+        displayNumber,
+        serviceId: service.id,
         nowServing,
         lastNumber,
         avgServiceSec: avgServiceSec ?? null,
@@ -395,12 +1130,18 @@ app.post("/api/take", async (req, res) => {
         ticket: {
           id: ins.rows[0].id,
           orgId: org,
+          serviceId: service.id,
+          serviceName: service.name,
           number: assignedNumber,
+          displayNumber,
           status: "waiting",
           createdAt: ins.rows[0].created_at,
-          remaining: Math.max(0, assignedNumber - nowServing),
-          etaMinutes: avgServiceSec ? Math.round((Math.max(0, assignedNumber - nowServing) * avgServiceSec) / 60) : null,
-          fullName: full_name,
+          priority,
+          priorityReason: priority ? priorityReason : null,
+          remaining,
+          etaMinutes: eta ? eta.likelyMinutes : null,
+          eta,
+          fullName: full_name || null,
           qrData,
           qrPngBase64,
         },
@@ -420,33 +1161,40 @@ app.post("/api/take", async (req, res) => {
 app.get("/api/ticket", async (req, res) => {
   try {
     const orgId = safeStr(req.query.orgId, "").trim();
+    const serviceId = safeStr(req.query.serviceId, "").trim();
     const number = req.query.number ? safeInt(req.query.number, 0) : null;
 
     if (!orgId) return res.status(400).json({ ok: false, error: "orgId kerak" });
+    // ensureOrgState qator yaratadi — faqat mavjud muassasa/xizmat uchun
+    if (!findOrg(orgId)) return res.status(404).json({ ok: false, error: "Muassasa topilmadi" });
+    const service = serviceMapOf(orgId).get(serviceId);
+    if (!service) return res.status(404).json({ ok: false, error: "Xizmat topilmadi" });
 
-    await ensureOrgState(orgId);
-
-    const st = await pool.query(
-      `SELECT current_number, next_number FROM org_state WHERE org_id=$1`,
-      [orgId]
-    );
+    await ensureOrgState(orgId, serviceId);
 
-    const currentNumber = safeInt(st.rows[0]?.current_number, 0);
-    const nextNumber = safeInt(st.rows[0]?.next_number, 1);
+    const { currentNumber, nextNumber } = await readQueueState(pool, orgId, serviceId);
 
     const nowServing = currentNumber + 1;
     const lastNumber = Math.max(0, nextNumber - 1);
-    const avgServiceSec = await computeAvgServiceSec(orgId);
+    let remaining = Math.max(0, safeInt(number, 0) - nowServing);
+    let { avgServiceSec, eta } = await ticketEta(orgId, serviceId, remaining);
 
-    const base = { ok: true, nowServing, lastNumber, avgServiceSec: avgServiceSec ?? null };
+    const base = {
+      ok: true,
+      serviceId,
+      nowServing,
+      nowServingLabel: ticketLabel(service?.prefix, nowServing),
+      lastNumber,
+      avgServiceSec: avgServiceSec ?? null,
+    };
 
     if (number) {
       const t = await pool.query(
         `SELECT id, org_id, number, status, created_at, updated_at, full_name
-         FROM tickets WHERE org_id=$1 AND number=$2
+         FROM tickets WHERE org_id=$1 AND service_id=$2 AND number=$3
          ORDER BY created_at DESC
          LIMIT 1`,
-        [orgId, number]
+        [orgId, serviceId, number]
       );
 
       if (t.rowCount) {
@@ -459,25 +1207,47 @@ app.get("/api/ticket", async (req, res) => {
         });
 
         const t2 = await pool.query(
-          `SELECT id, org_id, number, status, created_at, updated_at, full_name
-           FROM tickets WHERE id=$1`,
+          `SELECT t.id, t.org_id, t.number, t.status, t.created_at, t.updated_at, t.full_name, t.token_hash,
+                  t.counter_no, t.called_at, c.name AS counter_name,
+                  t.missed_at, t.missed_serving, t.recalled_at, t.self_returns, t.priority, t.priority_reason,
+                  t.transferred_from, t.transferred_to
+           FROM tickets t
+           LEFT JOIN org_counters c ON c.org_id=t.org_id AND c.counter_no=t.counter_no
+           WHERE t.id=$1`,
           [row.id]
         );
         const row2 = t2.rows[0];
+        const owner = ticketTokenOk(row2, ticketTokenOf(req));
+
+        if (row2.status === "waiting") {
+          remaining = remainingOf(await waitingPositions(pool, orgId, serviceId), row2, nowServing);
+          ({ avgServiceSec, eta } = await ticketEta(orgId, serviceId, remaining));
+          base.avgServiceSec = avgServiceSec ?? null;
+        }
 
         base.ticket = {
           id: row2.id,
           orgId: row2.org_id,
+          serviceId,
+          serviceName: service?.name ?? null,
           number: row2.number,
+          displayNumber: ticketLabel(service?.prefix, row2.number),
           status: row2.status,
           createdAt: row2.created_at,
           updatedAt: row2.updated_at,
           currentNumber,
-          remaining: Math.max(0, number - nowServing),
-          etaMinutes: avgServiceSec
-            ? Math.round((Math.max(0, number - nowServing) * avgServiceSec) / 60)
-            : null,
-          fullName: row2.full_name,
+          remaining,
+          etaMinutes: eta ? eta.likelyMinutes : null,
+          eta,
+          ...ownerOnlyFields(row2, owner),
+          counter: row2.counter_no ?? null,
+          counterName: row2.counter_name ?? null,
+          calledAt: row2.called_at ?? null,
+          recalledAt: row2.recalled_at ?? null,
+          priority: !!row2.priority,
+          transferredFrom: await ticketLink(row2.transferred_from),
+          transferredTo: await ticketLink(row2.transferred_to),
+          grace: ticketGraceView(row2, nowServing),
         };
       }
     }
@@ -489,97 +1259,462 @@ app.get("/api/ticket", async (req, res) => {
   }
 });
 
-// Ticket by ID + QR
-app.get("/api/ticket/:id", async (req, res) => {
-  try {
-    const id = req.params.id;
-
-    const t = await pool.query(
-      `SELECT id, org_id, number, status, created_at, updated_at, full_name
-       FROM tickets WHERE id=$1`,
-      [id]
-    );
-    if (!t.rowCount) return res.status(404).json({ ok: false, error: "Ticket topilmadi" });
-
-    const ticket = t.rows[0];
-
-    await ensureOrgState(ticket.org_id);
-
-    const st = await pool.query(
-      `SELECT current_number, next_number FROM org_state WHERE org_id=$1`,
-      [ticket.org_id]
-    );
+// Ticket by ID (+ QR): GET /api/ticket/:id va SSE ticket stream uchun umumiy
+// token to'g'ri bo'lsa: owner=true va QR link token bilan (qayta ochilganda ham amallar ishlaydi)
+async function buildTicketView(id, { withQr = true, token = "" } = {}) {
+  const t = await pool.query(
+    `SELECT id, org_id, service_id, number, status, created_at, updated_at, full_name, token_hash
+     FROM tickets WHERE id=$1`,
+    [id]
+  );
+  if (!t.rowCount) return null;
 
-    const currentNumber = safeInt(st.rows[0]?.current_number, 0);
-    const nextNumber = safeInt(st.rows[0]?.next_number, 1);
+  const ticket = t.rows[0];
 
-    const nowServing = currentNumber + 1;
-    const lastNumber = Math.max(0, nextNumber - 1);
-    const avgServiceSec = await computeAvgServiceSec(ticket.org_id);
+  await ensureOrgState(ticket.org_id, ticket.service_id);
 
-    await autoUpdateTicketStatusIfNeeded({
-      ticketId: ticket.id,
-      number: safeInt(ticket.number, 0),
-      nowServing,
-    });
+  const { currentNumber, nextNumber } = await readQueueState(pool, ticket.org_id, ticket.service_id);
+  const service = serviceMapOf(ticket.org_id).get(ticket.service_id);
 
-    const t2 = await pool.query(
-      `SELECT id, org_id, number, status, created_at, updated_at, full_name
-       FROM tickets WHERE id=$1`,
-      [id]
-    );
-    const ticket2 = t2.rows[0];
+  const nowServing = currentNumber + 1;
+  const lastNumber = Math.max(0, nextNumber - 1);
 
-    const { qrData, qrPngBase64 } = await makeQr(ticket2.id);
+  await autoUpdateTicketStatusIfNeeded({
+    ticketId: ticket.id,
+    number: safeInt(ticket.number, 0),
+    nowServing,
+  });
 
-    res.json({
-      ok: true,
-      ticketId: String(ticket2.id),
-      number: safeInt(ticket2.number, 0),
-      nowServing,
-      lastNumber,
-      avgServiceSec: avgServiceSec ?? null,
+  const t2 = await pool.query(
+    `SELECT t.id, t.org_id, t.number, t.status, t.created_at, t.updated_at, t.full_name,
+            t.counter_no, t.called_at, c.name AS counter_name,
+            t.missed_at, t.missed_serving, t.recalled_at, t.self_returns, t.priority, t.priority_reason,
+            t.transferred_from, t.transferred_to
+     FROM tickets t
+     LEFT JOIN org_counters c ON c.org_id=t.org_id AND c.counter_no=t.counter_no
+     WHERE t.id=$1`,
+    [id]
+  );
+  const ticket2 = t2.rows[0];
+
+  const positions = ticket2.status === "waiting" ? await waitingPositions(pool, ticket.org_id, ticket.service_id) : new Map();
+  const remaining = remainingOf(positions, ticket2, nowServing);
+  const { avgServiceSec, eta } = await ticketEta(ticket.org_id, ticket.service_id, remaining);
+
+  const owner = ticketTokenOk(ticket, token);
+  const { qrData, qrPngBase64 } = withQr ? await makeQr(ticket2.id, owner ? token : null) : { qrData: null, qrPngBase64: null };
+
+  return {
+    ok: true,
+    ticketId: String(ticket2.id),
+    number: safeInt(ticket2.number, 0),
+    displayNumber: ticketLabel(service?.prefix, ticket2.number),
+    serviceId: ticket.service_id,
+    nowServing,
+    nowServingLabel: ticketLabel(service?.prefix, nowServing),
+    lastNumber,
+    avgServiceSec: avgServiceSec ?? null,
+    owner,
+    qrData,
+    qrPngBase64,
+    ticket: {
+      id: ticket2.id,
+      orgId: ticket2.org_id,
+      serviceId: ticket.service_id,
+      serviceName: service?.name ?? null,
+      orgName: findOrg(ticket2.org_id)?.name ?? null,
+      number: ticket2.number,
+      displayNumber: ticketLabel(service?.prefix, ticket2.number),
+      status: ticket2.status,
+      createdAt: ticket2.created_at,
+      updatedAt: ticket2.updated_at,
+      currentNumber,
+      remaining,
+      etaMinutes: eta ? eta.likelyMinutes : null,
+      eta,
+      // ism va imtiyoz sababi — faqat egasiga (token bilan)
+      ...ownerOnlyFields(ticket2, owner),
+      counter: ticket2.counter_no ?? null,
+      counterName: ticket2.counter_name ?? null,
+      calledAt: ticket2.called_at ?? null,
+      recalledAt: ticket2.recalled_at ?? null,
+      priority: !!ticket2.priority,
+      transferredFrom: await ticketLink(ticket2.transferred_from),
+      transferredTo: await ticketLink(ticket2.transferred_to),
+      grace: ticketGraceView(ticket2, nowServing),
       qrData,
       qrPngBase64,
-      ticket: {
-        id: ticket2.id,
-        orgId: ticket2.org_id,
-        number: ticket2.number,
-        status: ticket2.status,
-        createdAt: ticket2.created_at,
-        updatedAt: ticket2.updated_at,
-        currentNumber,
-        remaining: Math.max(0, ticket2.number - nowServing),
-        etaMinutes: avgServiceSec
-          ? Math.round((Math.max(0, ticket2.number - nowServing) * avgServiceSec) / 60)
-          : null,
-        fullName: ticket2.full_name,
-        qrData,
-        qrPngBase64,
-      },
-    });
+    },
+  };
+}
+
+app.get("/api/ticket/:id", async (req, res) => {
+  try {
+    const id = safeStr(req.params.id, "").trim();
+    if (!UUID_RE.test(id)) return res.status(400).json({ ok: false, error: "ticketId noto‘g‘ri" });
+    const view = await buildTicketView(id, { token: ticketTokenOf(req) });
+    if (!view) return res.status(404).json({ ok: false, error: "Ticket topilmadi" });
+    res.json(view);
   } catch (e) {
     console.error("GET /api/ticket/:id error:", e);
     res.status(500).json({ ok: false, error: e.message });
   }
 });
 
-// cancel
+// Chek (kiosk printeri): ?format=pdf|escpos&lang=uz|en — faqat ticket egasi (X-Ticket-Token).
+// escpos — termoprinterga to'g'ridan-to'g'ri yuboriladigan baytlar (printer agenti / USB-serial uchun).
+app.get("/api/ticket/:id/print", async (req, res) => {
+  try {
+    const id = safeStr(req.params.id, "").trim();
+    if (!UUID_RE.test(id)) return res.status(400).json({ ok: false, error: "ticketId noto‘g‘ri" });
+    const format = safeStr(req.query.format, "pdf").trim();
+    if (!["pdf", "escpos"].includes(format)) return res.status(400).json({ ok: false, error: "format: pdf | escpos" });
+    const token = ticketTokenOf(req);
+    if (!token) return res.status(401).json({ ok: false, error: "Ticket tokeni kerak" });
+
+    const view = await buildTicketView(id, { withQr: false, token });
+    if (!view) return res.status(404).json({ ok: false, error: "Ticket topilmadi" });
+    if (!view.owner) return res.status(403).json({ ok: false, error: "Ticket tokeni noto‘g‘ri" });
+
+    const lang = printLang(safeStr(req.query.lang, "uz"));
+    const pick = (name) => (name && typeof name === "object" ? (lang === "en" && name.en) || name.uz : name) || "";
+    const t = view.ticket;
+    const data = {
+      orgName: pick(t.orgName),
+      serviceName: pick(t.serviceName),
+      displayNumber: t.displayNumber,
+      priority: t.priority,
+      remaining: t.status === "waiting" ? t.remaining : null,
+      takenAt: t.createdAt,
+      qrData: (await makeQr(t.id, token)).qrData,
+    };
+
+    res.setHeader("Cache-Control", "no-store");
+    if (format === "escpos") {
+      res.setHeader("Content-Type", "application/octet-stream");
+      res.setHeader("Content-Disposition", `attachment; filename="ticket-${t.displayNumber}.bin"`);
+      return res.send(ticketEscPos(data, lang));
+    }
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `inline; filename="ticket-${t.displayNumber}.pdf"`);
+    res.send(ticketPdf(data, lang));
+  } catch (e) {
+    console.error("GET /api/ticket/:id/print error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// =======================
+// REAL-TIME (SSE)
+// GET /api/stream?orgId=xxx[&serviceId=A]  -> event: queue
+// GET /api/stream?ticketId=uuid             -> event: ticket
+// GET /api/stream?orgId=xxx&board=1          -> event: board (display.html)
+// O'zgarish commit bo'lgach publishQueue(orgId) chaqiriladi; snapshot bir marta hisoblanib hammaga yuboriladi.
+// =======================
+async function buildQueueSnapshot(orgId, serviceId = "") {
+  await ensureOrgState(orgId, serviceId);
+
+  const { currentNumber, nextNumber } = await readQueueState(pool, orgId, serviceId);
+  const services = serviceMapOf(orgId);
+  const prefix = services.get(serviceId)?.prefix;
+  const nowServing = currentNumber + 1;
+
+  const w = await pool.query(
+    `SELECT COUNT(*)::int AS n FROM tickets WHERE org_id=$1 AND service_id=$2 AND status='waiting'`,
+    [orgId, serviceId]
+  );
+
+  const counters = (await listCounters(orgId)).filter((c) => c.active);
+
+  return {
+    ok: true,
+    orgId,
+    serviceId,
+    nowServing,
+    nowServingLabel: ticketLabel(prefix, nowServing),
+    lastNumber: Math.max(0, nextNumber - 1),
+    avgServiceSec: (await computeAvgServiceSec(orgId, serviceId)) ?? null,
+    waiting: safeInt(w.rows[0]?.n, 0),
+    counters: counters.map((c) => ({ counter: c.counter, name: c.name, displayNumber: c.displayNumber })),
+    time: new Date().toISOString(),
+  };
+}
+
+// Zal ekrani (display.html): oynalardagi raqamlar, oxirgi chaqirilganlar, kutayotganlar, o'rtacha kutish.
+// Ommaviy — ism va boshqa shaxsiy ma'lumot qaytarilmaydi.
+const BOARD_RECENT = 8;
+
+async function buildBoard(orgId) {
+  const org = findOrg(orgId);
+  const services = serviceMapOf(orgId);
+  const label = (serviceId, number) => ticketLabel(services.get(serviceId)?.prefix, number);
+
+  const counters = (await listCounters(orgId)).filter((c) => c.active);
+
+  // xizmat bo'yicha oxirgi chaqirilgan raqam (oynalar bo'lmasa ekranda shu ko'rsatiladi)
+  const nowServing = [];
+  const list = orgServices(org);
+  for (const svc of list.length ? list : [DEFAULT_SERVICE]) {
+    await ensureOrgState(orgId, svc.id);
+    const { currentNumber } = await readQueueState(pool, orgId, svc.id);
+    nowServing.push({
+      serviceId: svc.id,
+      serviceName: svc.name,
+      displayNumber: currentNumber ? label(svc.id, currentNumber) : null,
+    });
+  }
+
+  // callAgain called_at ni yangilaydi — ekran shu bo'yicha qayta e'lon qiladi
+  const recent = await pool.query(
+    `SELECT t.id, t.service_id, t.number, t.counter_no, t.called_at, c.name AS counter_name
+     FROM tickets t
+     LEFT JOIN org_counters c ON c.org_id=t.org_id AND c.counter_no=t.counter_no
+     WHERE t.org_id=$1 AND t.called_at IS NOT NULL AND t.called_at > now() - interval '12 hours'
+       AND t.status IN ('called','served')
+     ORDER BY t.called_at DESC
+     LIMIT $2`,
+    [orgId, BOARD_RECENT]
+  );
+
+  const w = await pool.query(
+    `SELECT
+       (SELECT count(*)::int FROM tickets WHERE org_id=$1 AND status='waiting') AS waiting,
+       (SELECT round(avg(extract(epoch FROM called_at - created_at)))::int FROM tickets
+         WHERE org_id=$1 AND called_at > now() - interval '2 hours' AND called_at > created_at) AS avg_wait`,
+    [orgId]
+  );
+
+  const open = openState(orgHours(org));
+  return {
+    ok: true,
+    orgId,
+    orgName: org?.name ?? null,
+    open: open.open,
+    closedMessage: { uz: closedMessage(open, "uz"), ru: closedMessage(open, "ru") },
+    counters: counters.map((c) => ({ counter: c.counter, name: c.name, displayNumber: c.displayNumber })),
+    nowServing,
+    recent: recent.rows.map((r) => ({
+      id: String(r.id),
+      displayNumber: label(r.service_id, r.number),
+      counter: r.counter_no ?? null,
+      counterName: r.counter_name ?? null,
+      calledAt: r.called_at,
+    })),
+    waiting: safeInt(w.rows[0]?.waiting, 0),
+    avgWaitSec: w.rows[0]?.avg_wait ?? null,
+    time: new Date().toISOString(),
+  };
+}
+
+const publishTimers = new Map();
+
+// bir nechta ketma-ket o'zgarishni bitta push'ga yig'amiz
+function publishQueue(orgId) {
+  if (!orgId || publishTimers.has(orgId)) return;
+  publishTimers.set(
+    orgId,
+    setTimeout(() => {
+      publishTimers.delete(orgId);
+      flushQueue(orgId).catch((e) => console.error("publishQueue error:", e?.message || e));
+    }, 150)
+  );
+}
+
+// SSE ticket kanallariga oxirgi yuborilgan to'liq ko'rinish (key -> view).
+// Ticket qatori o'zgarmagan bo'lsa flushQueue faqat navbatga bog'liq maydonlarni yangilaydi.
+const ticketViews = new Map();
+
+// xizmat bo'yicha bir marta: navbat holati, waiting tartibi, ETA modeli
+function serviceQueueCache(orgId) {
+  const cache = new Map();
+  return (serviceId) => {
+    if (!cache.has(serviceId)) {
+      cache.set(
+        serviceId,
+        Promise.all([
+          readQueueState(pool, orgId, serviceId),
+          waitingPositions(pool, orgId, serviceId),
+          serviceEtaModel(orgId, serviceId),
+        ]).then(([state, positions, etaModel]) => ({ ...state, positions, etaModel }))
+      );
+    }
+    return cache.get(serviceId);
+  };
+}
+
+// oldingi ko'rinish + yangi navbat holati (ticket qatori o'sha-o'sha)
+function refreshTicketView(prev, row, q) {
+  const nowServing = q.currentNumber + 1;
+  const prefix = serviceMapOf(row.org_id).get(row.service_id)?.prefix;
+  const remaining = remainingOf(q.positions, row, nowServing);
+  const { avgServiceSec, eta } = etaOf(q.etaModel, remaining);
+  return {
+    ...prev,
+    nowServing,
+    nowServingLabel: ticketLabel(prefix, nowServing),
+    lastNumber: Math.max(0, q.nextNumber - 1),
+    avgServiceSec: avgServiceSec ?? null,
+    ticket: {
+      ...prev.ticket,
+      currentNumber: q.currentNumber,
+      remaining,
+      etaMinutes: eta ? eta.likelyMinutes : null,
+      eta,
+      grace: ticketGraceView(row, nowServing),
+    },
+  };
+}
+
+async function flushQueue(orgId) {
+  for (const key of sseKeys(`org:${orgId}:`)) {
+    const serviceId = key.slice(`org:${orgId}:`.length);
+    sseBroadcast(key, "queue", await buildQueueSnapshot(orgId, serviceId));
+  }
+
+  const prefix = `ticket:${orgId}:`;
+  const keys = sseKeys(prefix);
+  for (const key of ticketViews.keys()) if (key.startsWith(prefix) && !keys.includes(key)) ticketViews.delete(key);
+  if (keys.length) {
+    const r = await pool.query(
+      `SELECT id, org_id, service_id, number, status, updated_at, recalled_at, front_at, priority,
+              missed_at, missed_serving, self_returns
+       FROM tickets WHERE id = ANY($1::uuid[])`,
+      [keys.map((k) => k.slice(prefix.length))]
+    );
+    const queueOf = serviceQueueCache(orgId);
+    for (const row of r.rows) {
+      const key = `${prefix}${row.id}`;
+      const prev = ticketViews.get(key);
+      const q = await queueOf(row.service_id);
+      // holat o'zgargan (yoki avtomatik o'zgarishi kerak) — to'liq ko'rinish qayta quriladi
+      const view =
+        prev && new Date(prev.ticket.updatedAt).getTime() === row.updated_at.getTime() && !autoUpdateDue(row, q.currentNumber + 1)
+          ? refreshTicketView(prev, row, q)
+          : await buildTicketView(row.id, { withQr: false });
+      if (!view) continue;
+      ticketViews.set(key, view);
+      sseBroadcast(key, "ticket", view);
+    }
+  }
+  if (sseKeys(`board:${orgId}`).includes(`board:${orgId}`)) {
+    sseBroadcast(`board:${orgId}`, "board", await buildBoard(orgId));
+  }
+}
+
+app.get("/api/stream", async (req, res) => {
+  try {
+    const ticketId = safeStr(req.query.ticketId, "").trim();
+
+    if (ticketId) {
+      if (!UUID_RE.test(ticketId)) return res.status(400).json({ ok: false, error: "ticketId noto‘g‘ri" });
+      const view = await buildTicketView(ticketId, { withQr: false });
+      if (!view) return res.status(404).json({ ok: false, error: "Ticket topilmadi" });
+
+      ticketViews.set(`ticket:${view.ticket.orgId}:${view.ticketId}`, view);
+      sseOpen(req, res, `ticket:${view.ticket.orgId}:${view.ticketId}`);
+      sseSend(res, "ticket", view);
+      return;
+    }
+
+    const orgId = safeStr(req.query.orgId, "").trim();
+    const serviceId = safeStr(req.query.serviceId, "").trim();
+    if (!orgId) return res.status(400).json({ ok: false, error: "orgId yoki ticketId kerak" });
+    // snapshot ensureOrgState orqali qator yaratadi — faqat mavjud muassasa/xizmat uchun
+    if (!validateOrgId(orgId)) return res.status(404).json({ ok: false, error: "Muassasa topilmadi" });
+    if (serviceId && !findService(findOrg(orgId), serviceId)) {
+      return res.status(404).json({ ok: false, error: "Xizmat topilmadi" });
+    }
+
+    if (req.query.board) {
+      const board = await buildBoard(orgId);
+      sseOpen(req, res, `board:${orgId}`);
+      sseSend(res, "board", board);
+      return;
+    }
+
+    const snap = await buildQueueSnapshot(orgId, serviceId);
+    sseOpen(req, res, `org:${orgId}:${serviceId}`);
+    sseSend(res, "queue", snap);
+  } catch (e) {
+    console.error("GET /api/stream error:", e);
+    if (!res.headersSent) res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Zal ekrani uchun bir martalik holat (live: /api/stream?orgId=...&board=1)
+app.get("/api/board", async (req, res) => {
+  try {
+    const orgId = safeStr(req.query.orgId, "").trim();
+    if (!validateOrgId(orgId)) return res.status(404).json({ ok: false, error: "Muassasa topilmadi" });
+    res.json(await buildBoard(orgId));
+  } catch (e) {
+    console.error("GET /api/board error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// cancel: { ticketId } yoki { orgId, serviceId, number } + ticket token
 app.post("/api/cancel", async (req, res) => {
   try {
-    const { orgId, number } = req.body || {};
+    const { ticketId, orgId, serviceId = "", number } = req.body || {};
+    const id = safeStr(ticketId, "").trim();
     const org = safeStr(orgId, "").trim();
+    const svc = safeStr(serviceId, "").trim();
     const num = safeInt(number, 0);
 
-    if (!org || !num) return res.status(400).json({ ok: false, error: "orgId va number kerak" });
+    if (!id && (!org || !num)) return res.status(400).json({ ok: false, error: "ticketId yoki orgId va number kerak" });
+    if (id && !UUID_RE.test(id)) return res.status(400).json({ ok: false, error: "ticketId noto‘g‘ri" });
+    if (!ticketTokenOf(req) && !isInternal(req)) return res.status(401).json({ ok: false, error: "Ticket tokeni kerak" });
 
-    const r = await pool.query(
-      `UPDATE tickets
-       SET status='cancelled', updated_at=now()
-       WHERE org_id=$1 AND number=$2 AND status IN ('waiting','missed')
-       RETURNING id`,
-      [org, num]
+    const t = await pool.query(
+      id
+        ? `SELECT id, org_id, token_hash, telegram_user_id FROM tickets WHERE id=$1`
+        : `SELECT id, org_id, token_hash, telegram_user_id FROM tickets
+           WHERE org_id=$1 AND service_id=$2 AND number=$3 AND status IN ('waiting','called','missed')
+           ORDER BY created_at DESC LIMIT 1`,
+      id ? [id] : [org, svc, num]
     );
+    if (!t.rowCount) return res.status(404).json({ ok: false, error: "Ticket topilmadi" });
+    if (!ticketOwnerOk(req, t.rows[0])) {
+      return res.status(403).json({ ok: false, error: "Ticket tokeni noto‘g‘ri" });
+    }
+
+    const client = await pool.connect();
+    let r;
+    try {
+      await client.query("BEGIN");
+      // admin/next bilan bir xil org lock: oyna shu ticketni chaqirayotgan paytda bo'shatib yubormaylik
+      await client.query(`SELECT 1 FROM org_state WHERE org_id=$1 FOR UPDATE`, [t.rows[0].org_id]);
+      r = await client.query(
+        `UPDATE tickets t
+         SET status='cancelled', cancel_reason='user', updated_at=now()
+         FROM (SELECT id, status FROM tickets WHERE id=$1 FOR UPDATE) prev
+         WHERE t.id=prev.id AND t.status IN ('waiting','called','missed')
+         RETURNING t.id, t.org_id, prev.status AS from_status`,
+        [t.rows[0].id]
+      );
+
+      if (r.rowCount) {
+        await recordEvent(client, {
+          ticketId: r.rows[0].id,
+          orgId: r.rows[0].org_id,
+          action: "cancel",
+          from: r.rows[0].from_status,
+          to: "cancelled",
+          actor: actorOf(req),
+          source: sourceOf(req),
+        });
+        await releaseCounter(client, r.rows[0].org_id, r.rows[0].id);
+        await notifyQueueProgress(client, r.rows[0].org_id);
+      }
+      await client.query("COMMIT");
+    } catch (e) {
+      await client.query("ROLLBACK");
+      throw e;
+    } finally {
+      client.release();
+    }
+    if (r.rowCount) publishQueue(r.rows[0].org_id);
 
     res.json({ ok: true, cancelled: !!r.rowCount });
   } catch (e) {
@@ -588,18 +1723,47 @@ app.post("/api/cancel", async (req, res) => {
   }
 });
 
+// BOT: Telegram foydalanuvchisining faol ticketlari (/mytickets). Faqat ichki kalit bilan.
+app.get("/api/tg/tickets", requireInternal, async (req, res) => {
+  try {
+    const tg = safeStr(req.query.telegramUserId, "").trim();
+    if (!/^\d{1,20}$/.test(tg)) return res.status(400).json({ ok: false, error: "telegramUserId kerak" });
+
+    const r = await pool.query(
+      `SELECT id FROM tickets
+       WHERE telegram_user_id=$1 AND status IN ('waiting','called','missed')
+       ORDER BY created_at
+       LIMIT 20`,
+      [tg]
+    );
+
+    const tickets = [];
+    for (const row of r.rows) {
+      const view = await buildTicketView(row.id, { withQr: false });
+      if (view) tickets.push(view);
+    }
+    res.json({ ok: true, tickets });
+  } catch (e) {
+    console.error("GET /api/tg/tickets error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
 // USER: served
 app.post("/api/ticket/served", async (req, res) => {
   try {
-    const { ticketId } = req.body || {};
+    const ticketId = safeStr(req.body?.ticketId, "").trim();
     if (!ticketId) return res.status(400).json({ ok: false, error: "ticketId kerak" });
+    if (!UUID_RE.test(ticketId)) return res.status(400).json({ ok: false, error: "ticketId noto‘g‘ri" });
+    const token = ticketTokenOf(req);
+    if (!token) return res.status(401).json({ ok: false, error: "Ticket tokeni kerak" });
 
     const client = await pool.connect();
     try {
       await client.query("BEGIN");
 
       const t = await client.query(
-        `SELECT id, org_id, number, status
+        `SELECT id, org_id, service_id, number, status, token_hash
          FROM tickets
          WHERE id=$1
          FOR UPDATE`,
@@ -613,6 +1777,11 @@ app.post("/api/ticket/served", async (req, res) => {
 
       const ticket = t.rows[0];
 
+      if (!ticketTokenOk(ticket, token)) {
+        await client.query("ROLLBACK");
+        return res.status(403).json({ ok: false, error: "Ticket tokeni noto‘g‘ri" });
+      }
+
       if (ticket.status !== "served") {
         await client.query(
           `UPDATE tickets
@@ -622,36 +1791,41 @@ app.post("/api/ticket/served", async (req, res) => {
            WHERE id=$1`,
           [ticketId]
         );
+        await recordEvent(client, {
+          ticketId: ticket.id,
+          orgId: ticket.org_id,
+          action: "serve",
+          from: ticket.status,
+          to: "served",
+          actor: actorOf(req),
+          source: sourceOf(req),
+        });
       }
 
-      const st = await client.query(
-        `SELECT current_number, next_number
-         FROM org_state
-         WHERE org_id=$1
-         FOR UPDATE`,
-        [ticket.org_id]
-      );
+      await releaseCounter(client, ticket.org_id, ticket.id);
 
-      let currentNumber = safeInt(st.rows[0]?.current_number, 0);
-      const nextNumber = safeInt(st.rows[0]?.next_number, 1);
+      const qs = await readQueueState(client, ticket.org_id, ticket.service_id, { lock: true });
+      let currentNumber = qs.currentNumber;
+      const nextNumber = qs.nextNumber;
 
       const nowServing = currentNumber + 1;
 
       if (ticket.number === nowServing) {
         await client.query(
-          `UPDATE org_state
+          `UPDATE queue_state
            SET current_number=current_number+1,
                updated_at=now()
-           WHERE org_id=$1`,
-          [ticket.org_id]
+           WHERE org_id=$1 AND service_id=$2`,
+          [ticket.org_id, ticket.service_id]
         );
         currentNumber++;
       }
 
-      await client.query("COMMIT");
+      // 🔔 notifications (outbox — shu tranzaksiyada)
+      await notifyQueueProgress(client, ticket.org_id);
 
-      // 🔔 notifications
-      notifyQueueProgress(ticket.org_id);
+      await client.query("COMMIT");
+      publishQueue(ticket.org_id);
 
       return res.json({
         ok: true,
@@ -672,6 +1846,120 @@ app.post("/api/ticket/served", async (req, res) => {
   }
 });
 
+// USER: "Qaytdim" — o'tkazib yuborilgan ticketni imtiyoz oynasi ichida navbatga qaytarish
+// { ticketId } + ticket token (yoki bot: ichki kalit + telegramUserId)
+app.post("/api/ticket/back", async (req, res) => {
+  try {
+    const id = safeStr(req.body?.ticketId, "").trim();
+    if (!id) return res.status(400).json({ ok: false, error: "ticketId kerak" });
+    if (!UUID_RE.test(id)) return res.status(400).json({ ok: false, error: "ticketId noto‘g‘ri" });
+    if (!ticketTokenOf(req) && !isInternal(req)) return res.status(401).json({ ok: false, error: "Ticket tokeni kerak" });
+
+    const t = await pool.query(`SELECT id, token_hash, telegram_user_id FROM tickets WHERE id=$1`, [id]);
+    if (!t.rowCount) return res.status(404).json({ ok: false, error: "Ticket topilmadi" });
+    if (!ticketOwnerOk(req, t.rows[0])) {
+      return res.status(403).json({ ok: false, error: "Ticket tokeni noto‘g‘ri" });
+    }
+
+    const r = await recallTicket(id, { self: true, actor: actorOf(req), source: sourceOf(req) });
+    if (r.error) return res.status(r.status).json({ ok: false, code: r.code, error: r.error });
+
+    res.json({ ok: true, back: true, ticket: r.ticket });
+  } catch (e) {
+    console.error("POST /api/ticket/back error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// =======================
+// WEB PUSH: brauzer obunasi ticketga bog'lanadi — sahifa yopiq bo'lsa ham "N ta qoldi / navbatingiz keldi"
+// GET  /api/push/key                                  -> { publicKey } (null = push o'chirilgan)
+// POST /api/push/subscribe   { ticketId, subscription } + ticket token
+// POST /api/push/unsubscribe { ticketId, endpoint }     + ticket token
+// =======================
+const MAX_PUSH_PER_TICKET = 5;
+
+app.get("/api/push/key", (req, res) => {
+  res.json({ ok: true, publicKey: pushPublicKey() });
+});
+
+async function pushTicketOf(req, res) {
+  const id = safeStr(req.body?.ticketId, "").trim();
+  if (!UUID_RE.test(id)) {
+    res.status(400).json({ ok: false, error: "ticketId kerak" });
+    return null;
+  }
+  if (!ticketTokenOf(req)) {
+    res.status(401).json({ ok: false, error: "Ticket tokeni kerak" });
+    return null;
+  }
+  const t = await pool.query(`SELECT id, status, token_hash FROM tickets WHERE id=$1`, [id]);
+  if (!t.rowCount) {
+    res.status(404).json({ ok: false, error: "Ticket topilmadi" });
+    return null;
+  }
+  if (!ticketTokenOk(t.rows[0], ticketTokenOf(req))) {
+    res.status(403).json({ ok: false, error: "Ticket tokeni noto‘g‘ri" });
+    return null;
+  }
+  return t.rows[0];
+}
+
+app.post("/api/push/subscribe", async (req, res) => {
+  try {
+    if (!pushPublicKey()) return res.status(503).json({ ok: false, code: "push_disabled", error: "Web Push sozlanmagan" });
+
+    const sub = normalizeSubscription(req.body?.subscription);
+    if (sub.error) return res.status(400).json({ ok: false, error: sub.error });
+
+    const ticket = await pushTicketOf(req, res);
+    if (!ticket) return;
+    if (!["waiting", "called", "missed"].includes(ticket.status)) {
+      return res.status(409).json({ ok: false, code: "not_active", error: "Ticket faol emas" });
+    }
+
+    const { endpoint, p256dh, auth } = sub.value;
+    await pool.query(
+      `INSERT INTO push_subscriptions (ticket_id, endpoint, p256dh, auth)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (ticket_id, endpoint) DO UPDATE SET p256dh=EXCLUDED.p256dh, auth=EXCLUDED.auth`,
+      [ticket.id, endpoint, p256dh, auth]
+    );
+    // bir ticketga ko'p qurilma: eng eskilari tushib qoladi
+    await pool.query(
+      `DELETE FROM push_subscriptions
+       WHERE ticket_id=$1 AND id NOT IN (
+         SELECT id FROM push_subscriptions WHERE ticket_id=$1 ORDER BY id DESC LIMIT $2
+       )`,
+      [ticket.id, MAX_PUSH_PER_TICKET]
+    );
+
+    res.json({ ok: true, subscribed: true });
+  } catch (e) {
+    console.error("POST /api/push/subscribe error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.post("/api/push/unsubscribe", async (req, res) => {
+  try {
+    const endpoint = safeStr(req.body?.endpoint, "").trim();
+    if (!endpoint) return res.status(400).json({ ok: false, error: "endpoint kerak" });
+
+    const ticket = await pushTicketOf(req, res);
+    if (!ticket) return;
+
+    const r = await pool.query(
+      `DELETE FROM push_subscriptions WHERE ticket_id=$1 AND endpoint=$2`,
+      [ticket.id, endpoint]
+    );
+    res.json({ ok: true, unsubscribed: r.rowCount > 0 });
+  } catch (e) {
+    console.error("POST /api/push/unsubscribe error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
 // =======================
 // ADMIN: queue snapshot
 // GET /api/admin/queue?orgId=xxx
@@ -680,43 +1968,73 @@ app.get("/api/admin/queue", requireAdmin, async (req, res) => {
   try {
     const orgId = safeStr(req.query.orgId, "").trim();
     if (!orgId) return res.status(400).json({ ok: false, error: "orgId kerak" });
+    if (denyOrg(req, res, orgId)) return;
+
+    const serviceMap = serviceMapOf(orgId);
+    const configured = [...serviceMap.values()].filter((x) => x.id);
+    const serviceList = configured.length ? configured : [DEFAULT_SERVICE];
+
+    const services = [];
+    for (const svc of serviceList) {
+      await ensureOrgState(orgId, svc.id);
+      const { currentNumber, nextNumber } = await readQueueState(pool, orgId, svc.id);
+      services.push({
+        id: svc.id,
+        prefix: svc.prefix,
+        name: svc.name,
+        nowServing: currentNumber + 1,
+        lastNumber: Math.max(0, nextNumber - 1),
+        avgServiceSec: (await computeAvgServiceSec(orgId, svc.id)) ?? null,
+      });
+    }
 
-    await ensureOrgState(orgId);
-
-    const st = await pool.query(
-      `SELECT current_number, next_number FROM org_state WHERE org_id=$1`,
-      [orgId]
-    );
-
-    const currentNumber = safeInt(st.rows[0]?.current_number, 0);
-    const nextNumber = safeInt(st.rows[0]?.next_number, 1);
-
-    const nowServing = currentNumber + 1;
-    const lastNumber = Math.max(0, nextNumber - 1);
-    const avgServiceSec = await computeAvgServiceSec(orgId);
+    // umumiy KPI: bitta xizmat bo'lsa o'shaniki, aks holda org bo'yicha o'rtacha
+    const main = services[0];
+    const nowServing = main.nowServing;
+    const lastNumber = main.lastNumber;
+    const avgServiceSec = services.length === 1 ? main.avgServiceSec : await computeAvgServiceSec(orgId);
 
     const t = await pool.query(
-      `SELECT id, org_id, number, status, created_at, full_name
+      `SELECT id, org_id, service_id, number, status, created_at, full_name, counter_no, called_at, recalled_at,
+              priority, priority_reason
        FROM tickets
-       WHERE org_id=$1 AND status IN ('waiting','missed')
-       ORDER BY number ASC
+       WHERE org_id=$1 AND status IN ('waiting','called','missed')
+       ORDER BY service_id ASC, number ASC
        LIMIT 500`,
       [orgId]
     );
 
+    // chaqirilish tartibidagi o'rin (imtiyozli / qayta tiklanganlar hisobga olinadi)
+    const positions = new Map();
+    for (const svc of services) positions.set(svc.id, await waitingPositions(pool, orgId, svc.id));
+
+    const counters = await listCounters(orgId);
+    const open = openState(orgHours(findOrg(orgId)));
+
     return res.json({
       ok: true,
       orgId,
       nowServing,
       lastNumber,
       avgServiceSec: avgServiceSec ?? null,
+      services,
+      counters,
+      hours: { open: open.open, reason: open.reason, opensAt: open.opensAt, closesAt: open.closesAt, message: closedMessage(open) },
       tickets: t.rows.map(r => ({
         id: String(r.id),
         orgId: r.org_id,
+        serviceId: r.service_id,
         number: safeInt(r.number, 0),
+        displayNumber: ticketLabel(serviceMap.get(r.service_id)?.prefix, r.number),
         status: r.status,
         createdAt: r.created_at,
-        fullName: r.full_name
+        fullName: r.full_name,
+        counter: r.counter_no ?? null,
+        calledAt: r.called_at ?? null,
+        recalledAt: r.recalled_at ?? null,
+        priority: !!r.priority,
+        priorityReason: r.priority_reason ?? null,
+        position: r.status === "waiting" ? positions.get(r.service_id)?.get(String(r.id)) ?? null : null,
       }))
     });
   } catch (e) {
@@ -726,119 +2044,399 @@ app.get("/api/admin/queue", requireAdmin, async (req, res) => {
 });
 
 // =======================
-// ADMIN: delete one ticket (cancel)
-// POST /api/admin/delete { ticketId }
+// ADMIN: imtiyoz belgisi (faqat waiting ticket)
+// POST /api/admin/priority { orgId, ticketId, priority: true|false, reason }
 // =======================
-app.post("/api/admin/delete", requireAdmin, async (req, res) => {
+app.post("/api/admin/priority", requireAdmin, async (req, res) => {
   try {
-    const { ticketId } = req.body || {};
+    const { orgId, ticketId } = req.body || {};
+    const org = safeStr(orgId, "").trim();
     const id = safeStr(ticketId, "").trim();
+    if (!org) return res.status(400).json({ ok: false, error: "orgId kerak" });
+    if (denyOrg(req, res, org)) return;
     if (!id) return res.status(400).json({ ok: false, error: "ticketId kerak" });
+    if (!UUID_RE.test(id)) return res.status(400).json({ ok: false, error: "ticketId noto‘g‘ri" });
+    if (typeof req.body?.priority !== "boolean") return res.status(400).json({ ok: false, error: "priority true/false bo‘lsin" });
 
-    const r = await pool.query(
-      `UPDATE tickets
-       SET status='cancelled', updated_at=now()
-       WHERE id=$1 AND status IN ('waiting','missed')
-       RETURNING id, org_id, number, status`,
-      [id]
-    );
-
-    if (!r.rowCount) {
-      return res.json({ ok: true, changed: false, note: "ticket topilmadi yoki status mos emas" });
+    const priority = req.body.priority;
+    const reason = priority ? safeStr(req.body?.reason, "").trim() : null;
+    if (priority && !PRIORITY_REASONS.includes(reason)) {
+      return res.status(400).json({ ok: false, error: `reason: ${PRIORITY_REASONS.join(" | ")}` });
     }
 
-    return res.json({ ok: true, changed: true, ticket: r.rows[0] });
-  } catch (e) {
-    console.error("POST /api/admin/delete error:", e);
-    res.status(500).json({ ok: false, error: e.message });
-  }
-});
+    const client = await pool.connect();
+    let row = null;
+    try {
+      await client.query("BEGIN");
+      const t = await client.query(
+        `SELECT id, status, priority, priority_reason FROM tickets WHERE id=$1 AND org_id=$2 FOR UPDATE`,
+        [id, org]
+      );
+      if (!t.rowCount) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ ok: false, error: "Ticket topilmadi" });
+      }
+      if (t.rows[0].status !== "waiting") {
+        await client.query("ROLLBACK");
+        return res.status(409).json({ ok: false, code: "not_waiting", error: "Imtiyozni faqat kutayotgan (waiting) ticketga berish mumkin" });
+      }
 
-// =======================
-// ADMIN: delete ALL waiting/missed for org (cancel)
-// POST /api/admin/deleteAll { orgId }
-// =======================
-app.post("/api/admin/deleteAll", requireAdmin, async (req, res) => {
-  try {
-    const { orgId } = req.body || {};
-    const org = safeStr(orgId, "").trim();
-    if (!org) return res.status(400).json({ ok: false, error: "orgId kerak" });
+      const r = await client.query(
+        `UPDATE tickets SET priority=$2, priority_reason=$3, updated_at=now()
+         WHERE id=$1
+         RETURNING id, service_id, number, status, priority, priority_reason`,
+        [id, priority, reason]
+      );
+      row = r.rows[0];
+      await recordEvent(client, {
+        ticketId: id,
+        orgId: org,
+        action: "priority",
+        from: "waiting",
+        to: "waiting",
+        actor: actorOf(req),
+        source: sourceOf(req),
+        meta: { priority, reason, was: t.rows[0].priority ? t.rows[0].priority_reason : null },
+      });
+      await notifyQueueProgress(client, org);
+      await client.query("COMMIT");
+    } catch (e) {
+      await client.query("ROLLBACK");
+      throw e;
+    } finally {
+      client.release();
+    }
 
-    const r = await pool.query(
-      `UPDATE tickets
-       SET status='cancelled', updated_at=now()
-       WHERE org_id=$1 AND status IN ('waiting','missed')`,
-      [org]
-    );
+    publishQueue(org);
 
-    return res.json({ ok: true, cancelledCount: r.rowCount || 0 });
+    res.json({
+      ok: true,
+      ticket: {
+        id: String(row.id),
+        serviceId: row.service_id,
+        number: safeInt(row.number, 0),
+        displayNumber: ticketLabel(serviceMapOf(org).get(row.service_id)?.prefix, row.number),
+        status: row.status,
+        priority: row.priority,
+        priorityReason: row.priority_reason ?? null,
+      },
+    });
   } catch (e) {
-    console.error("POST /api/admin/deleteAll error:", e);
+    console.error("POST /api/admin/priority error:", e);
     res.status(500).json({ ok: false, error: e.message });
   }
 });
 
 // =======================
-// ADMIN: skip one ticket (mark missed, and if it is nowServing -> advance)
-// POST /api/admin/skip { orgId, ticketId }
+// ADMIN: transfer — ticketni boshqa xizmat yoki muassasa navbatiga ko'chirish (mijoz noto'g'ri oynaga kelganda)
+// POST /api/admin/transfer { orgId, ticketId, toOrgId?, toServiceId?, position: "front" | "back" }
+// Eski ticket -> cancelled (cancel_reason='transferred', transferred_to), yangisi waiting (transferred_from).
+// Token, Telegram bog'lanishi va imtiyoz saqlanadi — mijozning ochiq sahifasi/boti yangi ticketga o'tadi.
 // =======================
-app.post("/api/admin/skip", requireAdmin, async (req, res) => {
+const TRANSFER_POSITIONS = ["front", "back"];
+
+app.post("/api/admin/transfer", requireAdmin, async (req, res) => {
   try {
-    const { orgId, ticketId } = req.body || {};
+    const { orgId, ticketId, toOrgId, toServiceId, position = "back" } = req.body || {};
     const org = safeStr(orgId, "").trim();
     const id = safeStr(ticketId, "").trim();
-
     if (!org) return res.status(400).json({ ok: false, error: "orgId kerak" });
+    if (denyOrg(req, res, org)) return;
     if (!id) return res.status(400).json({ ok: false, error: "ticketId kerak" });
+    if (!UUID_RE.test(id)) return res.status(400).json({ ok: false, error: "ticketId noto‘g‘ri" });
+    if (!TRANSFER_POSITIONS.includes(position)) {
+      return res.status(400).json({ ok: false, error: `position: ${TRANSFER_POSITIONS.join(" | ")}` });
+    }
+
+    const target = safeStr(toOrgId, "").trim() || org;
+    if (!validateOrgId(target)) {
+      return res.status(400).json({ ok: false, error: "Noto‘g‘ri toOrgId (muassasa topilmadi yoki faol emas)" });
+    }
+    if (target !== org && denyOrg(req, res, target)) return;
 
-    await ensureOrgState(org);
+    const src = await pool.query(`SELECT service_id FROM tickets WHERE id=$1 AND org_id=$2`, [id, org]);
+    if (!src.rowCount) return res.status(404).json({ ok: false, error: "Ticket topilmadi" });
+
+    // toServiceId berilmasa: shu muassasada — o'sha xizmat, boshqa muassasada — standart ("")
+    const svcId = typeof toServiceId === "string" ? toServiceId.trim() : target === org ? src.rows[0].service_id : "";
+    const service = findService(findOrg(target), svcId);
+    if (!service) return res.status(400).json({ ok: false, error: "Noto‘g‘ri toServiceId (xizmat topilmadi)" });
+    if (target === org && service.id === src.rows[0].service_id) {
+      return res.status(400).json({ ok: false, error: "Ticket allaqachon shu navbatda" });
+    }
+
+    await ensureOrgState(target, service.id);
 
     const client = await pool.connect();
+    let from = null;
+    let moved = null;
+    let fromLabel = "";
     try {
       await client.query("BEGIN");
 
       const t = await client.query(
-        `SELECT id, org_id, number, status
-         FROM tickets
-         WHERE id=$1 AND org_id=$2
-         FOR UPDATE`,
+        `SELECT id, service_id, number, status FROM tickets WHERE id=$1 AND org_id=$2 FOR UPDATE`,
         [id, org]
       );
-
-      if (!t.rowCount) {
+      from = t.rows[0];
+      if (!from || !["waiting", "called", "missed"].includes(from.status)) {
         await client.query("ROLLBACK");
-        return res.status(404).json({ ok: false, error: "Ticket topilmadi" });
+        return res.status(409).json({ ok: false, code: "not_active", error: "Faqat faol (waiting/called/missed) ticketni ko‘chirish mumkin" });
       }
 
-      const ticket = t.rows[0];
+      const { nextNumber, currentNumber } = await readQueueState(client, target, service.id, { lock: true });
+      const assignedNumber = Math.max(nextNumber, currentNumber + 1);
 
-      if (ticket.status === "waiting") {
-        await client.query(
-          `UPDATE tickets SET status='missed', updated_at=now()
-           WHERE id=$1`,
-          [id]
-        );
+      const ins = await client.query(
+        `INSERT INTO tickets (org_id, service_id, number, status, platform, user_id, full_name, telegram_chat_id, telegram_user_id,
+                              token_hash, client_ip, lang, priority, priority_reason, transferred_from, front_at)
+         SELECT $2, $3, $4, 'waiting', platform, user_id, full_name, telegram_chat_id, telegram_user_id,
+                token_hash, client_ip, lang, priority, priority_reason, id, CASE WHEN $5 THEN now() END
+         FROM tickets WHERE id=$1
+         RETURNING id, org_id, service_id, number, status, created_at`,
+        [id, target, service.id, assignedNumber, position === "front"]
+      );
+      moved = ins.rows[0];
+
+      await client.query(
+        `UPDATE queue_state SET next_number=$3, updated_at=now() WHERE org_id=$1 AND service_id=$2`,
+        [target, service.id, assignedNumber + 1]
+      );
+      await client.query(
+        `UPDATE tickets SET status='cancelled', cancel_reason='transferred', transferred_to=$2, counter_no=NULL, updated_at=now()
+         WHERE id=$1`,
+        [id, moved.id]
+      );
+      await releaseCounter(client, org, id);
+      // brauzer obunalari yangi ticketga o'tadi (ko'chirilgani haqidagi xabar ham push bilan boradi)
+      await client.query(`UPDATE push_subscriptions SET ticket_id=$2 WHERE ticket_id=$1`, [id, moved.id]);
+
+      const actor = actorOf(req);
+      const source = sourceOf(req);
+      await recordEvents(client, [
+        {
+          ticketId: id, orgId: org, action: "transfer", from: from.status, to: "cancelled", actor, source,
+          meta: { toTicketId: moved.id, toOrgId: target, toServiceId: service.id, position },
+        },
+        {
+          ticketId: moved.id, orgId: target, action: "transfer", from: null, to: "waiting", actor, source,
+          meta: { fromTicketId: id, fromOrgId: org, fromServiceId: from.service_id, position },
+        },
+      ]);
+
+      fromLabel = ticketLabel(serviceMapOf(org).get(from.service_id)?.prefix, from.number);
+      // avval ko'chirish xabari (u last_notified_remaining ni qo'yadi), keyin ikkala navbatdagi siljish
+      await notifyTicketTransferred(client, moved.id, fromLabel);
+      await notifyQueueProgress(client, org);
+      if (target !== org) await notifyQueueProgress(client, target);
+
+      await client.query("COMMIT");
+    } catch (e) {
+      await client.query("ROLLBACK");
+      throw e;
+    } finally {
+      client.release();
+    }
+
+    publishQueue(org);
+    if (target !== org) publishQueue(target);
+
+    const { currentNumber } = await readQueueState(pool, target, service.id);
+    const remaining = remainingOf(await waitingPositions(pool, target, service.id), moved, currentNumber + 1);
+
+    res.json({
+      ok: true,
+      from: { id: String(id), orgId: org, serviceId: from.service_id, displayNumber: fromLabel },
+      ticket: {
+        id: String(moved.id),
+        orgId: target,
+        serviceId: service.id,
+        number: safeInt(moved.number, 0),
+        displayNumber: ticketLabel(service.prefix, moved.number),
+        status: moved.status,
+        position,
+        remaining,
+      },
+    });
+  } catch (e) {
+    console.error("POST /api/admin/transfer error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// =======================
+// ADMIN: delete one ticket (cancel)
+// POST /api/admin/delete { ticketId }
+// =======================
+app.post("/api/admin/delete", requireAdmin, async (req, res) => {
+  try {
+    const { ticketId } = req.body || {};
+    const id = safeStr(ticketId, "").trim();
+    if (!id) return res.status(400).json({ ok: false, error: "ticketId kerak" });
+    if (!UUID_RE.test(id)) return res.status(400).json({ ok: false, error: "ticketId noto‘g‘ri" });
+
+    const t = await pool.query(`SELECT org_id FROM tickets WHERE id=$1`, [id]);
+    if (t.rowCount && denyOrg(req, res, t.rows[0].org_id)) return;
+
+    const client = await pool.connect();
+    let ticket = null;
+    try {
+      await client.query("BEGIN");
+      const r = await client.query(
+        `UPDATE tickets t
+         SET status='cancelled', updated_at=now()
+         FROM (SELECT id, status FROM tickets WHERE id=$1 FOR UPDATE) prev
+         WHERE t.id=prev.id AND t.status IN ('waiting','called','missed')
+         RETURNING t.id, t.org_id, t.number, t.status, prev.status AS from_status`,
+        [id]
+      );
+
+      if (!r.rowCount) {
+        await client.query("ROLLBACK");
+        return res.json({ ok: true, changed: false, note: "ticket topilmadi yoki status mos emas" });
       }
 
-      const st = await client.query(
-        `SELECT current_number FROM org_state WHERE org_id=$1 FOR UPDATE`,
+      const { from_status, ...row } = r.rows[0];
+      ticket = row;
+      await recordEvent(client, {
+        ticketId: ticket.id,
+        orgId: ticket.org_id,
+        action: "delete",
+        from: from_status,
+        to: "cancelled",
+        actor: actorOf(req),
+        source: sourceOf(req),
+      });
+      await releaseCounter(client, ticket.org_id, ticket.id);
+      await notifyTicketStatus(client, [ticket.id], "cancelled");
+      await notifyQueueProgress(client, ticket.org_id);
+      await client.query("COMMIT");
+    } catch (e) {
+      await client.query("ROLLBACK");
+      throw e;
+    } finally {
+      client.release();
+    }
+    publishQueue(ticket.org_id);
+
+    return res.json({ ok: true, changed: true, ticket });
+  } catch (e) {
+    console.error("POST /api/admin/delete error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// =======================
+// ADMIN: delete ALL waiting/missed for org (cancel)
+// POST /api/admin/deleteAll { orgId }
+// =======================
+app.post("/api/admin/deleteAll", requireAdmin, requireRole("org_admin"), async (req, res) => {
+  try {
+    const { orgId } = req.body || {};
+    const org = safeStr(orgId, "").trim();
+    if (!org) return res.status(400).json({ ok: false, error: "orgId kerak" });
+    if (denyOrg(req, res, org)) return;
+
+    const client = await pool.connect();
+    let r = null;
+    try {
+      await client.query("BEGIN");
+      r = await cancelActiveTickets(client, org);
+      await client.query(
+        `UPDATE org_counters SET ticket_id=NULL, updated_at=now() WHERE org_id=$1`,
         [org]
       );
-      const currentNumber = safeInt(st.rows[0]?.current_number, 0);
+      await recordBulkCancel(client, org, r.rows, { action: "deleteAll", actor: actorOf(req), source: sourceOf(req) });
+      await notifyTicketStatus(client, r.rows.map((x) => x.id), "cancelled");
+      await client.query("COMMIT");
+    } catch (e) {
+      await client.query("ROLLBACK");
+      throw e;
+    } finally {
+      client.release();
+    }
+    publishQueue(org);
+
+    return res.json({ ok: true, cancelledCount: r.rowCount || 0 });
+  } catch (e) {
+    console.error("POST /api/admin/deleteAll error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// =======================
+// ADMIN: skip one ticket (mark missed, and if it is nowServing -> advance)
+// POST /api/admin/skip { orgId, ticketId }
+// =======================
+app.post("/api/admin/skip", requireAdmin, async (req, res) => {
+  try {
+    const { orgId, ticketId } = req.body || {};
+    const org = safeStr(orgId, "").trim();
+    const id = safeStr(ticketId, "").trim();
+
+    if (!org) return res.status(400).json({ ok: false, error: "orgId kerak" });
+    if (denyOrg(req, res, org)) return;
+    if (!id) return res.status(400).json({ ok: false, error: "ticketId kerak" });
+    if (!UUID_RE.test(id)) return res.status(400).json({ ok: false, error: "ticketId noto‘g‘ri" });
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      const t = await client.query(
+        `SELECT id, org_id, service_id, number, status
+         FROM tickets
+         WHERE id=$1 AND org_id=$2
+         FOR UPDATE`,
+        [id, org]
+      );
+
+      if (!t.rowCount) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ ok: false, error: "Ticket topilmadi" });
+      }
+
+      const ticket = t.rows[0];
+      const becameMissed = ticket.status === "waiting" || ticket.status === "called";
+
+      const { currentNumber } = await readQueueState(client, org, ticket.service_id, { lock: true });
       const nowServing = currentNumber + 1;
 
+      // imtiyoz oynasi shu paytdan (o'tkazilgan paytdagi nowServing) hisoblanadi
+      if (becameMissed) {
+        await client.query(
+          `UPDATE tickets SET status='missed', missed_at=now(), missed_serving=$2, updated_at=now()
+           WHERE id=$1`,
+          [id, Math.max(nowServing, safeInt(ticket.number, 0))]
+        );
+        await recordEvent(client, {
+          ticketId: id,
+          orgId: org,
+          action: "skip",
+          from: ticket.status,
+          to: "missed",
+          actor: actorOf(req),
+          source: sourceOf(req),
+        });
+      }
+
+      await releaseCounter(client, org, id);
+
       if (safeInt(ticket.number, 0) === nowServing) {
         await client.query(
-          `UPDATE org_state
+          `UPDATE queue_state
            SET current_number=current_number+1, updated_at=now()
-           WHERE org_id=$1`,
-          [org]
+           WHERE org_id=$1 AND service_id=$2`,
+          [org, ticket.service_id]
         );
       }
 
+      // 🔔 notifications (outbox — shu tranzaksiyada)
+      if (becameMissed) await notifyTicketStatus(client, [id], "missed");
+      await notifyQueueProgress(client, org);
+
       await client.query("COMMIT");
-      // 🔔 notifications
-      notifyQueueProgress(org);
+      publishQueue(org);
       return res.json({ ok: true, skipped: true });
     } catch (e) {
       await client.query("ROLLBACK");
@@ -852,15 +2450,30 @@ app.post("/api/admin/skip", requireAdmin, async (req, res) => {
   }
 });
 
-// ADMIN: next (auto-served + notifications)
+// =======================
+// ADMIN: next (oyna bo'yicha)
+// POST /api/admin/next { orgId, counter }
+// Oynadagi joriy ticket -> served, keyin eng kichik waiting ticket shu oynaga chaqiriladi.
+// counter berilmasa 1-oyna (bitta oynali muassasalar uchun eski xulq).
+// Xizmatlar bo'lsa: oyna o'z xizmatlari (service_ids) ichidan eng oldin olingan ticketni chaqiradi;
+// serviceId berilsa faqat shu xizmatdan.
+// =======================
 app.post("/api/admin/next", requireAdmin, async (req, res) => {
   try {
-    const { orgId } = req.body || {};
+    const { orgId, counter, serviceId } = req.body || {};
     const org = safeStr(orgId, "").trim();
     if (!org) return res.status(400).json({ ok: false, error: "orgId kerak" });
+    if (denyOrg(req, res, org)) return;
+    const onlyService = typeof serviceId === "string" ? serviceId.trim() : null;
+
+    const counterNo = counter === undefined || counter === null || counter === "" ? 1 : safeInt(counter, 0);
+    if (counterNo < 1 || counterNo > MAX_COUNTERS) {
+      return res.status(400).json({ ok: false, error: `counter 1..${MAX_COUNTERS} oralig‘ida bo‘lsin` });
+    }
 
     const client = await pool.connect();
     let out = null;
+    let calledId = null;
 
     try {
       await client.query("BEGIN");
@@ -871,52 +2484,146 @@ app.post("/api/admin/next", requireAdmin, async (req, res) => {
         [org]
       );
 
-      const st = await client.query(
-        `SELECT current_number, next_number FROM org_state WHERE org_id=$1 FOR UPDATE`,
-        [org]
+      // org_state qatori org bo'yicha lock (oynalar parallel bosganda bitta ticket ikki marta chaqirilmasin)
+      const os = await client.query(`SELECT regular_since_priority FROM org_state WHERE org_id=$1 FOR UPDATE`, [org]);
+      const preferPrio = preferPriority(orgPriority(findOrg(org)), safeInt(os.rows[0]?.regular_since_priority, 0));
+
+      await client.query(
+        `INSERT INTO org_counters (org_id, counter_no) VALUES ($1,$2)
+         ON CONFLICT (org_id, counter_no) DO NOTHING`,
+        [org, counterNo]
+      );
+      const c = await client.query(
+        `SELECT ticket_id, active, service_ids FROM org_counters WHERE org_id=$1 AND counter_no=$2 FOR UPDATE`,
+        [org, counterNo]
       );
 
-      const currentNumber = safeInt(st.rows[0]?.current_number, 0);
-      const nextNumber = safeInt(st.rows[0]?.next_number, 1);
-      const nowServing = currentNumber + 1;
+      if (!c.rows[0]?.active) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({ ok: false, error: `${counterNo}-oyna faol emas` });
+      }
 
-      // ✅ If the current ticket exists and still waiting/missed -> mark as served automatically
-      const cur = await client.query(
-        `SELECT id FROM tickets
-         WHERE org_id=$1 AND number=$2 AND status IN ('waiting','missed')
-         ORDER BY created_at DESC
+      // ✅ Oynadagi joriy ticket hali yopilmagan bo'lsa -> served
+      let servedTicketId = null;
+      if (c.rows[0].ticket_id) {
+        const done = await client.query(
+          `UPDATE tickets t
+           SET status='served', served_at=now(), updated_at=now()
+           FROM (SELECT id, status FROM tickets WHERE id=$1 FOR UPDATE) prev
+           WHERE t.id=prev.id AND t.status IN ('waiting','called','missed')
+           RETURNING t.id, prev.status AS from_status`,
+          [c.rows[0].ticket_id]
+        );
+        if (done.rowCount) {
+          servedTicketId = String(done.rows[0].id);
+          await recordEvent(client, {
+            ticketId: servedTicketId,
+            orgId: org,
+            action: "serve",
+            from: done.rows[0].from_status,
+            to: "served",
+            actor: actorOf(req),
+            source: sourceOf(req),
+            meta: { counterNo },
+          });
+        }
+      }
+
+      // keyingi ticket: oyna xizmatlari ichida avval navbat boshiga qo'yilganlar (recall / transfer), keyin siyosat ruxsat bersa
+      // imtiyozli (priority.js), keyin eng oldin olingan waiting
+      const allowed = onlyService !== null ? [onlyService] : c.rows[0].service_ids || null;
+      const nx = await client.query(
+        `SELECT id, service_id, number, full_name, priority
+         FROM tickets
+         WHERE org_id=$1 AND status='waiting'
+           AND ($2::text[] IS NULL OR service_id = ANY($2::text[]))
+         ORDER BY COALESCE(recalled_at, front_at) ASC NULLS LAST, (CASE WHEN $3 AND priority THEN 0 ELSE 1 END), created_at ASC, number ASC
          LIMIT 1
          FOR UPDATE`,
-        [org, nowServing]
+        [org, allowed, preferPrio]
       );
 
-      if (cur.rowCount) {
+      let called = null;
+      let calledService = onlyService ?? "";
+      if (nx.rowCount) {
+        const row = nx.rows[0];
+        calledService = row.service_id;
         await client.query(
           `UPDATE tickets
-           SET status='served', served_at=now(), updated_at=now()
+           SET status='called', counter_no=$2, called_at=now(), updated_at=now()
            WHERE id=$1`,
-          [cur.rows[0].id]
+          [row.id, counterNo]
+        );
+        await recordEvent(client, {
+          ticketId: row.id,
+          orgId: org,
+          action: "call",
+          from: "waiting",
+          to: "called",
+          actor: actorOf(req),
+          source: sourceOf(req),
+          meta: { counterNo, ...(row.priority ? { priority: true } : {}) },
+        });
+        await client.query(
+          `INSERT INTO queue_state (org_id, service_id) VALUES ($1,$2)
+           ON CONFLICT (org_id, service_id) DO NOTHING`,
+          [org, row.service_id]
+        );
+        // imtiyozli ticket navbatdan oldin chaqiriladi: current_number undan kichik raqamli kutayotgan
+        // oddiy ticketdan o'tib ketmasin, aks holda ular "o'tib ketgan" (missed) bo'lib qoladi
+        await client.query(
+          `UPDATE queue_state
+           SET current_number=GREATEST(current_number, CASE WHEN $4 THEN LEAST($3, (
+                 SELECT min(number) - 1 FROM tickets
+                 WHERE org_id=$1 AND service_id=$2 AND status='waiting' AND NOT priority
+                   AND recalled_at IS NULL AND front_at IS NULL
+               )) ELSE $3 END),
+               updated_at=now()
+           WHERE org_id=$1 AND service_id=$2`,
+          [org, row.service_id, row.number, !!row.priority]
+        );
+        await client.query(
+          `UPDATE org_state
+           SET regular_since_priority = CASE WHEN $2 THEN 0 ELSE regular_since_priority + 1 END, updated_at=now()
+           WHERE org_id=$1`,
+          [org, !!row.priority]
         );
+        calledId = String(row.id);
+        called = {
+          id: calledId,
+          serviceId: row.service_id,
+          number: safeInt(row.number, 0),
+          displayNumber: ticketLabel(serviceMapOf(org).get(row.service_id)?.prefix, row.number),
+          fullName: row.full_name,
+          priority: !!row.priority,
+        };
       }
 
-      // advance queue
+      const { currentNumber, nextNumber } = await readQueueState(client, org, calledService);
+
       await client.query(
-        `UPDATE org_state SET current_number=current_number+1, updated_at=now() WHERE org_id=$1`,
-        [org]
+        `UPDATE org_counters SET ticket_id=$3, updated_at=now() WHERE org_id=$1 AND counter_no=$2`,
+        [org, counterNo, calledId]
       );
 
+      // 🔔 notifications (outbox — shu tranzaksiyada; worker yetkazadi, javobni kutdirmaydi)
+      if (calledId) await notifyTicketCalled(client, calledId);
+      await notifyQueueProgress(client, org);
+
       await client.query("COMMIT");
+      publishQueue(org);
 
       out = {
         ok: true,
-        currentNumber: currentNumber + 1,
-        nowServing: currentNumber + 2,
+        counter: counterNo,
+        servedTicketId,
+        called,
+        serviceId: calledService,
+        currentNumber,
+        nowServing: currentNumber + 1,
         lastNumber: Math.max(0, nextNumber - 1),
       };
 
-      // 🔔 notifications (async, doesn't block response)
-      notifyQueueProgress(org);
-
       return res.json(out);
     } catch (e) {
       await client.query("ROLLBACK");
@@ -930,47 +2637,1478 @@ app.post("/api/admin/next", requireAdmin, async (req, res) => {
   }
 });
 
+// =======================
+// ADMIN: callAgain — oynadagi chaqirilgan ticketni qayta chaqirish (mijoz kelmadi, yana bildirish)
+// POST /api/admin/callAgain { orgId, counter }
+// =======================
+app.post("/api/admin/callAgain", requireAdmin, async (req, res) => {
+  try {
+    const { orgId, counter } = req.body || {};
+    const org = safeStr(orgId, "").trim();
+    if (!org) return res.status(400).json({ ok: false, error: "orgId kerak" });
+    if (denyOrg(req, res, org)) return;
+
+    const counterNo = counter === undefined || counter === null || counter === "" ? 1 : safeInt(counter, 0);
+    if (counterNo < 1 || counterNo > MAX_COUNTERS) {
+      return res.status(400).json({ ok: false, error: `counter 1..${MAX_COUNTERS} oralig‘ida bo‘lsin` });
+    }
 
+    const client = await pool.connect();
+    let row = null;
+    try {
+      await client.query("BEGIN");
+      const r = await client.query(
+        `UPDATE tickets t SET called_at=now(), updated_at=now()
+         FROM org_counters c
+         WHERE c.org_id=$1 AND c.counter_no=$2 AND t.id=c.ticket_id AND t.status='called'
+         RETURNING t.id, t.service_id, t.number, t.full_name`,
+        [org, counterNo]
+      );
+      if (!r.rowCount) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({ ok: false, error: `${counterNo}-oynada chaqirilgan ticket yo‘q` });
+      }
 
-// ADMIN: reset
-app.post("/api/admin/reset", requireAdmin, async (req, res) => {
+      row = r.rows[0];
+      await recordEvent(client, {
+        ticketId: row.id,
+        orgId: org,
+        action: "callAgain",
+        from: "called",
+        to: "called",
+        actor: actorOf(req),
+        source: sourceOf(req),
+        meta: { counterNo },
+      });
+      await notifyTicketCalled(client, String(row.id));
+      await client.query("COMMIT");
+    } catch (e) {
+      await client.query("ROLLBACK");
+      throw e;
+    } finally {
+      client.release();
+    }
+    publishQueue(org);
+
+    res.json({
+      ok: true,
+      counter: counterNo,
+      called: {
+        id: String(row.id),
+        serviceId: row.service_id,
+        number: safeInt(row.number, 0),
+        displayNumber: ticketLabel(serviceMapOf(org).get(row.service_id)?.prefix, row.number),
+        fullName: row.full_name,
+      },
+    });
+  } catch (e) {
+    console.error("POST /api/admin/callAgain error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// =======================
+// ADMIN: recall — o'tkazib yuborilgan (missed) ticketni navbatga qaytarish
+// POST /api/admin/recall { orgId, ticketId }
+// Ticket raqami o'zgarmaydi, hozir xizmat ko'rsatilayotgan raqamdan keyin birinchi chaqiriladi.
+// =======================
+app.post("/api/admin/recall", requireAdmin, async (req, res) => {
   try {
-    const { orgId } = req.body || {};
+    const { orgId, ticketId } = req.body || {};
     const org = safeStr(orgId, "").trim();
+    const id = safeStr(ticketId, "").trim();
     if (!org) return res.status(400).json({ ok: false, error: "orgId kerak" });
+    if (denyOrg(req, res, org)) return;
+    if (!id) return res.status(400).json({ ok: false, error: "ticketId kerak" });
+    if (!UUID_RE.test(id)) return res.status(400).json({ ok: false, error: "ticketId noto‘g‘ri" });
 
-    await pool.query(
-      `UPDATE org_state SET current_number=0, next_number=1, updated_at=now() WHERE org_id=$1`,
-      [org]
-    );
-    await pool.query(
-      `UPDATE tickets SET status='cancelled', updated_at=now() WHERE org_id=$1 AND status IN ('waiting','missed')`,
-      [org]
-    );
+    const r = await recallTicket(id, { orgId: org, actor: actorOf(req), source: sourceOf(req) });
+    if (r.error) return res.status(r.status).json({ ok: false, code: r.code, error: r.error });
 
-    res.json({ ok: true, reset: true });
+    res.json({
+      ok: true,
+      recalled: {
+        id: String(r.ticket.id),
+        serviceId: r.ticket.service_id,
+        number: safeInt(r.ticket.number, 0),
+        displayNumber: ticketLabel(serviceMapOf(org).get(r.ticket.service_id)?.prefix, r.ticket.number),
+        recalledAt: r.ticket.recalled_at,
+      },
+    });
   } catch (e) {
-    console.error("POST /api/admin/reset error:", e);
+    console.error("POST /api/admin/recall error:", e);
     res.status(500).json({ ok: false, error: e.message });
   }
 });
 
-// Fallback
-app.get("*", (req, res) => {
-  res.sendFile(path.join(__dirname, "public", "index.html"));
+// =======================
+// ADMIN: counters (oynalar)
+// GET  /api/admin/counters?orgId=xxx
+// POST /api/admin/counters { orgId, counter, name?, active?, services? }
+// =======================
+app.get("/api/admin/counters", requireAdmin, async (req, res) => {
+  try {
+    const orgId = safeStr(req.query.orgId, "").trim();
+    if (!orgId) return res.status(400).json({ ok: false, error: "orgId kerak" });
+    if (denyOrg(req, res, orgId)) return;
+
+    res.json({ ok: true, orgId, counters: await listCounters(orgId) });
+  } catch (e) {
+    console.error("GET /api/admin/counters error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
 });
 
-// Boot
-(async function start() {
+app.post("/api/admin/counters", requireAdmin, requireRole("org_admin"), async (req, res) => {
+  try {
+    const { orgId, counter, name, active, services } = req.body || {};
+    const org = safeStr(orgId, "").trim();
+    const counterNo = safeInt(counter, 0);
+
+    if (!org) return res.status(400).json({ ok: false, error: "orgId kerak" });
+    if (denyOrg(req, res, org)) return;
+    if (counterNo < 1 || counterNo > MAX_COUNTERS) {
+      return res.status(400).json({ ok: false, error: `counter 1..${MAX_COUNTERS} oralig‘ida bo‘lsin` });
+    }
+
+    const nm = name === undefined ? null : safeStr(name, "").trim().slice(0, 40);
+    const act = typeof active === "boolean" ? active : null;
+
+    // services: ["A","B"] -> faqat shu xizmatlar; [] yoki null -> hammasi; berilmasa o'zgarmaydi
+    let svcIds;
+    if (services === undefined) svcIds = undefined;
+    else if (Array.isArray(services) && services.length) {
+      const known = serviceMapOf(org);
+      svcIds = [...new Set(services.map((x) => safeStr(String(x), "").trim()))];
+      const bad = svcIds.filter((x) => !known.has(x));
+      if (bad.length) return res.status(400).json({ ok: false, error: `Noma’lum xizmat: ${bad.join(", ")}` });
+    } else svcIds = null;
+
+    await pool.query(
+      `INSERT INTO org_counters (org_id, counter_no, name, active, service_ids)
+       VALUES ($1,$2,NULLIF($3,''),COALESCE($4,true),$5::text[])
+       ON CONFLICT (org_id, counter_no) DO UPDATE
+       SET name=CASE WHEN $3::text IS NULL THEN org_counters.name ELSE NULLIF($3,'') END,
+           active=COALESCE($4, org_counters.active),
+           service_ids=CASE WHEN $6 THEN $5::text[] ELSE org_counters.service_ids END,
+           updated_at=now()`,
+      [org, counterNo, nm, act, svcIds ?? null, svcIds !== undefined]
+    );
+
+    publishQueue(org);
+    res.json({ ok: true, orgId: org, counters: await listCounters(org) });
+  } catch (e) {
+    console.error("POST /api/admin/counters error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ADMIN: reset
+app.post("/api/admin/reset", requireAdmin, requireRole("org_admin"), async (req, res) => {
   try {
-    await initDb();
+    const { orgId } = req.body || {};
+    const org = safeStr(orgId, "").trim();
+    if (!org) return res.status(400).json({ ok: false, error: "orgId kerak" });
+    if (denyOrg(req, res, org)) return;
+
+    const client = await pool.connect();
+    let r = null;
+    try {
+      await client.query("BEGIN");
+      await client.query(
+        `UPDATE queue_state SET current_number=0, next_number=1, updated_at=now() WHERE org_id=$1`,
+        [org]
+      );
+      r = await cancelActiveTickets(client, org);
+      await client.query(
+        `UPDATE org_counters SET ticket_id=NULL, updated_at=now() WHERE org_id=$1`,
+        [org]
+      );
+      // imtiyoz siyosati hisoblagichi ham yangi navbatdan boshlanadi
+      await client.query(`UPDATE org_state SET regular_since_priority=0, updated_at=now() WHERE org_id=$1`, [org]);
+      await recordBulkCancel(client, org, r.rows, { action: "reset", actor: actorOf(req), source: sourceOf(req) });
+      await notifyTicketStatus(client, r.rows.map((x) => x.id), "cancelled");
+      await client.query("COMMIT");
+    } catch (e) {
+      await client.query("ROLLBACK");
+      throw e;
+    } finally {
+      client.release();
+    }
+    publishQueue(org);
+
+    res.json({ ok: true, reset: true });
+  } catch (e) {
+    console.error("POST /api/admin/reset error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// =======================
+// OPERATOR AUTH
+// =======================
+app.post("/api/auth/login", async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    const u = safeStr(username, "").trim().toLowerCase();
+    const p = safeStr(password, "");
+    if (!u || !p) return res.status(400).json({ ok: false, error: "username va password kerak" });
+
+    const r = await pool.query(
+      `SELECT id, username, full_name, role, active, password_hash FROM operators WHERE username=$1`,
+      [u]
+    );
+    const row = r.rows[0];
+    const okPass = row ? await verifyPassword(p, row.password_hash) : false;
+    if (!row || !okPass || !row.active) {
+      return res.status(401).json({ ok: false, error: "Login yoki parol noto‘g‘ri" });
+    }
+
+    const token = newToken();
+    const s = await pool.query(
+      `INSERT INTO operator_sessions (token_hash, operator_id, expires_at)
+       VALUES ($1, $2, now() + make_interval(hours => $3))
+       RETURNING expires_at`,
+      [hashToken(token), row.id, SESSION_TTL_HOURS]
+    );
+    // eskirgan sessiyalarni shu yerning o'zida tozalab ketamiz
+    await pool.query(`DELETE FROM operator_sessions WHERE expires_at <= now()`);
+
+    res.json({
+      ok: true,
+      token,
+      expiresAt: s.rows[0].expires_at,
+      operator: publicOperator(row, await operatorOrgs(row.id)),
+    });
+  } catch (e) {
+    console.error("POST /api/auth/login error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.post("/api/auth/logout", requireAdmin, async (req, res) => {
+  try {
+    if (req.sessionTokenHash) {
+      await pool.query(`DELETE FROM operator_sessions WHERE token_hash=$1`, [req.sessionTokenHash]);
+    }
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("POST /api/auth/logout error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.get("/api/auth/me", requireAdmin, (req, res) => {
+  res.json({ ok: true, operator: req.operator });
+});
+
+// O'z parolini almashtirish (istalgan rol). Boshqa sessiyalar bekor qilinadi.
+app.post("/api/auth/password", requireAdmin, async (req, res) => {
+  try {
+    if (!req.operator.id) return res.status(400).json({ ok: false, error: "ADMIN_KEY bilan parol yo‘q" });
+
+    const { currentPassword, newPassword } = req.body || {};
+    const next = safeStr(newPassword, "");
+    if (next.length < MIN_PASSWORD) {
+      return res.status(400).json({ ok: false, error: `Parol kamida ${MIN_PASSWORD} belgi bo‘lsin` });
+    }
+
+    const r = await pool.query(`SELECT password_hash FROM operators WHERE id=$1`, [req.operator.id]);
+    if (!r.rowCount || !(await verifyPassword(safeStr(currentPassword, ""), r.rows[0].password_hash))) {
+      return res.status(401).json({ ok: false, error: "Joriy parol noto‘g‘ri" });
+    }
+
+    await pool.query(
+      `UPDATE operators SET password_hash=$2, updated_at=now() WHERE id=$1`,
+      [req.operator.id, await hashPassword(next)]
+    );
+    await pool.query(
+      `DELETE FROM operator_sessions WHERE operator_id=$1 AND token_hash<>$2`,
+      [req.operator.id, req.sessionTokenHash || ""]
+    );
+
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("POST /api/auth/password error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Telegram'ni operatorga bog'lash: bir martalik kod (10 daqiqa), botda /operator <kod>
+const TG_LINK_TTL_MIN = 10;
+
+app.post("/api/auth/telegram-link", requireAdmin, async (req, res) => {
+  try {
+    if (!req.operator.id) return res.status(400).json({ ok: false, error: "ADMIN_KEY bilan Telegram bog‘lanmaydi" });
+
+    const code = newShortCode(8);
+    const r = await pool.query(
+      `UPDATE operators SET tg_link_hash=$2, tg_link_expires_at=now() + make_interval(mins => $3), updated_at=now()
+       WHERE id=$1 RETURNING tg_link_expires_at`,
+      [req.operator.id, hashToken(code), TG_LINK_TTL_MIN]
+    );
+    res.json({ ok: true, code, command: `/operator ${code}`, expiresAt: r.rows[0]?.tg_link_expires_at ?? null });
+  } catch (e) {
+    console.error("POST /api/auth/telegram-link error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.post("/api/auth/telegram-unlink", requireAdmin, async (req, res) => {
+  try {
+    if (!req.operator.id) return res.status(400).json({ ok: false, error: "ADMIN_KEY bilan Telegram bog‘lanmaydi" });
+    await pool.query(
+      `UPDATE operators SET telegram_user_id=NULL, tg_link_hash=NULL, tg_link_expires_at=NULL, updated_at=now() WHERE id=$1`,
+      [req.operator.id]
+    );
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("POST /api/auth/telegram-unlink error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// BOT: kodni tekshirib Telegram hisobini operatorga bog'laydi (bitta hisob — bitta operator)
+app.post("/api/tg/operator/link", requireInternal, async (req, res) => {
+  try {
+    const code = safeStr(req.body?.code, "").trim().toUpperCase();
+    const tg = safeStr(req.body?.telegramUserId, "").trim();
+    if (!code || !/^\d{1,20}$/.test(tg)) return res.status(400).json({ ok: false, error: "code va telegramUserId kerak" });
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const r = await client.query(
+        `SELECT id, username, full_name, role, active FROM operators
+         WHERE tg_link_hash=$1 AND tg_link_expires_at > now() AND active
+         FOR UPDATE`,
+        [hashToken(code)]
+      );
+      if (!r.rowCount) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ ok: false, error: "Kod noto‘g‘ri yoki muddati o‘tgan" });
+      }
+      await client.query(`UPDATE operators SET telegram_user_id=NULL WHERE telegram_user_id=$1`, [tg]);
+      await client.query(
+        `UPDATE operators SET telegram_user_id=$2, tg_link_hash=NULL, tg_link_expires_at=NULL, updated_at=now() WHERE id=$1`,
+        [r.rows[0].id, tg]
+      );
+      await client.query("COMMIT");
+      res.json({ ok: true, operator: publicOperator(r.rows[0], await operatorOrgs(r.rows[0].id)) });
+    } catch (e) {
+      await client.query("ROLLBACK");
+      throw e;
+    } finally {
+      client.release();
+    }
+  } catch (e) {
+    console.error("POST /api/tg/operator/link error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.post("/api/tg/operator/unlink", requireInternal, async (req, res) => {
+  try {
+    const tg = safeStr(req.body?.telegramUserId, "").trim();
+    if (!/^\d{1,20}$/.test(tg)) return res.status(400).json({ ok: false, error: "telegramUserId kerak" });
+    const r = await pool.query(`UPDATE operators SET telegram_user_id=NULL, updated_at=now() WHERE telegram_user_id=$1`, [tg]);
+    res.json({ ok: true, unlinked: r.rowCount > 0 });
+  } catch (e) {
+    console.error("POST /api/tg/operator/unlink error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// =======================
+// OPERATORLAR (foydalanuvchilar) boshqaruvi
+// super_admin — hammasi; org_admin — faqat o'z muassasalaridagi "operator"lar
+// =======================
+function parseOrgIds(input) {
+  if (!Array.isArray(input)) return null;
+  return [...new Set(input.map((x) => safeStr(String(x ?? ""), "").trim()).filter(Boolean))];
+}
+
+// org_admin boshqa operatorni boshqara oladimi (target: { role, orgs })
+function canManageOperator(op, target) {
+  if (op.role === "super_admin") return true;
+  if (target.role !== "operator") return false;
+  return target.orgs.every((o) => canAccessOrg(op, o));
+}
+
+// orgIds tekshiruvi: mavjud bo'lsin va (org_admin uchun) o'z muassasalari bo'lsin
+function checkOrgIds(req, res, orgIds) {
+  for (const o of orgIds) {
+    if (!findOrg(o)) {
+      res.status(400).json({ ok: false, error: `orgId noto‘g‘ri: ${o}` });
+      return false;
+    }
+    if (!canAccessOrg(req.operator, o)) {
+      res.status(403).json({ ok: false, error: `Bu muassasaga ruxsat yo‘q: ${o}` });
+      return false;
+    }
+  }
+  return true;
+}
+
+async function setOperatorOrgs(db, operatorId, orgIds) {
+  await db.query(`DELETE FROM operator_orgs WHERE operator_id=$1`, [operatorId]);
+  for (const o of orgIds) {
+    await db.query(
+      `INSERT INTO operator_orgs (operator_id, org_id) VALUES ($1, $2) ON CONFLICT DO NOTHING`,
+      [operatorId, o]
+    );
+  }
+}
+
+app.get("/api/admin/users", requireAdmin, requireRole("org_admin"), async (req, res) => {
+  try {
+    const r = await pool.query(
+      `SELECT o.id, o.username, o.full_name, o.role, o.active, o.created_at,
+              COALESCE(array_agg(oo.org_id ORDER BY oo.org_id) FILTER (WHERE oo.org_id IS NOT NULL), '{}') AS orgs
+       FROM operators o
+       LEFT JOIN operator_orgs oo ON oo.operator_id = o.id
+       GROUP BY o.id
+       ORDER BY o.username ASC`
+    );
+
+    const users = r.rows
+      .map((x) => ({ ...publicOperator(x, x.orgs), createdAt: x.created_at }))
+      .filter((x) => x.id === req.operator.id || canManageOperator(req.operator, x));
+
+    res.json({ ok: true, roles: ROLES, users });
+  } catch (e) {
+    console.error("GET /api/admin/users error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.post("/api/admin/users", requireAdmin, requireRole("org_admin"), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { username, password, fullName, role, orgIds } = req.body || {};
+    const u = safeStr(username, "").trim().toLowerCase();
+    const p = safeStr(password, "");
+    const r = safeStr(role, "operator").trim() || "operator";
+    const orgs = parseOrgIds(orgIds) || [];
+
+    if (!USERNAME_RE.test(u)) {
+      return res.status(400).json({ ok: false, error: "username 3-40 belgi: a-z, 0-9, _ . -" });
+    }
+    if (p.length < MIN_PASSWORD) {
+      return res.status(400).json({ ok: false, error: `Parol kamida ${MIN_PASSWORD} belgi bo‘lsin` });
+    }
+    if (!ROLES.includes(r)) return res.status(400).json({ ok: false, error: "role noto‘g‘ri" });
+    if (!canManageOperator(req.operator, { role: r, orgs })) {
+      return res.status(403).json({ ok: false, error: "Bu rol yoki muassasalar uchun ruxsat yo‘q" });
+    }
+    if (r !== "super_admin" && !orgs.length) {
+      return res.status(400).json({ ok: false, error: "Kamida bitta orgId kerak" });
+    }
+    if (!checkOrgIds(req, res, orgs)) return;
+
+    const hash = await hashPassword(p);
+
+    await client.query("BEGIN");
+    const ins = await client.query(
+      `INSERT INTO operators (username, password_hash, full_name, role)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (username) DO NOTHING
+       RETURNING id, username, full_name, role, active`,
+      [u, hash, safeStr(fullName, "").trim() || null, r]
+    );
+    if (!ins.rowCount) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ ok: false, error: "Bu username band" });
+    }
+    await setOperatorOrgs(client, ins.rows[0].id, orgs);
+    await client.query("COMMIT");
+
+    res.json({ ok: true, user: publicOperator(ins.rows[0], orgs) });
+  } catch (e) {
+    try { await client.query("ROLLBACK"); } catch {}
+    console.error("POST /api/admin/users error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Yangilash: password, fullName, role, orgIds, active (berilganlari o'zgaradi)
+app.post("/api/admin/users/:id", requireAdmin, requireRole("org_admin"), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const id = safeStr(req.params.id, "").trim();
+    const { password, fullName, role, orgIds, active } = req.body || {};
+
+    const cur = await client.query(
+      `SELECT id, username, full_name, role, active FROM operators
+       WHERE id::text=$1`,
+      [id]
+    );
+    if (!cur.rowCount) return res.status(404).json({ ok: false, error: "Operator topilmadi" });
+
+    const target = publicOperator(cur.rows[0], await operatorOrgs(cur.rows[0].id));
+    if (!canManageOperator(req.operator, target)) {
+      return res.status(403).json({ ok: false, error: "Bu operatorni boshqarishga ruxsat yo‘q" });
+    }
+
+    const nextRole = role === undefined ? target.role : safeStr(role, "").trim();
+    const nextOrgs = orgIds === undefined ? target.orgs : parseOrgIds(orgIds);
+    if (!ROLES.includes(nextRole)) return res.status(400).json({ ok: false, error: "role noto‘g‘ri" });
+    if (!nextOrgs) return res.status(400).json({ ok: false, error: "orgIds massiv bo‘lsin" });
+    if (!canManageOperator(req.operator, { role: nextRole, orgs: nextOrgs })) {
+      return res.status(403).json({ ok: false, error: "Bu rol yoki muassasalar uchun ruxsat yo‘q" });
+    }
+    if (orgIds !== undefined && !checkOrgIds(req, res, nextOrgs)) return;
+
+    let hash = null;
+    if (password !== undefined) {
+      const p = safeStr(password, "");
+      if (p.length < MIN_PASSWORD) {
+        return res.status(400).json({ ok: false, error: `Parol kamida ${MIN_PASSWORD} belgi bo‘lsin` });
+      }
+      hash = await hashPassword(p);
+    }
+    const nextActive = typeof active === "boolean" ? active : target.active;
+
+    await client.query("BEGIN");
+    const upd = await client.query(
+      `UPDATE operators
+       SET role=$2,
+           full_name=$3,
+           active=$4,
+           password_hash=COALESCE($5, password_hash),
+           updated_at=now()
+       WHERE id=$1
+       RETURNING id, username, full_name, role, active`,
+      [
+        target.id,
+        nextRole,
+        fullName === undefined ? target.fullName : (safeStr(fullName, "").trim() || null),
+        nextActive,
+        hash,
+      ]
+    );
+    if (orgIds !== undefined) await setOperatorOrgs(client, target.id, nextOrgs);
+
+    // parol o'zgarsa yoki o'chirilsa — barcha sessiyalari bekor
+    if (hash || !nextActive) {
+      await client.query(`DELETE FROM operator_sessions WHERE operator_id=$1`, [target.id]);
+    }
+    await client.query("COMMIT");
+
+    res.json({ ok: true, user: publicOperator(upd.rows[0], nextOrgs) });
+  } catch (e) {
+    try { await client.query("ROLLBACK"); } catch {}
+    console.error("POST /api/admin/users/:id error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  } finally {
+    client.release();
+  }
+});
+
+// =======================
+// MUASSASALAR (orgs reestri)
+// super_admin — yaratish, faollik, hudud; org_admin — o'z muassasasining nomi/manzili/xizmatlari
+// =======================
+app.get("/api/admin/orgs", requireAdmin, async (req, res) => {
+  const orgs = listOrgs({ includeInactive: true }).filter((o) => canAccessOrg(req.operator, o.id));
+  res.json({ ok: true, orgs });
+});
+
+app.post("/api/admin/orgs", requireAdmin, requireRole("super_admin"), async (req, res) => {
+  try {
+    const { value, error } = normalizeOrgInput(req.body);
+    if (error) return res.status(400).json({ ok: false, error });
+    if (!findUnit(value.region, value.unit)) {
+      return res.status(400).json({ ok: false, error: "region/unit hududlar ro‘yxatida topilmadi (uz nomlar)" });
+    }
+
+    const org = await insertOrg(pool, value);
+    if (!org) return res.status(409).json({ ok: false, error: "Bu id bilan muassasa bor" });
+
+    await reloadOrgs(pool);
+    res.json({ ok: true, org });
+  } catch (e) {
+    console.error("POST /api/admin/orgs error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Yangilash (berilgan maydonlar): name, region, unit, address, services, active. O'chirish yo'q — active=false.
+app.post("/api/admin/orgs/:id", requireAdmin, requireRole("org_admin"), async (req, res) => {
+  try {
+    const id = safeStr(req.params.id, "").trim();
+    const cur = findOrg(id);
+    if (!cur) return res.status(404).json({ ok: false, error: "Muassasa topilmadi" });
+    if (denyOrg(req, res, id)) return;
+
+    const { value, error } = normalizeOrgInput(req.body, { partial: true });
+    if (error) return res.status(400).json({ ok: false, error });
+
+    const superOnly = ["active", "region", "unit"].filter((k) => k in value);
+    if (superOnly.length && req.operator.role !== "super_admin") {
+      return res.status(403).json({ ok: false, error: `Faqat super_admin o‘zgartiradi: ${superOnly.join(", ")}` });
+    }
+    if (("region" in value || "unit" in value) && !findUnit(value.region ?? cur.region, value.unit ?? cur.unit)) {
+      return res.status(400).json({ ok: false, error: "region/unit hududlar ro‘yxatida topilmadi (uz nomlar)" });
+    }
+
+    // aktiv ticketi bor xizmatni olib tashlash mumkin emas
+    if (value.services) {
+      const keep = new Set(JSON.parse(value.services).map((x) => x.id));
+      const removed = orgServices(cur).map((x) => x.id).filter((x) => !keep.has(x));
+      if (removed.length) {
+        const act = await pool.query(
+          `SELECT DISTINCT service_id FROM tickets
+           WHERE org_id=$1 AND service_id = ANY($2) AND status IN ('waiting','called','missed')`,
+          [id, removed]
+        );
+        if (act.rowCount) {
+          return res.status(409).json({
+            ok: false,
+            error: `Aktiv navbati bor xizmatni olib tashlab bo‘lmaydi: ${act.rows.map((x) => x.service_id).join(", ")}`,
+          });
+        }
+      }
+    }
+
+    const org = await updateOrg(pool, id, value);
+    await reloadOrgs(pool);
+    publishQueue(id);
+
+    res.json({ ok: true, org });
+  } catch (e) {
+    console.error("POST /api/admin/orgs/:id error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Ish vaqti: { hours: { weekly, breaks, holidays } } yoki { hours: null } (doim ochiq)
+app.post("/api/admin/orgs/:id/hours", requireAdmin, requireRole("org_admin"), async (req, res) => {
+  try {
+    const id = safeStr(req.params.id, "").trim();
+    if (!findOrg(id)) return res.status(404).json({ ok: false, error: "Muassasa topilmadi" });
+    if (denyOrg(req, res, id)) return;
+
+    const { value, error } = normalizeHours(req.body?.hours);
+    if (error) return res.status(400).json({ ok: false, error });
+
+    const org = await updateOrgSettings(pool, id, { hours: value });
+    await reloadOrgs(pool);
+
+    res.json({ ok: true, hours: orgHours(org), state: openState(orgHours(org)) });
+  } catch (e) {
+    console.error("POST /api/admin/orgs/:id/hours error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Anti-abuse cheklovlari: { limits: { maxActivePerUser, maxActivePerIp, ipTakesPerHour, cancelCooldownSec } }
+// yoki { limits: null } (standart qiymatlar). Berilgan kalitlar mavjudlari ustiga yoziladi.
+app.get("/api/admin/orgs/:id/limits", requireAdmin, requireRole("org_admin"), (req, res) => {
+  const org = findOrg(safeStr(req.params.id, "").trim());
+  if (!org) return res.status(404).json({ ok: false, error: "Muassasa topilmadi" });
+  if (denyOrg(req, res, org.id)) return;
+  res.json({ ok: true, limits: orgLimits(org) });
+});
+
+app.post("/api/admin/orgs/:id/limits", requireAdmin, requireRole("org_admin"), async (req, res) => {
+  try {
+    const id = safeStr(req.params.id, "").trim();
+    const cur = findOrg(id);
+    if (!cur) return res.status(404).json({ ok: false, error: "Muassasa topilmadi" });
+    if (denyOrg(req, res, id)) return;
+
+    const { value, error } = normalizeLimits(req.body?.limits);
+    if (error) return res.status(400).json({ ok: false, error });
+
+    const org = await updateOrgSettings(pool, id, {
+      limits: value === null ? null : { ...(cur.settings?.limits || {}), ...value },
+    });
+    await reloadOrgs(pool);
+
+    res.json({ ok: true, limits: orgLimits(org) });
+  } catch (e) {
+    console.error("POST /api/admin/orgs/:id/limits error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Telegram xabarnoma siyosati: { notify: { positions: [10,5,3,1,0], statusChanges: true } }
+// yoki { notify: null } (standart). positions berilsa ro'yxat to'liq almashtiriladi.
+app.get("/api/admin/orgs/:id/notify", requireAdmin, requireRole("org_admin"), (req, res) => {
+  const org = findOrg(safeStr(req.params.id, "").trim());
+  if (!org) return res.status(404).json({ ok: false, error: "Muassasa topilmadi" });
+  if (denyOrg(req, res, org.id)) return;
+  res.json({ ok: true, notify: orgNotify(org) });
+});
+
+app.post("/api/admin/orgs/:id/notify", requireAdmin, requireRole("org_admin"), async (req, res) => {
+  try {
+    const id = safeStr(req.params.id, "").trim();
+    const cur = findOrg(id);
+    if (!cur) return res.status(404).json({ ok: false, error: "Muassasa topilmadi" });
+    if (denyOrg(req, res, id)) return;
+
+    const { value, error } = normalizeNotify(req.body?.notify);
+    if (error) return res.status(400).json({ ok: false, error });
+
+    const org = await updateOrgSettings(pool, id, {
+      notify: value === null ? null : { ...(cur.settings?.notify || {}), ...value },
+    });
+    await reloadOrgs(pool);
+
+    res.json({ ok: true, notify: orgNotify(org) });
+  } catch (e) {
+    console.error("POST /api/admin/orgs/:id/notify error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Imtiyoz oynasi (missed ticketlar): { grace: { positions, minutes, selfReturns } } yoki { grace: null }
+app.get("/api/admin/orgs/:id/grace", requireAdmin, requireRole("org_admin"), (req, res) => {
+  const org = findOrg(safeStr(req.params.id, "").trim());
+  if (!org) return res.status(404).json({ ok: false, error: "Muassasa topilmadi" });
+  if (denyOrg(req, res, org.id)) return;
+  res.json({ ok: true, grace: orgGrace(org) });
+});
+
+app.post("/api/admin/orgs/:id/grace", requireAdmin, requireRole("org_admin"), async (req, res) => {
+  try {
+    const id = safeStr(req.params.id, "").trim();
+    const cur = findOrg(id);
+    if (!cur) return res.status(404).json({ ok: false, error: "Muassasa topilmadi" });
+    if (denyOrg(req, res, id)) return;
+
+    const { value, error } = normalizeGrace(req.body?.grace);
+    if (error) return res.status(400).json({ ok: false, error });
+
+    const org = await updateOrgSettings(pool, id, {
+      grace: value === null ? null : { ...(cur.settings?.grace || {}), ...value },
+    });
+    await reloadOrgs(pool);
+
+    res.json({ ok: true, grace: orgGrace(org) });
+  } catch (e) {
+    console.error("POST /api/admin/orgs/:id/grace error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Imtiyozli navbat siyosati: { priority: { regularBetween } } yoki { priority: null }
+app.get("/api/admin/orgs/:id/priority", requireAdmin, requireRole("org_admin"), (req, res) => {
+  const org = findOrg(safeStr(req.params.id, "").trim());
+  if (!org) return res.status(404).json({ ok: false, error: "Muassasa topilmadi" });
+  if (denyOrg(req, res, org.id)) return;
+  res.json({ ok: true, priority: orgPriority(org), reasons: PRIORITY_REASONS });
+});
+
+app.post("/api/admin/orgs/:id/priority", requireAdmin, requireRole("org_admin"), async (req, res) => {
+  try {
+    const id = safeStr(req.params.id, "").trim();
+    const cur = findOrg(id);
+    if (!cur) return res.status(404).json({ ok: false, error: "Muassasa topilmadi" });
+    if (denyOrg(req, res, id)) return;
+
+    const { value, error } = normalizePriority(req.body?.priority);
+    if (error) return res.status(400).json({ ok: false, error });
+
+    const org = await updateOrgSettings(pool, id, {
+      priority: value === null ? null : { ...(cur.settings?.priority || {}), ...value },
+    });
+    await reloadOrgs(pool);
+
+    res.json({ ok: true, priority: orgPriority(org), reasons: PRIORITY_REASONS });
+  } catch (e) {
+    console.error("POST /api/admin/orgs/:id/priority error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Kiosk sozlamasi: { kiosk: { serviceIds?: [...] | null, rotateKey?: true } } yoki { kiosk: null } (o'chirish).
+// Kalit faqat yaratilganda / rotateKey'da bir marta qaytadi (kioskUrl ichida ham).
+app.get("/api/admin/orgs/:id/kiosk", requireAdmin, requireRole("org_admin"), (req, res) => {
+  const org = findOrg(safeStr(req.params.id, "").trim());
+  if (!org) return res.status(404).json({ ok: false, error: "Muassasa topilmadi" });
+  if (denyOrg(req, res, org.id)) return;
+  res.json({ ok: true, kiosk: kioskView(org) });
+});
+
+app.post("/api/admin/orgs/:id/kiosk", requireAdmin, requireRole("org_admin"), async (req, res) => {
+  try {
+    const id = safeStr(req.params.id, "").trim();
+    const cur = findOrg(id);
+    if (!cur) return res.status(404).json({ ok: false, error: "Muassasa topilmadi" });
+    if (denyOrg(req, res, id)) return;
+
+    const { value, error } = normalizeKiosk(req.body?.kiosk, cur);
+    if (error) return res.status(400).json({ ok: false, error });
+
+    const prev = orgKiosk(cur);
+    let key = null;
+    let kiosk = null;
+    if (value) {
+      kiosk = { ...(prev || {}) };
+      if (value.serviceIds !== undefined) kiosk.serviceIds = value.serviceIds;
+      if (!prev || value.rotateKey) {
+        key = newToken();
+        kiosk.keyHash = hashToken(key);
+        kiosk.rotatedAt = new Date().toISOString();
+      }
+    }
+
+    const org = await updateOrgSettings(pool, id, { kiosk });
+    await reloadOrgs(pool);
+
+    const service = kiosk?.serviceIds?.length === 1 ? `&serviceId=${encodeURIComponent(kiosk.serviceIds[0])}` : "";
+    res.json({
+      ok: true,
+      kiosk: kioskView(org),
+      ...(key ? { key, kioskUrl: `${publicBaseUrl()}/kiosk.html?orgId=${encodeURIComponent(id)}${service}#k=${encodeURIComponent(key)}` } : {}),
+    });
+  } catch (e) {
+    console.error("POST /api/admin/orgs/:id/kiosk error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Kiosk ekrani uchun (X-Kiosk-Key): muassasa nomi, kioskdagi xizmatlar va kutayotganlar, ochiq/yopiq
+app.get("/api/kiosk", requireKiosk, async (req, res) => {
+  try {
+    const org = findOrg(req.kiosk.orgId);
+    const list = orgServices(org).length ? orgServices(org) : [DEFAULT_SERVICE];
+    const services = list.filter((x) => kioskServiceOk(org, x.id));
+
+    const r = await pool.query(
+      `SELECT service_id, count(*)::int AS n FROM tickets
+       WHERE org_id=$1 AND status='waiting'
+       GROUP BY service_id`,
+      [org.id]
+    );
+    const waiting = new Map(r.rows.map((x) => [x.service_id, x.n]));
+    const st = openState(orgHours(org));
+
+    res.json({
+      ok: true,
+      org: { id: org.id, name: org.name },
+      services: services.map((x) => ({ id: x.id, name: x.name, prefix: x.prefix || "", waiting: waiting.get(x.id) || 0 })),
+      open: st.open,
+      message: closedMessage(st, safeStr(req.query.lang, "uz")),
+      opensAt: st.opensAt,
+    });
+  } catch (e) {
+    console.error("GET /api/kiosk error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Ochiq/yopiq holati (web va bot uchun). ?lang=uz|ru|en
+app.get("/api/org/:id/hours", (req, res) => {
+  const org = findOrg(safeStr(req.params.id, "").trim());
+  if (!org || !org.active) return res.status(404).json({ ok: false, error: "Muassasa topilmadi" });
+
+  const st = openState(orgHours(org));
+  res.json({
+    ok: true,
+    hours: orgHours(org),
+    open: st.open,
+    reason: st.reason,
+    opensAt: st.opensAt,
+    closesAt: st.closesAt,
+    message: closedMessage(st, safeStr(req.query.lang, "uz")),
+  });
+});
+
+// =======================
+// STATISTIKA va CSV eksport (org_admin+)
+// from/to — YYYY-MM-DD (BUSINESS_TZ bo'yicha, ikkalasi ham kiradi). Default: oxirgi 7 kun.
+// =======================
+const STATS_MAX_DAYS = 366;
+const DATE_ONLY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// YYYY-MM-DD va haqiqiy kun (2026-02-30 kabi "oshib ketgan" sanalar emas)
+function isDateOnly(d) {
+  if (!DATE_ONLY_RE.test(d)) return false;
+  const t = Date.parse(`${d}T00:00:00Z`);
+  return !Number.isNaN(t) && new Date(t).toISOString().slice(0, 10) === d;
+}
+
+// { orgId, from, to } yoki javob yuborilgan bo'lsa null
+function statsRange(req, res) {
+  const orgId = safeStr(req.query.orgId, "").trim();
+  if (!orgId) { res.status(400).json({ ok: false, error: "orgId kerak" }); return null; }
+  if (denyOrg(req, res, orgId)) return null;
+
+  const today = localNow().date;
+  const addDays = (d, n) => new Date(Date.parse(`${d}T00:00:00Z`) + n * 86400000).toISOString().slice(0, 10);
+
+  const to = safeStr(req.query.to, "").trim() || today;
+  const from = safeStr(req.query.from, "").trim() || (isDateOnly(to) ? addDays(to, -6) : "");
+  if (!isDateOnly(from) || !isDateOnly(to)) {
+    res.status(400).json({ ok: false, error: "from/to YYYY-MM-DD bo‘lsin" });
+    return null;
+  }
+  const days = (Date.parse(to) - Date.parse(from)) / 86400000 + 1;
+  if (days < 1 || days > STATS_MAX_DAYS) {
+    res.status(400).json({ ok: false, error: `Oraliq 1..${STATS_MAX_DAYS} kun bo‘lsin` });
+    return null;
+  }
+  return { orgId, from, to };
+}
+
+// created_at shu oraliqda (mahalliy kunlar bo'yicha)
+const RANGE_SQL = `org_id=$1
+  AND created_at >= ($2::date)::timestamp AT TIME ZONE $4
+  AND created_at <  ($3::date + 1)::timestamp AT TIME ZONE $4`;
+
+app.get("/api/admin/stats", requireAdmin, requireRole("org_admin"), async (req, res) => {
+  try {
+    const range = statsRange(req, res);
+    if (!range) return;
+    const { orgId, from, to } = range;
+    const params = [orgId, from, to, BUSINESS_TZ];
+
+    const totals = await pool.query(
+      `SELECT count(*)::int AS issued,
+              count(*) FILTER (WHERE status='served')::int AS served,
+              count(*) FILTER (WHERE status='missed')::int AS missed,
+              count(*) FILTER (WHERE status='cancelled' AND transferred_to IS NULL)::int AS cancelled,
+              count(*) FILTER (WHERE transferred_to IS NOT NULL)::int AS transferred,
+              count(*) FILTER (WHERE status IN ('waiting','called'))::int AS active,
+              avg(extract(epoch FROM served_at - created_at))
+                FILTER (WHERE status='served' AND served_at IS NOT NULL) AS avg_wait,
+              percentile_cont(0.9) WITHIN GROUP (ORDER BY extract(epoch FROM served_at - created_at))
+                FILTER (WHERE status='served' AND served_at IS NOT NULL) AS p90_wait
+       FROM tickets WHERE ${RANGE_SQL}`,
+      params
+    );
+
+    // soat bo'yicha: issued — olingan soati, served — xizmat tugagan soati
+    const issuedByHour = await pool.query(
+      `SELECT extract(hour FROM created_at AT TIME ZONE $4)::int AS h, count(*)::int AS n
+       FROM tickets WHERE ${RANGE_SQL} GROUP BY 1`,
+      params
+    );
+    const servedByHour = await pool.query(
+      `SELECT extract(hour FROM served_at AT TIME ZONE $4)::int AS h, count(*)::int AS n
+       FROM tickets WHERE ${RANGE_SQL} AND status='served' AND served_at IS NOT NULL GROUP BY 1`,
+      params
+    );
+    const byHour = Array.from({ length: 24 }, (_, hour) => ({ hour, issued: 0, served: 0 }));
+    for (const r of issuedByHour.rows) byHour[r.h].issued = r.n;
+    for (const r of servedByHour.rows) byHour[r.h].served = r.n;
+
+    const plat = await pool.query(
+      `SELECT COALESCE(NULLIF(platform, ''), 'web') AS platform,
+              count(*)::int AS issued,
+              count(*) FILTER (WHERE status='served')::int AS served
+       FROM tickets WHERE ${RANGE_SQL} GROUP BY 1 ORDER BY 2 DESC`,
+      params
+    );
+
+    const svc = await pool.query(
+      `SELECT service_id,
+              count(*)::int AS issued,
+              count(*) FILTER (WHERE status='served')::int AS served,
+              avg(extract(epoch FROM served_at - created_at))
+                FILTER (WHERE status='served' AND served_at IS NOT NULL) AS avg_wait
+       FROM tickets WHERE ${RANGE_SQL} GROUP BY 1 ORDER BY 1`,
+      params
+    );
+    const services = serviceMapOf(orgId);
+
+    const t = totals.rows[0];
+    const sec = (x) => (x === null || x === undefined ? null : Math.round(Number(x)));
+
+    res.json({
+      ok: true,
+      orgId,
+      from,
+      to,
+      timezone: BUSINESS_TZ,
+      issued: t.issued,
+      served: t.served,
+      missed: t.missed,
+      cancelled: t.cancelled,
+      // boshqa xizmat/muassasaga o'tkazilgan (yangi ticket o'sha yerda hisoblanadi)
+      transferred: t.transferred,
+      active: t.active,
+      avgWaitSec: sec(t.avg_wait),
+      p90WaitSec: sec(t.p90_wait),
+      byHour,
+      byPlatform: plat.rows,
+      byService: svc.rows.map((r) => ({
+        serviceId: r.service_id,
+        prefix: services.get(r.service_id)?.prefix || "",
+        name: services.get(r.service_id)?.name || null,
+        issued: r.issued,
+        served: r.served,
+        avgWaitSec: sec(r.avg_wait),
+      })),
+    });
+  } catch (e) {
+    console.error("GET /api/admin/stats error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+function csvCell(v) {
+  if (v === null || v === undefined) return "";
+  let s = v instanceof Date ? v.toISOString() : String(v);
+  // Excel formula injection: ism "=HYPERLINK(...)" kabi bo'lsa matn sifatida ochilsin
+  if (typeof v === "string" && /^[=+\-@\t\r]/.test(s)) s = "'" + s;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+app.get("/api/admin/export.csv", requireAdmin, requireRole("org_admin"), async (req, res) => {
+  try {
+    const range = statsRange(req, res);
+    if (!range) return;
+    const { orgId, from, to } = range;
+
+    const r = await pool.query(
+      `SELECT id, org_id, service_id, number, status, platform, full_name, counter_no,
+              created_at, called_at, served_at,
+              extract(epoch FROM served_at - created_at)::int AS wait_sec
+       FROM tickets WHERE ${RANGE_SQL}
+       ORDER BY created_at ASC`,
+      [orgId, from, to, BUSINESS_TZ]
+    );
+
+    const services = serviceMapOf(orgId);
+    const head = ["id", "org_id", "service_id", "display_number", "number", "status", "platform",
+      "full_name", "counter_no", "created_at", "called_at", "served_at", "wait_sec"];
+    const lines = [head.join(",")];
+    for (const x of r.rows) {
+      lines.push([
+        x.id, x.org_id, x.service_id, ticketLabel(services.get(x.service_id)?.prefix, x.number), x.number,
+        x.status, x.platform, x.full_name, x.counter_no, x.created_at, x.called_at, x.served_at, x.wait_sec,
+      ].map(csvCell).join(","));
+    }
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="navbat_${orgId}_${from}_${to}.csv"`);
+    // BOM: Excel kirill/o‘zbek harflarini to'g'ri ochsin
+    res.send("\uFEFF" + lines.join("\r\n") + "\r\n");
+  } catch (e) {
+    console.error("GET /api/admin/export.csv error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// =======================
+// ADMIN: ticket tarixi (ticket_events)
+// GET /api/admin/tickets/:id/events — bitta ticketning barcha holat o'zgarishlari (nizo bo'lganda)
+// GET /api/admin/audit?orgId&from&to&actor=operator|system|customer|all&before&limit — muassasa jurnali
+//   standart: faqat operator amallari; before = oldingi sahifadagi oxirgi event id (yangidan eskiga)
+// =======================
+const AUDIT_MAX_LIMIT = 200;
+
+app.get("/api/admin/tickets/:id/events", requireAdmin, async (req, res) => {
+  try {
+    const id = safeStr(req.params.id, "").trim();
+    if (!UUID_RE.test(id)) return res.status(400).json({ ok: false, error: "ticketId noto‘g‘ri" });
+
+    const t = await pool.query(
+      `SELECT id, org_id, service_id, number, status, full_name, platform, created_at FROM tickets WHERE id=$1`,
+      [id]
+    );
+    if (!t.rowCount) return res.status(404).json({ ok: false, error: "Ticket topilmadi" });
+    const row = t.rows[0];
+    if (denyOrg(req, res, row.org_id)) return;
+
+    const ev = await pool.query(
+      `SELECT * FROM ticket_events WHERE ticket_id=$1 ORDER BY id`,
+      [id]
+    );
+    res.json({
+      ok: true,
+      ticket: {
+        id: row.id,
+        orgId: row.org_id,
+        serviceId: row.service_id,
+        number: safeInt(row.number, 0),
+        displayNumber: ticketLabel(serviceMapOf(row.org_id).get(row.service_id)?.prefix, row.number),
+        status: row.status,
+        fullName: row.full_name,
+        platform: row.platform,
+        createdAt: row.created_at,
+      },
+      events: ev.rows.map(eventView),
+    });
+  } catch (e) {
+    console.error("GET /api/admin/tickets/:id/events error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.get("/api/admin/audit", requireAdmin, requireRole("org_admin"), async (req, res) => {
+  try {
+    const range = statsRange(req, res);
+    if (!range) return;
+    const { orgId, from, to } = range;
+
+    const actor = safeStr(req.query.actor, "operator").trim() || "operator";
+    if (actor !== "all" && !ACTOR_TYPES.includes(actor)) {
+      return res.status(400).json({ ok: false, error: `actor: ${[...ACTOR_TYPES, "all"].join(" | ")}` });
+    }
+    const before = safeStr(req.query.before, "").trim();
+    if (before && !/^\d{1,18}$/.test(before)) return res.status(400).json({ ok: false, error: "before noto‘g‘ri" });
+    const limit = Math.min(AUDIT_MAX_LIMIT, Math.max(1, safeInt(req.query.limit, 50)));
+
+    const r = await pool.query(
+      `SELECT e.*, t.service_id, t.number
+       FROM ticket_events e
+       LEFT JOIN tickets t ON t.id = e.ticket_id
+       WHERE e.org_id=$1
+         AND e.created_at >= ($2::date)::timestamp AT TIME ZONE $4
+         AND e.created_at <  ($3::date + 1)::timestamp AT TIME ZONE $4
+         AND ($5::text IS NULL OR e.actor_type=$5)
+         AND ($6::bigint IS NULL OR e.id < $6)
+       ORDER BY e.id DESC
+       LIMIT $7`,
+      [orgId, from, to, BUSINESS_TZ, actor === "all" ? null : actor, before || null, limit + 1]
+    );
+
+    const more = r.rows.length > limit;
+    const rows = more ? r.rows.slice(0, limit) : r.rows;
+    const svc = serviceMapOf(orgId);
+    res.json({
+      ok: true,
+      orgId,
+      from,
+      to,
+      actor,
+      events: rows.map((x) => ({
+        ...eventView(x),
+        displayNumber: x.ticket_id && x.number != null ? ticketLabel(svc.get(x.service_id)?.prefix, x.number) : null,
+      })),
+      nextBefore: more ? String(rows[rows.length - 1].id) : null,
+    });
+  } catch (e) {
+    console.error("GET /api/admin/audit error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// =======================
+// WEBHOOKLAR (webhooks.js) — tashqi tizimlarga ticket hodisalari
+// Secret faqat yaratilganda / rotateSecret'da bir marta qaytadi, keyin faqat oxirgi 4 belgisi.
+// =======================
+const WEBHOOK_DELIVERIES_MAX_LIMIT = 200;
+
+// :id (muassasa) va :hookId tekshiruvi; topilsa webhooks qatori
+async function orgWebhookOf(req, res) {
+  const org = findOrg(safeStr(req.params.id, "").trim());
+  if (!org) {
+    res.status(404).json({ ok: false, error: "Muassasa topilmadi" });
+    return null;
+  }
+  if (denyOrg(req, res, org.id)) return null;
+  const hookId = safeStr(req.params.hookId, "").trim();
+  const r = UUID_RE.test(hookId)
+    ? await pool.query(`SELECT * FROM webhooks WHERE id=$1 AND org_id=$2`, [hookId, org.id])
+    : { rowCount: 0 };
+  if (!r.rowCount) {
+    res.status(404).json({ ok: false, error: "Webhook topilmadi" });
+    return null;
+  }
+  return r.rows[0];
+}
+
+app.get("/api/admin/orgs/:id/webhooks", requireAdmin, requireRole("org_admin"), async (req, res) => {
+  try {
+    const org = findOrg(safeStr(req.params.id, "").trim());
+    if (!org) return res.status(404).json({ ok: false, error: "Muassasa topilmadi" });
+    if (denyOrg(req, res, org.id)) return;
+
+    const r = await pool.query(`SELECT * FROM webhooks WHERE org_id=$1 ORDER BY created_at ASC`, [org.id]);
+    res.json({ ok: true, webhooks: r.rows.map(hookView), events: WEBHOOK_EVENTS });
+  } catch (e) {
+    console.error("GET /api/admin/orgs/:id/webhooks error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// body: { url, events: [...] | ["*"], description?, active?, secret? } — secret berilmasa yaratiladi
+app.post("/api/admin/orgs/:id/webhooks", requireAdmin, requireRole("org_admin"), async (req, res) => {
+  try {
+    const org = findOrg(safeStr(req.params.id, "").trim());
+    if (!org) return res.status(404).json({ ok: false, error: "Muassasa topilmadi" });
+    if (denyOrg(req, res, org.id)) return;
+
+    const { value, error } = normalizeWebhook(req.body);
+    if (error) return res.status(400).json({ ok: false, error });
+
+    const cnt = await pool.query(`SELECT count(*)::int AS n FROM webhooks WHERE org_id=$1`, [org.id]);
+    if (cnt.rows[0].n >= MAX_HOOKS_PER_ORG) {
+      return res.status(409).json({ ok: false, code: "too_many", error: `Ko‘pi bilan ${MAX_HOOKS_PER_ORG} ta webhook` });
+    }
+
+    const secret = value.secret || newToken();
+    const r = await pool.query(
+      `INSERT INTO webhooks (org_id, url, secret, events, description, active)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [org.id, value.url, secret, value.events, value.description || null, value.active ?? true]
+    );
+    res.json({ ok: true, webhook: hookView(r.rows[0]), secret });
+  } catch (e) {
+    console.error("POST /api/admin/orgs/:id/webhooks error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// qisman tahrirlash: { url?, events?, description?, active?, secret?, rotateSecret?: true }
+app.post("/api/admin/orgs/:id/webhooks/:hookId", requireAdmin, requireRole("org_admin"), async (req, res) => {
+  try {
+    const hook = await orgWebhookOf(req, res);
+    if (!hook) return;
+
+    const { value, error } = normalizeWebhook(req.body, { partial: true });
+    if (error) return res.status(400).json({ ok: false, error });
+    const rotate = req.body?.rotateSecret === true;
+    if (rotate && !value.secret) value.secret = newToken();
+
+    const r = await pool.query(
+      `UPDATE webhooks
+       SET url=COALESCE($2, url),
+           events=COALESCE($3, events),
+           description=CASE WHEN $4::text IS NULL THEN description ELSE NULLIF($4, '') END,
+           active=COALESCE($5, active),
+           secret=COALESCE($6, secret),
+           updated_at=now()
+       WHERE id=$1
+       RETURNING *`,
+      [hook.id, value.url ?? null, value.events ?? null, value.description ?? null, value.active ?? null, value.secret ?? null]
+    );
+    res.json({ ok: true, webhook: hookView(r.rows[0]), ...(value.secret ? { secret: value.secret } : {}) });
+  } catch (e) {
+    console.error("POST /api/admin/orgs/:id/webhooks/:hookId error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// yetkazilmagan xabarlar outbox'da qoladi — worker ularni "webhook o'chirilgan" deb yopadi
+app.post("/api/admin/orgs/:id/webhooks/:hookId/delete", requireAdmin, requireRole("org_admin"), async (req, res) => {
+  try {
+    const hook = await orgWebhookOf(req, res);
+    if (!hook) return;
+
+    await pool.query(`DELETE FROM webhooks WHERE id=$1`, [hook.id]);
+    res.json({ ok: true, deleted: String(hook.id) });
+  } catch (e) {
+    console.error("POST /api/admin/orgs/:id/webhooks/:hookId/delete error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// "ping" hodisasini hozir (outbox'siz, qayta urinishsiz) yuboradi — manzil va imzo tekshiruvini sinash uchun.
+// Javobda faqat natija: status kodi / vaqt orqali tarmoqni "skanerlash" bo'lmasin (tafsilot — deliveries jurnalida).
+app.post("/api/admin/orgs/:id/webhooks/:hookId/test", requireAdmin, requireRole("org_admin"), async (req, res) => {
+  try {
+    const hook = await orgWebhookOf(req, res);
+    if (!hook) return;
+
+    const r = await deliverWebhook(pool, hook, pingPayload(hook));
+    res.json({ ok: true, delivered: r.ok });
+  } catch (e) {
+    console.error("POST /api/admin/orgs/:id/webhooks/:hookId/test error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// oxirgi urinishlar (yangisi birinchi); ?limit=50&before=<id>
+app.get("/api/admin/orgs/:id/webhooks/:hookId/deliveries", requireAdmin, requireRole("org_admin"), async (req, res) => {
+  try {
+    const hook = await orgWebhookOf(req, res);
+    if (!hook) return;
+
+    const before = safeStr(req.query.before, "").trim();
+    if (before && !/^\d{1,18}$/.test(before)) return res.status(400).json({ ok: false, error: "before noto‘g‘ri" });
+    const limit = Math.min(WEBHOOK_DELIVERIES_MAX_LIMIT, Math.max(1, safeInt(req.query.limit, 50)));
+
+    const r = await pool.query(
+      `SELECT * FROM webhook_deliveries
+       WHERE webhook_id=$1 AND ($2::bigint IS NULL OR id < $2)
+       ORDER BY id DESC
+       LIMIT $3`,
+      [hook.id, before || null, limit + 1]
+    );
+    const more = r.rows.length > limit;
+    const rows = more ? r.rows.slice(0, limit) : r.rows;
+    res.json({
+      ok: true,
+      webhook: hookView(hook),
+      deliveries: rows.map(deliveryView),
+      nextBefore: more ? String(rows[rows.length - 1].id) : null,
+    });
+  } catch (e) {
+    console.error("GET /api/admin/orgs/:id/webhooks/:hookId/deliveries error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Fallback
+app.get("*", (req, res) => {
+  res.sendFile(path.join(__dirname, "public", "index.html"));
+});
+
+// =======================
+// KUNLIK ROLLOVER (ish vaqti bor muassasalar)
+// Yopilish vaqti o'tgach: qolgan aktiv ticketlar bekor, raqamlash ertalab 1 dan.
+// Server o'sha paytda o'chiq bo'lsa ham keyingi tekshiruvda (boot'da) yetib oladi.
+// =======================
+const ROLLOVER_CHECK_MS = 60 * 1000;
+const rolloverDone = new Map(); // orgId -> oxirgi ishlangan closeAt (ms), DB'ga ortiqcha so'rov bo'lmasin
+
+async function closeOrgDay(orgId, closeAt) {
+  await ensureOrgState(orgId);
+  const client = await pool.connect();
+  let cancelled = [];
+  try {
+    await client.query("BEGIN");
+    const st = await client.query(
+      `SELECT day_closed_at FROM org_state WHERE org_id=$1 FOR UPDATE`,
+      [orgId]
+    );
+    const last = st.rows[0]?.day_closed_at;
+    if (last && new Date(last) >= closeAt) {
+      await client.query("ROLLBACK");
+      return false;
+    }
+
+    // faqat yopilishgacha olinganlar (ish vaqti keyin o'zgargan bo'lsa ham yangi navbat saqlanadi)
+    const c = await cancelActiveTickets(client, orgId, { createdBefore: closeAt });
+    cancelled = c.rows;
+    if (cancelled.length) {
+      await recordBulkCancel(client, orgId, cancelled, {
+        action: "dayClose",
+        actor: SYSTEM_ACTOR,
+        source: "rollover",
+        meta: { closeAt: closeAt.toISOString() },
+      });
+      await notifyTicketStatus(client, cancelled.map((t) => t.id), "dayClosed");
+    }
+
+    const left = await client.query(
+      `SELECT 1 FROM tickets WHERE org_id=$1 AND status IN ('waiting','called','missed') LIMIT 1`,
+      [orgId]
+    );
+    if (!left.rowCount) {
+      await client.query(
+        `UPDATE queue_state SET current_number=0, next_number=1, updated_at=now() WHERE org_id=$1`,
+        [orgId]
+      );
+      await client.query(
+        `UPDATE org_counters SET ticket_id=NULL, updated_at=now() WHERE org_id=$1`,
+        [orgId]
+      );
+    }
+
+    // navbat bo'shasa imtiyoz siyosati hisoblagichi ham nolga
+    await client.query(
+      `UPDATE org_state SET day_closed_at=$2,
+                            regular_since_priority = CASE WHEN $3 THEN 0 ELSE regular_since_priority END,
+                            updated_at=now()
+       WHERE org_id=$1`,
+      [orgId, closeAt, !left.rowCount]
+    );
+    await client.query("COMMIT");
+  } catch (e) {
+    try { await client.query("ROLLBACK"); } catch {}
+    throw e;
+  } finally {
+    client.release();
+  }
+
+  if (cancelled.length) console.log(`ℹ️ rollover ${orgId}: ${cancelled.length} ta ticket bekor qilindi`);
+  publishQueue(orgId);
+  return true;
+}
+
+async function runRollover(now = new Date()) {
+  for (const org of listOrgs({ includeInactive: true })) {
+    const closeAt = lastClosingBefore(orgHours(org), now);
+    if (!closeAt || rolloverDone.get(org.id) === closeAt.getTime()) continue;
+    try {
+      await closeOrgDay(org.id, closeAt);
+      rolloverDone.set(org.id, closeAt.getTime());
+    } catch (e) {
+      console.error(`rollover ${org.id} error:`, e.message);
+    }
+  }
+}
+
+// yakunlangan ticketlarning push obunalari kerak emas (oxirgi holat xabari yuborilib bo'lgandan keyin)
+async function purgePushSubscriptions() {
+  await pool.query(
+    `DELETE FROM push_subscriptions p
+     USING tickets t
+     WHERE t.id=p.ticket_id
+       AND t.status IN ('served','cancelled')
+       AND t.updated_at < now() - interval '10 minutes'`
+  );
+}
+
+function startRolloverScheduler() {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runRollover();
+      await expireMissedTickets();
+      await purgePushSubscriptions();
+      await purgeOutbox(pool);
+      await purgeWebhookDeliveries(pool);
+    } catch (e) {
+      console.error("scheduler error:", e.message);
+    } finally {
+      running = false;
+    }
+  };
+  tick();
+  setInterval(tick, ROLLOVER_CHECK_MS).unref();
+}
+
+// Boot
+(async function start() {
+  try {
+    // sxema migratsiyalari alohida qo'llanadi (npm run migrate -- up); ortda qolgan bo'lsa ishga tushmaymiz
+    await assertSchemaCurrent(pool);
+
+    // bir martalik: orgs bo'sh bo'lsa geo.json'dagi muassasalarni ko'chiramiz
+    const cnt = await pool.query(`SELECT count(*)::int AS n FROM orgs`);
+    if (!cnt.rows[0].n) {
+      const st = await importOrgsFromGeo(pool, loadGeo());
+      console.log(`ℹ️ orgs: geo.json'dan import — ${st.inserted}/${st.total}`, st.errors.length ? st.errors : "");
+    }
+    console.log(`✅ orgs: ${await reloadOrgs(pool)} ta muassasa`);
+    setInterval(() => {
+      reloadOrgs(pool).catch((e) => console.error("orgs reload error:", e.message));
+    }, ORG_CACHE_REFRESH_MS).unref();
+    startRolloverScheduler();
+    initWebPush();
+    registerChannel(telegramChannel);
+    registerChannel(pushChannel(pool));
+    registerChannel(smsChannel);
+    registerChannel(webhookChannel(pool));
     const server = app.listen(PORT, () => console.log(`✅ NAVBATUZ running on :${PORT}`));
 
     // Telegram bot (agar BOT_TOKEN berilgan bo'lsa) — bitta DB va bitta /api/take orqali ishlaydi.
     startBot({
       port: PORT,
       publicUrl: publicBaseUrl(),
+      internalKey: INTERNAL_KEY,
+      db: pool,
     });
+    // bot ishga tushgandan keyin — aks holda qolib ketgan Telegram xabarlari "kanal o'chirilgan" bo'lib urinish yo'qotadi
+    startOutboxWorker(pool, { skip: ["webhook"] });
+    // webhooklar alohida: javob bermayotgan tashqi manzil Telegram/push xabarlarini kutdirmasin.
+    // 16 qator, 4 yo'lak, 5 s timeout — eng yomoni ~20 s, outbox lease (60 s) ichida
+    startOutboxWorker(pool, { only: ["webhook"], limit: 16, concurrency: 4 });
 
     return server;
   } catch (e) {
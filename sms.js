@@ -0,0 +1,22 @@
+// sms.js (Node >=18, ESM)
+// SMS kanali (outbox.js) — hozircha lokal stub: provayder ulanmaguncha xabar data/sms-outbox.log ga yoziladi.
+// SMS_STUB=1 bo'lsa yoqiladi. Haqiqiy provayder: send() ichida uning API'si, shartnoma o'sha ({ ok } / { ok:false, ... }).
+// Qaysi xabarlar SMS bilan ketishi muassasa siyosatida (orgs.settings.notify.sms) va notify.js SMS_KINDS da.
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const LOG_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), "data", "sms-outbox.log");
+
+export const smsChannel = {
+  name: "sms",
+  enabled: () => process.env.SMS_STUB === "1",
+  ratePerSec: 5,
+  perTargetGapMs: 0,
+  async send(phone, { text }) {
+    await fs.appendFile(LOG_PATH, `${new Date().toISOString()}\t${phone}\t${String(text || "").replace(/\n/g, " / ")}\n`);
+    console.log(`📨 SMS (stub) -> ${phone}`);
+    return { ok: true };
+  },
+};
@@ -0,0 +1,59 @@
+// sse.js (Node >=18, ESM)
+// Server-Sent Events hub: kanal (key) -> ochiq javoblar (res).
+// Eslatma: hub bitta process ichida. Bir nechta instance bo'lsa har biri o'z clientlariga yuboradi.
+
+const channels = new Map();
+
+const HEARTBEAT_MS = 25000;
+
+// proxy/Render ulanishni jim turgani uchun uzib qo'ymasin
+const heartbeat = setInterval(() => {
+  for (const set of channels.values()) {
+    for (const res of set) {
+      try { res.write(`: ping\n\n`); } catch {}
+    }
+  }
+}, HEARTBEAT_MS);
+heartbeat.unref();
+
+export function sseOpen(req, res, key, { retryMs = 3000 } = {}) {
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders?.();
+  res.write(`retry: ${retryMs}\n\n`);
+
+  if (!channels.has(key)) channels.set(key, new Set());
+  channels.get(key).add(res);
+
+  res.on("close", () => {
+    const set = channels.get(key);
+    if (!set) return;
+    set.delete(res);
+    if (!set.size) channels.delete(key);
+  });
+}
+
+export function sseSend(res, event, data) {
+  try {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function sseBroadcast(key, event, data) {
+  const set = channels.get(key);
+  if (!set) return 0;
+  let n = 0;
+  for (const res of set) if (sseSend(res, event, data)) n++;
+  return n;
+}
+
+// prefix bo'yicha ochiq kanallar (masalan "org:yallama_moyka:")
+export function sseKeys(prefix) {
+  return [...channels.keys()].filter((k) => k.startsWith(prefix));
+}
@@ -0,0 +1,21 @@
+// test/auth.test.js — ticket egaligi va faqat egasiga ko'rinadigan maydonlar (auth.js)
+import test from "node:test";
+import assert from "node:assert/strict";
+import { newToken, hashToken, ticketTokenOk, ownerOnlyFields } from "../auth.js";
+
+const token = newToken();
+const row = { token_hash: hashToken(token), full_name: "Ali Valiyev", priority: true, priority_reason: "disabled" };
+
+test("ticketTokenOk: faqat to'g'ri token", () => {
+  assert.equal(ticketTokenOk(row, token), true);
+  assert.equal(ticketTokenOk(row, newToken()), false);
+  assert.equal(ticketTokenOk(row, ""), false);
+  // token_hash yo'q (kiosk/eski ticket) — hech kim egasi emas
+  assert.equal(ticketTokenOk({ ...row, token_hash: null }, token), false);
+});
+
+test("ownerOnlyFields: ism va imtiyoz sababi boshqalarga null", () => {
+  assert.deepEqual(ownerOnlyFields(row, ticketTokenOk(row, token)), { fullName: "Ali Valiyev", priorityReason: "disabled" });
+  assert.deepEqual(ownerOnlyFields(row, ticketTokenOk(row, "")), { fullName: null, priorityReason: null });
+  assert.deepEqual(ownerOnlyFields({ ...row, full_name: "", priority_reason: null }, true), { fullName: null, priorityReason: null });
+});
@@ -0,0 +1,38 @@
+// test/eta.test.js — ETA modelining sof qismlari (eta.js)
+import test from "node:test";
+import assert from "node:assert/strict";
+import { ewma, etaRange } from "../eta.js";
+
+test("ewma: yangisi oldinda (DESC), eng eskisidan silliqlanadi", () => {
+  assert.equal(ewma([]), null);
+  assert.equal(ewma([60]), 60);
+  // 0.3 * 100 + 0.7 * 50
+  assert.equal(ewma([100, 50]), 65);
+  assert.equal(ewma([100, 50], 1), 100);
+});
+
+test("etaRange: n * interval atrofida 10%..90% oraliq", () => {
+  const est = { intervalSec: 120, cv: 0.5, basis: "recent" };
+  const r = etaRange(est, 4);
+  assert.equal(r.likelySec, 480);
+  assert.equal(r.likelyMinutes, 8);
+  assert.ok(r.minSec < r.likelySec && r.likelySec < r.maxSec);
+  // oraliq simmetrik
+  assert.equal(r.likelySec - r.minSec, r.maxSec - r.likelySec);
+  assert.equal(r.basis, "recent");
+});
+
+test("etaRange: navbat boshida — 0, yopiq bo'lsa ochilishgacha kutish qo'shiladi", () => {
+  const est = { intervalSec: 120, cv: 0.5, basis: "history" };
+  assert.deepEqual(
+    [etaRange(est, 0).minSec, etaRange(est, 0).likelySec, etaRange(est, 0).maxSec],
+    [0, 0, 0]
+  );
+  const r = etaRange(est, 2, { delaySec: 600 });
+  assert.equal(r.likelySec, 840);
+  assert.ok(r.minSec >= 600);
+});
+
+test("etaRange: ma'lumot yo'q — null", () => {
+  assert.equal(etaRange(null, 3), null);
+});
@@ -0,0 +1,25 @@
+// test/geo.test.js — hudud manbasini normallashtirish va SOATO tekshiruvi (geo.js)
+import test from "node:test";
+import assert from "node:assert/strict";
+import { normalizeGeoSource, missingSoato } from "../geo.js";
+
+// tuman kodlari sinov uchun shartli (haqiqiy SOATO emas)
+const regions = [{ id: 1, soato_id: 1703, name_uz: "Andijon viloyati", name_ru: "Андижанская область" }];
+
+test("normalizeGeoSource: id = SOATO, shaharlar tumanlardan oldin", () => {
+  const tree = normalizeGeoSource({
+    regions,
+    districts: [{ id: 7, region_id: 1, soato_id: 1703901, name_uz: "Andijon tumani" }],
+    cities: [{ id: 3, region_id: 1, soato_id: 1703902, name_uz: "Andijon shahri" }],
+  });
+  const [r] = tree.regions;
+  assert.equal(r.id, "1703");
+  assert.deepEqual(r.units.map((u) => [u.id, u.kind]), [["1703902", "city"], ["1703901", "district"]]);
+  assert.deepEqual(missingSoato(tree), []);
+});
+
+test("missingSoato: kodsiz tumanlar ro'yxati (import yozmaydi)", () => {
+  const tree = normalizeGeoSource({ regions, districts: [{ id: 7, region_id: 1, name_uz: "Andijon tumani" }] });
+  assert.equal(tree.regions[0].units[0].id, "1703-andijon-tumani");
+  assert.deepEqual(missingSoato(tree), ["Andijon viloyati|Andijon tumani"]);
+});
@@ -0,0 +1,38 @@
+// test/grace.test.js — o'tkazib yuborilganlar uchun imtiyoz oynasi (grace.js)
+import test from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_GRACE, orgGrace, normalizeGrace, graceState } from "../grace.js";
+
+const missedAt = new Date("2026-10-19T10:00:00Z");
+const min = (n) => new Date(missedAt.getTime() + n * 60000);
+
+test("positions: missedServing'dan keyin shuncha raqam o'tguncha", () => {
+  const g = { positions: 5, minutes: 0, selfReturns: 1 };
+  assert.deepEqual(graceState(g, { number: 7, nowServing: 12, missedServing: 10 }), { expired: false, untilAt: null, positionsLeft: 3 });
+  assert.equal(graceState(g, { number: 7, nowServing: 15, missedServing: 10 }).expired, false);
+  assert.equal(graceState(g, { number: 7, nowServing: 16, missedServing: 10 }).expired, true);
+  // missedServing yo'q — ticket raqamidan
+  assert.equal(graceState(g, { number: 10, nowServing: 16 }).positionsLeft, 0);
+});
+
+test("minutes: missed_at + minutes tugaguncha", () => {
+  const g = { positions: 0, minutes: 15, selfReturns: 1 };
+  const s = graceState(g, { number: 1, nowServing: 100, missedAt, now: min(14) });
+  assert.deepEqual(s, { expired: false, untilAt: min(15), positionsLeft: null });
+  assert.equal(graceState(g, { number: 1, nowServing: 100, missedAt, now: min(15) }).expired, true);
+});
+
+test("ikkalasi: qaysi biri oldin tugasa", () => {
+  const g = DEFAULT_GRACE;
+  assert.equal(graceState(g, { number: 1, nowServing: 3, missedServing: 1, missedAt, now: min(20) }).expired, true);
+  assert.equal(graceState(g, { number: 1, nowServing: 9, missedServing: 1, missedAt, now: min(1) }).expired, true);
+  assert.equal(graceState(g, { number: 1, nowServing: 3, missedServing: 1, missedAt, now: min(1) }).expired, false);
+});
+
+test("orgGrace va normalizeGrace", () => {
+  assert.deepEqual(orgGrace({ settings: { grace: { minutes: 5 } } }), { ...DEFAULT_GRACE, minutes: 5 });
+  assert.deepEqual(orgGrace(null), DEFAULT_GRACE);
+  assert.deepEqual(normalizeGrace({ positions: 0 }), { value: { positions: 0 } });
+  assert.ok(normalizeGrace({ minutes: 24 * 60 + 1 }).error);
+  assert.ok(normalizeGrace({ foo: 1 }).error);
+});
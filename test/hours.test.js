@@ -0,0 +1,89 @@
+// test/hours.test.js — ish vaqti va kunlik rollover (hours.js), Asia/Tashkent = UTC+5
+import test from "node:test";
+import assert from "node:assert/strict";
+
+process.env.BUSINESS_TZ = "Asia/Tashkent";
+const { normalizeHours, openState, lastClosingBefore, closedMessage, localNow } = await import("../hours.js");
+
+const HOURS = normalizeHours({
+  weekly: {
+    mon: ["09:00", "18:00"], tue: ["09:00", "18:00"], wed: ["09:00", "18:00"],
+    thu: ["09:00", "18:00"], fri: ["09:00", "18:00"], sat: ["09:00", "14:00"],
+  },
+  breaks: [["13:00", "14:00"]],
+}).value;
+
+// 2026-10-19 — dushanba; mahalliy vaqt -> Date
+const at = (date, hhmm) => new Date(`${date}T${hhmm}:00+05:00`);
+
+test("localNow: BUSINESS_TZ bo'yicha sana, hafta kuni va daqiqa", () => {
+  assert.deepEqual(localNow(new Date("2026-10-19T20:30:00Z")), { date: "2026-10-20", dow: 1, min: 90 });
+});
+
+test("ish vaqtida ochiq", () => {
+  assert.deepEqual(openState(HOURS, at("2026-10-19", "10:00")), { open: true, reason: null, opensAt: null, closesAt: "18:00" });
+});
+
+test("hours yo'q — doim ochiq, rollover yo'q", () => {
+  assert.equal(openState(null).open, true);
+  assert.equal(lastClosingBefore(null), null);
+});
+
+test("tanaffus: shu kuni tanaffus tugashida ochiladi", () => {
+  const s = openState(HOURS, at("2026-10-19", "13:30"));
+  assert.equal(s.open, false);
+  assert.equal(s.reason, "break");
+  assert.deepEqual(s.opensAt, { date: "2026-10-19", time: "14:00", at: at("2026-10-19", "14:00") });
+});
+
+test("ochilishdan oldin — bugun, yopilgandan keyin — ertaga", () => {
+  assert.deepEqual(openState(HOURS, at("2026-10-19", "07:00")).opensAt.at, at("2026-10-19", "09:00"));
+  const s = openState(HOURS, at("2026-10-19", "18:00"));
+  assert.equal(s.reason, "closed");
+  assert.deepEqual(s.opensAt, { date: "2026-10-20", time: "09:00", at: at("2026-10-20", "09:00") });
+});
+
+test("dam olish va bayram kunlari o'tkazib yuboriladi", () => {
+  // shanba 14:00 dan keyin -> yakshanba yopiq -> dushanba
+  assert.equal(openState(HOURS, at("2026-10-24", "15:00")).opensAt.date, "2026-10-26");
+  const h = { ...HOURS, holidays: ["2026-10-20"] };
+  assert.equal(openState(h, at("2026-10-19", "19:00")).opensAt.date, "2026-10-21");
+  assert.equal(openState(h, at("2026-10-20", "10:00")).open, false);
+});
+
+test("lastClosingBefore: oxirgi ish kuni tugashi (kunlik rollover)", () => {
+  // ertalab — kechagi yopilish
+  assert.deepEqual(lastClosingBefore(HOURS, at("2026-10-20", "08:00")), at("2026-10-19", "18:00"));
+  // ish vaqti ichida — bugun hali yopilmagan, oldingi ish kuni
+  assert.deepEqual(lastClosingBefore(HOURS, at("2026-10-20", "12:00")), at("2026-10-19", "18:00"));
+  // yopilish paytining o'zi — bugungi
+  assert.deepEqual(lastClosingBefore(HOURS, at("2026-10-20", "18:00")), at("2026-10-20", "18:00"));
+  // dushanba tushda — shanba 14:00 (yakshanba dam olish)
+  assert.deepEqual(lastClosingBefore(HOURS, at("2026-10-19", "12:00")), at("2026-10-17", "14:00"));
+});
+
+test("yarim tun atrofida: UTC sanasi emas, mahalliy sana", () => {
+  // 2026-10-19T19:30Z = 20-oktabr 00:30 mahalliy
+  const s = openState(HOURS, new Date("2026-10-19T19:30:00Z"));
+  assert.equal(s.opensAt.date, "2026-10-20");
+  assert.deepEqual(lastClosingBefore(HOURS, new Date("2026-10-19T19:30:00Z")), at("2026-10-19", "18:00"));
+});
+
+test("closedMessage", () => {
+  const now = at("2026-10-19", "19:00");
+  assert.equal(closedMessage(openState(HOURS, now), "uz", now), "Hozir yopiq. ertaga soat 09:00 da ochiladi.");
+  const br = at("2026-10-19", "13:10");
+  assert.equal(closedMessage(openState(HOURS, br), "en", br), "On a break. Reopens at 14:00.");
+  assert.equal(closedMessage(openState(HOURS, at("2026-10-19", "10:00"))), "");
+});
+
+test("normalizeHours xatolari", () => {
+  assert.ok(normalizeHours({ weekly: { mon: ["18:00", "09:00"] } }).error);
+  assert.ok(normalizeHours({ weekly: { mon: ["9:00", "18:00"] } }).error);
+  assert.ok(normalizeHours({ weekly: {} }).error);
+  assert.ok(normalizeHours({ weekly: { mon: ["09:00", "18:00"] }, holidays: ["19.10.2026"] }).error);
+  assert.deepEqual(
+    normalizeHours({ weekly: { mon: ["09:00", "18:00"] }, holidays: ["2026-10-20", "2026-01-01", "2026-10-20"] }).value.holidays,
+    ["2026-01-01", "2026-10-20"]
+  );
+});
@@ -0,0 +1,93 @@
+// test/limits.test.js — ticket olish cheklovlari (limits.js); baza o'rniga bitta qator qaytaradigan db
+import test from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_LIMITS, orgLimits, normalizeLimits, checkTakeLimits, limitMessage, WEB_ID_COOKIE, webIdOf, takeUserId } from "../limits.js";
+
+const fakeDb = (row) => {
+  const calls = [];
+  return {
+    calls,
+    async query(sql, params) {
+      calls.push(params);
+      return { rows: [{ user_active: 0, ip_active: 0, ip_recent: 0, last_cancel: null, ...row }] };
+    },
+  };
+};
+
+test("orgLimits: berilmagan kalitlar standartdan", () => {
+  assert.deepEqual(orgLimits(null), DEFAULT_LIMITS);
+  assert.deepEqual(orgLimits({ settings: { limits: { maxActivePerUser: 2 } } }), { ...DEFAULT_LIMITS, maxActivePerUser: 2 });
+});
+
+test("standart: IP cheklovlari o'chiq (proxy ortida hamma bitta IP bo'lishi mumkin)", async () => {
+  assert.equal(DEFAULT_LIMITS.maxActivePerIp, 0);
+  assert.equal(DEFAULT_LIMITS.ipTakesPerHour, 0);
+  const db = fakeDb({ ip_active: 100, ip_recent: 100 });
+  assert.equal(await checkTakeLimits(db, "org", orgLimits(null), { ip: "1.2.3.4" }), null);
+});
+
+test("maxActivePerUser: telegram yoki user_id bo'yicha", async () => {
+  const db = fakeDb({ user_active: 1 });
+  assert.deepEqual(await checkTakeLimits(db, "org", orgLimits(null), { telegramUserId: 555 }), {
+    code: "limit_user_active",
+    limit: 1,
+  });
+  // telegram id bo'lsa user_id ishlatilmaydi
+  assert.deepEqual(db.calls[0], ["org", "555", null, null]);
+  assert.equal((await checkTakeLimits(fakeDb({ user_active: 1 }), "org", orgLimits(null), { userId: "u1" })).code, "limit_user_active");
+});
+
+test("webIdOf: faqat server bergan cookie, boshqa cookie'lar va noto'g'ri qiymat e'tiborsiz", () => {
+  const id = "a".repeat(43);
+  assert.equal(webIdOf(`theme=dark; ${WEB_ID_COOKIE}=${id}; x=1`), id);
+  assert.equal(webIdOf(`${WEB_ID_COOKIE}=short`), null);
+  assert.equal(webIdOf(`${WEB_ID_COOKIE}=${"a".repeat(40)}'--`), null);
+  assert.equal(webIdOf(`x${WEB_ID_COOKIE}=${id}`), null);
+  assert.equal(webIdOf(undefined), null);
+});
+
+test("web: userId almashtirilsa ham bir xil cookie id — rad etiladi", async () => {
+  const webId = webIdOf(`${WEB_ID_COOKIE}=${"b".repeat(43)}`);
+  for (const userId of ["u1", "u2", crypto.randomUUID()]) {
+    const user = takeUserId({ trusted: false, userId, webId });
+    assert.equal(user, webId);
+    const db = fakeDb({ user_active: 1 });
+    assert.equal((await checkTakeLimits(db, "org", orgLimits(null), { ip: "1.2.3.4", userId: user })).code, "limit_user_active");
+    assert.equal(db.calls[0][2], webId);
+  }
+  // bot/operator/kiosk — o'z userId'si
+  assert.equal(takeUserId({ trusted: true, userId: "42", webId: null }), "42");
+  assert.equal(takeUserId({ trusted: true, userId: "", webId: null }), null);
+});
+
+test("IP cheklovlari yoqilganda", async () => {
+  const limits = orgLimits({ settings: { limits: { maxActivePerIp: 3, ipTakesPerHour: 10 } } });
+  assert.equal((await checkTakeLimits(fakeDb({ ip_active: 3 }), "org", limits, { ip: "1.2.3.4" })).code, "limit_ip_active");
+  assert.deepEqual(await checkTakeLimits(fakeDb({ ip_recent: 10 }), "org", limits, { ip: "1.2.3.4" }), {
+    code: "limit_ip_rate",
+    limit: 10,
+    retryAfterSec: 3600,
+  });
+  // ip=null (ichki bot so'rovi) — IP tekshirilmaydi
+  assert.equal(await checkTakeLimits(fakeDb({ ip_active: 3 }), "org", limits, { ip: null, telegramUserId: "1" }), null);
+});
+
+test("cancelCooldownSec: o'zi bekor qilgandan keyin", async () => {
+  const hit = await checkTakeLimits(fakeDb({ last_cancel: new Date(Date.now() - 30000) }), "org", orgLimits(null), { userId: "u1" });
+  assert.equal(hit.code, "limit_cooldown");
+  assert.ok(hit.retryAfterSec > 85 && hit.retryAfterSec <= 90);
+  assert.equal(await checkTakeLimits(fakeDb({ last_cancel: new Date(Date.now() - 121000) }), "org", orgLimits(null), { userId: "u1" }), null);
+});
+
+test("identifikator yo'q — bazaga so'rov yo'q", async () => {
+  const db = fakeDb({ user_active: 9 });
+  assert.equal(await checkTakeLimits(db, "org", orgLimits(null), {}), null);
+  assert.equal(db.calls.length, 0);
+});
+
+test("normalizeLimits va limitMessage", () => {
+  assert.deepEqual(normalizeLimits({ maxActivePerIp: 5 }), { value: { maxActivePerIp: 5 } });
+  assert.ok(normalizeLimits({ maxActivePerIp: 501 }).error);
+  assert.ok(normalizeLimits({ nope: 1 }).error);
+  assert.equal(limitMessage({ code: "limit_cooldown", retryAfterSec: 61 }, "en"), "Please wait 2 min after cancelling a ticket.");
+});
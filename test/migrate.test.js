@@ -0,0 +1,52 @@
+// test/migrate.test.js — migratsiya fayllari va checksum'lar (migrate.js loadMigrations)
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { loadMigrations } from "../migrate.js";
+
+function tmpDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "navbat-mig-"));
+  for (const [name, sql] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), sql);
+  return dir;
+}
+
+test("repo migratsiyalari: tartib bo'yicha, har birida sha256 checksum", () => {
+  const list = loadMigrations();
+  assert.ok(list.length >= 2);
+  assert.deepEqual(list.slice(0, 2).map((m) => m.file), ["001_baseline.sql", "002_unique_active_number.sql"]);
+  for (let i = 0; i < list.length; i++) {
+    assert.equal(list[i].version, i + 1);
+    assert.match(list[i].checksum, /^[0-9a-f]{64}$/);
+  }
+});
+
+test("version bo'yicha tartib, nom mos kelmagan fayllar tashlanadi", (t) => {
+  const dir = tmpDir({
+    "010_later.sql": "SELECT 10;",
+    "002_second.sql": "SELECT 2;",
+    "0001_first.sql": "SELECT 1;",
+    "README.md": "x",
+    "003-bad.sql": "SELECT 3;",
+  });
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const list = loadMigrations(dir);
+  assert.deepEqual(list.map((m) => [m.version, m.name]), [[1, "first"], [2, "second"], [10, "later"]]);
+});
+
+test("checksum: CRLF va LF bir xil, mazmun o'zgarsa boshqa", (t) => {
+  const a = tmpDir({ "001_x.sql": "CREATE TABLE t (id int);\nSELECT 1;\n" });
+  const b = tmpDir({ "001_x.sql": "CREATE TABLE t (id int);\r\nSELECT 1;\r\n" });
+  const c = tmpDir({ "001_x.sql": "CREATE TABLE t (id bigint);\nSELECT 1;\n" });
+  t.after(() => [a, b, c].forEach((d) => fs.rmSync(d, { recursive: true, force: true })));
+  const [ma] = loadMigrations(a);
+  assert.equal(loadMigrations(b)[0].checksum, ma.checksum);
+  assert.notEqual(loadMigrations(c)[0].checksum, ma.checksum);
+});
+
+test("takrorlangan versiya — xato", (t) => {
+  const dir = tmpDir({ "001_a.sql": "SELECT 1;", "001_b.sql": "SELECT 1;" });
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  assert.throws(() => loadMigrations(dir), /takrorlangan/);
+});
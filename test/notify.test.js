@@ -0,0 +1,38 @@
+// test/notify.test.js — navbat yaqinlashganda xabar chegaralari (notify.js)
+import test from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_NOTIFY, progressThreshold, notifyText } from "../notify.js";
+
+const P = DEFAULT_NOTIFY.positions; // [10, 5, 3, 1, 0]
+
+test("progressThreshold: remaining <= t bo'lgan eng kichik chegara, bir marta", () => {
+  assert.equal(progressThreshold(P, 12, null), null);
+  assert.equal(progressThreshold(P, 10, null), 10);
+  assert.equal(progressThreshold(P, 7, 10), null);
+  assert.equal(progressThreshold(P, 5, 10), 5);
+  assert.equal(progressThreshold(P, 5, 5), null);
+  assert.equal(progressThreshold(P, 0, 1), 0);
+});
+
+test("progressThreshold: bir nechta chegara birdan o'tilsa — faqat eng kichigi", () => {
+  assert.equal(progressThreshold(P, 2, 10), 3);
+  assert.equal(progressThreshold(P, 2, 3), null);
+});
+
+test("progressThreshold: olgan paytdagi holat (last_notified_remaining) qayta yuborilmaydi", () => {
+  assert.equal(progressThreshold(P, 4, 4), null);
+  assert.equal(progressThreshold(P, 3, 4), 3);
+});
+
+test("progressThreshold: foydalanuvchi chegarasi (telegram_users.notify_at) qo'shiladi", () => {
+  assert.equal(progressThreshold([...P, 20], 18, null), 20);
+  assert.equal(progressThreshold([...P, 20], 11, 20), null);
+});
+
+test("notifyText: progress va next", () => {
+  const t = notifyText("progress", "en", { num: "K-004", remaining: 3, eta: { minMinutes: 4, maxMinutes: 9 } });
+  assert.match(t, /3 ahead of you/);
+  assert.match(t, /K-004/);
+  assert.match(t, /4–9 min/);
+  assert.match(notifyText("next", "xx", { num: "K-004" }), /Keyingi navbat sizniki/);
+});
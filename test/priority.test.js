@@ -0,0 +1,77 @@
+// test/priority.test.js — chaqirish tartibi (priority.js)
+import test from "node:test";
+import assert from "node:assert/strict";
+import { normalizePriority, preferPriority, callPositions } from "../priority.js";
+import { DEFAULT_NOTIFY, progressThreshold } from "../notify.js";
+
+// created_at tartibida: [{ id, priority, frontAt }]
+const q = (spec) =>
+  spec.split(" ").map((x) => ({ id: x, priority: x.startsWith("P"), frontAt: null }));
+const order = (m) => [...m.entries()].sort((a, b) => a[1] - b[1]).map(([id]) => id);
+const P = DEFAULT_NOTIFY.positions; // [10, 5, 3, 1, 0]
+
+test("regularBetween=0: imtiyozlilar doim birinchi, qolganlari FIFO", () => {
+  const pos = callPositions({ regularBetween: 0 }, q("A B P1 C P2"));
+  assert.deepEqual(order(pos), ["P1", "P2", "A", "B", "C"]);
+  assert.equal(pos.get("A"), 2);
+});
+
+test("regularBetween=2: har ikki oddiydan keyin bitta imtiyozli", () => {
+  const pos = callPositions({ regularBetween: 2 }, q("A B C D P1 P2"), 0);
+  assert.deepEqual(order(pos), ["A", "B", "P1", "C", "D", "P2"]);
+});
+
+test("since: oxirgi imtiyozlidan keyingi oddiylar hisobga olinadi", () => {
+  const pos = callPositions({ regularBetween: 2 }, q("A B P1"), 2);
+  assert.deepEqual(order(pos), ["P1", "A", "B"]);
+});
+
+test("frontAt (recall / transfer) — hammadan oldin, o'z vaqti tartibida", () => {
+  const w = q("A P1 B C");
+  w[3].frontAt = "2026-10-19T10:00:00Z";
+  w[2].frontAt = "2026-10-19T10:05:00Z";
+  const pos = callPositions({ regularBetween: 0 }, w);
+  assert.deepEqual(order(pos), ["C", "B", "P1", "A"]);
+});
+
+test("imtiyozli bo'lmasa — oddiy FIFO", () => {
+  assert.deepEqual(order(callPositions({ regularBetween: 0 }, q("A B C"))), ["A", "B", "C"]);
+  assert.equal(callPositions({ regularBetween: 0 }, []).size, 0);
+});
+
+test("preferPriority", () => {
+  assert.equal(preferPriority({ regularBetween: 0 }, 0), true);
+  assert.equal(preferPriority({ regularBetween: 3 }, 2), false);
+  assert.equal(preferPriority({ regularBetween: 3 }, 3), true);
+});
+
+test("normalizePriority", () => {
+  assert.deepEqual(normalizePriority({ regularBetween: 3 }), { value: { regularBetween: 3 } });
+  assert.deepEqual(normalizePriority(null), { value: null });
+  assert.ok(normalizePriority({ regularBetween: -1 }).error);
+  assert.ok(normalizePriority({ regularBetween: 1.5 }).error);
+  assert.ok(normalizePriority({ foo: 1 }).error);
+});
+
+// notifyQueueProgress: remaining = callPositions bo'yicha (raqam farqi emas) -> progressThreshold
+test("navbat: imtiyozli ticket qo'shilsa oddiylarning remaining'i va xabari o'zgaradi", () => {
+  const waiting = ["A", "B", "C", "D"].map((id) => ({ id, priority: false, frontAt: null }));
+  const last = new Map([["D", 3]]);
+
+  let pos = callPositions({ regularBetween: 0 }, waiting);
+  assert.equal(pos.get("D"), 3);
+  assert.equal(progressThreshold(P, pos.get("D"), last.get("D")), null);
+
+  // A chaqirildi: D uchun 2 — "1" chegarasiga hali yetmagan
+  pos = callPositions({ regularBetween: 0 }, waiting.slice(1));
+  assert.equal(progressThreshold(P, pos.get("D"), last.get("D")), null);
+
+  // imtiyozli keldi: D yana orqaga (3) — takroriy xabar yo'q
+  pos = callPositions({ regularBetween: 0 }, [...waiting.slice(1), { id: "P1", priority: true, frontAt: null }]);
+  assert.equal(pos.get("D"), 3);
+  assert.equal(progressThreshold(P, pos.get("D"), last.get("D")), null);
+
+  // B, P1, C chaqirildi: D navbat boshida — "keyingi siz" (0)
+  pos = callPositions({ regularBetween: 0 }, [waiting[3]]);
+  assert.equal(progressThreshold(P, pos.get("D"), last.get("D")), 0);
+});
@@ -0,0 +1,51 @@
+// tgusers.js (Node >=18, ESM)
+// Telegram bot foydalanuvchilari: profil (til, ism, telefon, oxirgi muassasa) + bot oqimi holati (session JSONB).
+// Bot har update'da bir marta o'qiydi, o'zgarishlarni darhol yozadi — restart va bir nechta instansiyada ham bir xil.
+
+// session obyektidagi bu kalitlar alohida ustunlarda saqlanadi
+const PROFILE = { lang: "lang", fullName: "full_name", phone: "phone", lastOrgId: "last_org_id", notifyAt: "notify_at" };
+
+function rowToSession(r) {
+  if (!r) return {};
+  return {
+    ...(r.session && typeof r.session === "object" ? r.session : {}),
+    lang: r.lang || null,
+    fullName: r.full_name || null,
+    phone: r.phone || null,
+    lastOrgId: r.last_org_id || null,
+    notifyAt: r.notify_at ?? null,
+  };
+}
+
+export async function loadTgSession(db, chatId) {
+  const r = await db.query(`SELECT * FROM telegram_users WHERE chat_id=$1`, [String(chatId)]);
+  return rowToSession(r.rows[0]);
+}
+
+// patch: profil kalitlari ustunlarga, qolganlari session JSONB ga (ustiga yoziladi, null ham)
+export async function saveTgSession(db, chatId, patch, { telegramUserId = null } = {}) {
+  const cols = [];
+  const vals = [String(chatId), telegramUserId ? String(telegramUserId) : null];
+  const session = {};
+
+  for (const [k, v] of Object.entries(patch || {})) {
+    if (PROFILE[k]) {
+      vals.push(v ?? null);
+      cols.push(PROFILE[k]);
+    } else {
+      session[k] = v ?? null;
+    }
+  }
+  vals.push(JSON.stringify(session));
+  const sIdx = vals.length;
+
+  await db.query(
+    `INSERT INTO telegram_users (chat_id, telegram_user_id, session${cols.map((c) => `, ${c}`).join("")})
+     VALUES ($1, $2, $${sIdx}::jsonb${cols.map((_, i) => `, $${i + 3}`).join("")})
+     ON CONFLICT (chat_id) DO UPDATE SET
+       telegram_user_id = COALESCE(EXCLUDED.telegram_user_id, telegram_users.telegram_user_id),
+       session = telegram_users.session || EXCLUDED.session,
+       ${cols.map((c) => `${c} = EXCLUDED.${c}, `).join("")}updated_at = now()`,
+    vals
+  );
+}
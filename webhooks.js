@@ -0,0 +1,310 @@
+// webhooks.js (Node >=18, ESM)
+// Tashqi tizimlar (CRM, filial ekranlari) uchun chiquvchi webhooklar: muassasa bo'yicha obunalar (webhooks jadvali).
+//
+// Manba — ticket_events jurnali (events.js): jurnalga yozilgan har amal shu tranzaksiyada notify_outbox ga
+// "webhook" kanali bilan qo'yiladi, outbox.js worker yetkazadi va qayta urinadi. Har urinish webhook_deliveries da.
+//
+// So'rov: POST <url>, JSON:
+//   { id, event, orgId, occurredAt, data: { ticket, from, to, actor, meta } }   // queue.* da ticket=null
+//   event="ping" — faqat admin "test" so'rovi (data: { webhookId }), obunadagi hodisalardan qat'i nazar
+// Sarlavhalar:
+//   X-Navbat-Event: ticket.called
+//   X-Navbat-Delivery: <id>                   // qayta urinishlarda o'zgarmaydi — takrorni aniqlash uchun
+//   X-Navbat-Timestamp: <unix sekund>
+//   X-Navbat-Signature: sha256=<hex>          // HMAC-SHA256(secret, `${timestamp}.${body}`)
+//
+// Ichki tarmoqqa (localhost, 10.x, 169.254.x ...) yuborilmaydi: url saqlashda ham, yuborishda (DNS javobi) ham
+// tekshiriladi. Lokal sinov uchun: WEBHOOK_ALLOW_PRIVATE=1.
+
+import crypto from "crypto";
+import dns from "dns/promises";
+import net from "net";
+import { enqueue } from "./outbox.js";
+
+export const WEBHOOK_EVENTS = [
+  "ticket.created",
+  "ticket.called",
+  "ticket.served",
+  "ticket.missed",
+  "ticket.returned",
+  "ticket.cancelled",
+  "ticket.transferred",
+  "ticket.updated",
+  "queue.reset",
+  "queue.cleared",
+  "queue.closed",
+];
+
+export const MAX_HOOKS_PER_ORG = 10;
+
+const MAX_URL_LEN = 500;
+// webhooklar alohida worker'da (server.js), lekin javob bermagan manzil uni uzoq band qilmasin
+const TIMEOUT_MS = 5000;
+const KEEP_DAYS = 14;
+
+const ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === "1";
+
+// loopback, link-local (bulut metadata 169.254.169.254), RFC1918, CGNAT, multicast va h.k.
+// ::ffff:a.b.c.d ko'rinishidagi manzillar ham ipv4 qoidalari bilan tekshiriladi.
+const PRIVATE_NETS = new net.BlockList();
+for (const [a, p] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3],
+]) PRIVATE_NETS.addSubnet(a, p, "ipv4");
+for (const [a, p] of [["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+  PRIVATE_NETS.addSubnet(a, p, "ipv6");
+}
+
+function privateIp(ip) {
+  const v = net.isIP(ip);
+  return !!v && PRIVATE_NETS.check(ip, v === 4 ? "ipv4" : "ipv6");
+}
+
+// URL'dagi host: localhost yoki ichki IP bo'lsa true (DNS nomlari yuborish paytida tekshiriladi)
+function privateHost(host) {
+  const h = host.replace(/^\[|\]$/g, "").toLowerCase();
+  return h === "localhost" || h.endsWith(".localhost") || privateIp(h);
+}
+
+// Yuborish paytida: nom ichki manzilga resolve bo'lsa (DNS rebinding) xato
+async function assertPublicTarget(url) {
+  if (ALLOW_PRIVATE) return;
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  const addrs = net.isIP(host) ? [{ address: host }] : await dns.lookup(host, { all: true });
+  if (privateHost(host) || addrs.some((a) => privateIp(a.address))) {
+    throw Object.assign(new Error("manzil ichki tarmoqqa yo‘naltirilgan"), { permanent: true });
+  }
+}
+
+// ticket_events.action -> webhook hodisasi. Bulk amallar (deleteAll/reset/dayClose) ticket bo'yicha "cancelled",
+// muassasa darajasidagi yozuvi (ticketId=null) esa queue.*.
+function eventOf(e) {
+  switch (e.action) {
+    case "take": return "ticket.created";
+    case "call":
+    case "callAgain": return "ticket.called";
+    case "serve": return "ticket.served";
+    case "skip":
+    case "miss": return "ticket.missed";
+    case "recall":
+    case "back": return "ticket.returned";
+    case "cancel":
+    case "delete":
+    case "expire": return "ticket.cancelled";
+    // manba navbatda — ko'chirildi, yangi navbatda — paydo bo'ldi
+    case "transfer": return e.to === "cancelled" ? "ticket.transferred" : "ticket.created";
+    case "priority": return "ticket.updated";
+    case "reset": return e.ticketId ? "ticket.cancelled" : "queue.reset";
+    case "deleteAll": return e.ticketId ? "ticket.cancelled" : "queue.cleared";
+    case "dayClose": return e.ticketId ? "ticket.cancelled" : "queue.closed";
+    default: return null;
+  }
+}
+
+export function hookView(r) {
+  return {
+    id: r.id,
+    orgId: r.org_id,
+    url: r.url,
+    events: r.events,
+    description: r.description || "",
+    active: r.active,
+    secretHint: r.secret ? `…${r.secret.slice(-4)}` : null,
+    createdAt: r.created_at,
+    updatedAt: r.updated_at,
+  };
+}
+
+// Admin kiritgan webhook -> { value } yoki { error }. partial=true — faqat berilgan maydonlar (tahrirlash).
+export function normalizeWebhook(input, { partial = false } = {}) {
+  if (!input || typeof input !== "object") return { error: "webhook obyekt bo‘lsin" };
+  const out = {};
+
+  if (input.url !== undefined || !partial) {
+    const url = typeof input.url === "string" ? input.url.trim() : "";
+    let u = null;
+    try { u = new URL(url); } catch {}
+    if (!u || !["http:", "https:"].includes(u.protocol) || url.length > MAX_URL_LEN) {
+      return { error: "url: http(s)://... manzil bo‘lsin" };
+    }
+    if (!ALLOW_PRIVATE && privateHost(u.hostname)) {
+      return { error: "url: ichki tarmoq manzili (localhost, 10.x, 192.168.x ...) bo‘lishi mumkin emas" };
+    }
+    out.url = url;
+  }
+  if (input.events !== undefined || !partial) {
+    const ev = input.events;
+    if (!Array.isArray(ev) || !ev.length) return { error: `events: ro‘yxat bo‘lsin (${WEBHOOK_EVENTS.join(", ")} yoki "*")` };
+    for (const x of ev) {
+      if (x !== "*" && !WEBHOOK_EVENTS.includes(x)) return { error: `Noma’lum hodisa: ${x}` };
+    }
+    out.events = ev.includes("*") ? ["*"] : [...new Set(ev)];
+  }
+  if (input.description !== undefined) {
+    if (typeof input.description !== "string") return { error: "description matn bo‘lsin" };
+    out.description = input.description.trim().slice(0, 200);
+  }
+  if (input.active !== undefined) {
+    if (typeof input.active !== "boolean") return { error: "active true/false bo‘lsin" };
+    out.active = input.active;
+  }
+  if (input.secret !== undefined) {
+    if (typeof input.secret !== "string" || input.secret.length < 16 || input.secret.length > 200) {
+      return { error: "secret: 16..200 belgi" };
+    }
+    out.secret = input.secret;
+  }
+  return { value: out };
+}
+
+// events.js onRecorded tinglovchisi: jurnal yozuvlaridan mos obunalar uchun outbox'ga.
+// describe(row) — tickets qatoridan tashqariga chiqadigan ko'rinish (raqam, xizmat, holat ...).
+export async function enqueueWebhooks(db, events, { describe }) {
+  const list = events.map((e) => ({ e, event: eventOf(e) })).filter((x) => x.event);
+  if (!list.length) return;
+
+  const orgIds = [...new Set(list.map((x) => x.e.orgId))];
+  const hooks = await db.query(
+    `SELECT id, org_id, events FROM webhooks WHERE org_id = ANY($1::text[]) AND active`,
+    [orgIds]
+  );
+  if (!hooks.rowCount) return;
+
+  const ticketIds = [...new Set(list.map((x) => x.e.ticketId).filter(Boolean))];
+  const tickets = new Map();
+  if (ticketIds.length) {
+    const t = await db.query(`SELECT * FROM tickets WHERE id = ANY($1::uuid[])`, [ticketIds]);
+    for (const row of t.rows) tickets.set(String(row.id), describe(row));
+  }
+
+  const occurredAt = new Date().toISOString();
+  const items = [];
+  for (const { e, event } of list) {
+    const body = {
+      id: crypto.randomUUID(),
+      event,
+      orgId: e.orgId,
+      occurredAt,
+      data: {
+        ticket: e.ticketId ? tickets.get(String(e.ticketId)) || { id: String(e.ticketId) } : null,
+        from: e.from ?? null,
+        to: e.to ?? null,
+        actor: { type: e.actor?.type || "system", id: e.actor?.id ?? null, name: e.actor?.name ?? null },
+        meta: e.meta || null,
+      },
+    };
+    for (const h of hooks.rows) {
+      if (h.org_id !== e.orgId || !(h.events.includes("*") || h.events.includes(event))) continue;
+      items.push({ channel: "webhook", target: h.id, ticketId: e.ticketId || null, kind: event, payload: body });
+    }
+  }
+  await enqueue(db, items);
+}
+
+export function pingPayload(hook) {
+  return {
+    id: crypto.randomUUID(),
+    event: "ping",
+    orgId: hook.org_id,
+    occurredAt: new Date().toISOString(),
+    data: { webhookId: hook.id },
+  };
+}
+
+export function signBody(secret, timestamp, body) {
+  return "sha256=" + crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+// Bitta urinish: imzolab yuboradi va webhook_deliveries ga yozadi.
+// Qaytaradi: { ok, statusCode, durationMs, error, retryAfterMs, permanent }
+export async function deliverWebhook(db, hook, payload, { outboxId = null, attempt = 1 } = {}) {
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), TIMEOUT_MS);
+
+  let res = null;
+  try {
+    await assertPublicTarget(hook.url);
+    const r = await fetch(hook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "NAVBATUZ-Webhook/1",
+        "X-Navbat-Event": payload.event,
+        "X-Navbat-Delivery": payload.id,
+        "X-Navbat-Timestamp": String(timestamp),
+        "X-Navbat-Signature": signBody(hook.secret, timestamp, body),
+      },
+      body,
+      redirect: "manual",
+      signal: ctrl.signal,
+    });
+    // javob tanasi kerak emas, lekin ulanish bo'shashi uchun o'qib tashlaymiz
+    await r.arrayBuffer().catch(() => null);
+    const retryAfter = Number(r.headers.get("retry-after"));
+    res = {
+      ok: r.status >= 200 && r.status < 300,
+      statusCode: r.status,
+      error: r.status >= 200 && r.status < 300 ? null : `HTTP ${r.status}`,
+      retryAfterMs: Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter * 1000 : null,
+      // 4xx — qabul qiluvchi so'rovni rad etdi, takrorlash foydasiz (408/429 bundan mustasno)
+      permanent: r.status >= 400 && r.status < 500 && r.status !== 408 && r.status !== 429,
+    };
+  } catch (e) {
+    res = {
+      ok: false,
+      statusCode: null,
+      error: e?.name === "AbortError" ? `timeout ${TIMEOUT_MS}ms` : e?.message || String(e),
+      permanent: !!e?.permanent,
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+  res.durationMs = Date.now() - started;
+
+  await db.query(
+    `INSERT INTO webhook_deliveries (webhook_id, org_id, outbox_id, event, event_id, attempt, status_code, ok, error, duration_ms)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+    [hook.id, hook.org_id, outboxId, payload.event, payload.id, attempt, res.statusCode, res.ok, res.error, res.durationMs]
+  );
+  return res;
+}
+
+export function deliveryView(r) {
+  return {
+    id: String(r.id),
+    event: r.event,
+    eventId: r.event_id,
+    attempt: r.attempt,
+    ok: r.ok,
+    statusCode: r.status_code,
+    error: r.error,
+    durationMs: r.duration_ms,
+    at: r.created_at,
+  };
+}
+
+// Outbox kanali: target — webhooks.id, payload — tayyor hodisa (qayta urinishda ham o'sha id/tana)
+export function webhookChannel(db) {
+  return {
+    name: "webhook",
+    enabled: () => true,
+    ratePerSec: 0,
+    perTargetGapMs: 0,
+    async send(hookId, payload, { id, attempt } = {}) {
+      const h = await db.query(`SELECT id, org_id, url, secret, active FROM webhooks WHERE id=$1`, [hookId]);
+      const hook = h.rows[0];
+      if (!hook || !hook.active) return { ok: false, permanent: true, error: "webhook o‘chirilgan" };
+      return deliverWebhook(db, hook, payload, { outboxId: id, attempt });
+    },
+  };
+}
+
+export async function purgeWebhookDeliveries(db) {
+  await db.query(
+    `DELETE FROM webhook_deliveries WHERE created_at < now() - make_interval(days => $1)`,
+    [KEEP_DAYS]
+  );
+}
@@ -0,0 +1,91 @@
+// webpush.js (Node >=18, ESM)
+// Brauzer Web Push (VAPID): veb orqali navbat olgan mijoz sahifani yopsa ham xabar oladi (bot foydalanuvchilaridagi Telegram xabari kabi).
+//
+// env: VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT (mailto:... yoki https://...)
+// Kalitlarni bir marta yaratib env'ga qo'yiladi: npm run vapid:keys. Kalit almashsa eski obunalar ishlamay qoladi.
+// Kalit yo'q bo'lsa push o'chirilgan — /api/push/key publicKey=null qaytaradi, sahifa faqat ochiq tabdagi Notification bilan qoladi.
+
+import webpush from "web-push";
+
+// navbat xabari eskirsa ma'nosiz: brauzer shu vaqt ichida ulanmasa push servis uni tashlab yuboradi
+const PUSH_TTL_SEC = 15 * 60;
+
+const MAX_ENDPOINT_LEN = 1000;
+const MAX_KEY_LEN = 200;
+
+let publicKey = null;
+
+export function initWebPush() {
+  const pub = (process.env.VAPID_PUBLIC_KEY || "").trim();
+  const priv = (process.env.VAPID_PRIVATE_KEY || "").trim();
+  if (!pub || !priv) {
+    console.log("ℹ️ VAPID kalitlari yo‘q — Web Push o‘chirilgan");
+    return false;
+  }
+  try {
+    webpush.setVapidDetails((process.env.VAPID_SUBJECT || "mailto:admin@navbat.uz").trim(), pub, priv);
+    publicKey = pub;
+    console.log("✅ Web Push yoqilgan");
+    return true;
+  } catch (e) {
+    console.error("❌ VAPID kalitlari noto‘g‘ri — Web Push o‘chirilgan:", e.message);
+    return false;
+  }
+}
+
+export function pushPublicKey() {
+  return publicKey;
+}
+
+// Brauzer PushSubscription.toJSON() -> { value: { endpoint, p256dh, auth } } yoki { error }
+export function normalizeSubscription(input) {
+  if (!input || typeof input !== "object") return { error: "subscription obyekt bo‘lsin" };
+  const endpoint = typeof input.endpoint === "string" ? input.endpoint.trim() : "";
+  const p256dh = typeof input.keys?.p256dh === "string" ? input.keys.p256dh.trim() : "";
+  const auth = typeof input.keys?.auth === "string" ? input.keys.auth.trim() : "";
+
+  if (!/^https:\/\//.test(endpoint) || endpoint.length > MAX_ENDPOINT_LEN) {
+    return { error: "subscription.endpoint noto‘g‘ri" };
+  }
+  if (!p256dh || !auth || p256dh.length > MAX_KEY_LEN || auth.length > MAX_KEY_LEN) {
+    return { error: "subscription.keys (p256dh, auth) kerak" };
+  }
+  return { value: { endpoint, p256dh, auth } };
+}
+
+// Xabarnoma kanali (outbox.js): target — push_subscriptions.id, payload: { title, body, url, tag } (sw.js ko'rsatadi).
+// 404/410 — brauzer obunani bekor qilgan: obuna o'chiriladi, qayta urinilmaydi.
+export function pushChannel(db) {
+  return {
+    name: "push",
+    enabled: () => !!publicKey,
+    ratePerSec: 0,
+    perTargetGapMs: 0,
+    async send(subId, payload) {
+      const r = await db.query(`SELECT endpoint, p256dh, auth FROM push_subscriptions WHERE id=$1`, [subId]);
+      const sub = r.rows[0];
+      if (!sub) return { ok: false, permanent: true, error: "obuna yo‘q" };
+      try {
+        await webpush.sendNotification(
+          { endpoint: sub.endpoint, keys: { p256dh: sub.p256dh, auth: sub.auth } },
+          JSON.stringify(payload),
+          { TTL: PUSH_TTL_SEC, urgency: "high" }
+        );
+        return { ok: true };
+      } catch (e) {
+        const code = e?.statusCode;
+        if (code === 404 || code === 410) {
+          await db.query(`DELETE FROM push_subscriptions WHERE id=$1`, [subId]);
+          return { ok: false, permanent: true, error: `obuna bekor qilingan (${code})` };
+        }
+        const retryAfter = Number(e?.headers?.["retry-after"]);
+        return {
+          ok: false,
+          error: `${code || ""} ${e?.body || e?.message || e}`.trim(),
+          retryAfterMs: Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter * 1000 : null,
+          permanent: code === 400 || code === 403 || code === 413,
+        };
+      }
+    },
+  };
+}